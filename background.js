@@ -17,19 +17,29 @@ class AutomationManager {
         this.completedPrompts = new Set();
         this.settings = {
             delay: 5000, // Increased delay between prompts
-            maxRetries: 0,
+            maxRetries: 3, // Per prompt
             timeout: 60000, // Increased to 2 minutes
-            retryDelay: 60000, // Increased retry delay
+            retryDelay: 15000, // First retry delay, doubled on every attempt
+            maxRetryDelay: 300000, // Backoff cap
+            maxPromptWait: 900000, // Give up on a prompt after 15 minutes (0 = wait forever)
             responseTimeout: 90000, // Increased response timeout
-            enableRetries: false,
+            enableRetries: true,
             pauseOnError: true,
-            multiTabStaggerDelay: 2000 // Additional delay between tabs to prevent conflicts
+            multiTabStaggerDelay: 2000, // Additional delay between tabs to prevent conflicts
+            poolWorkers: 1, // Parallel tabs per run (popup setting)
+            newThreadPerRun: true, // Start every run in a fresh Perplexity thread (popup setting)
+            maxPromptsPerThread: 40 // Continue long runs in a new thread after this many prompts (0 = never)
         };
         this.tabAutomations = new Map(); // tabId -> automation state
         this.tabDocumentManagers = new Map(); // tabId -> BackgroundDocumentManager
         this.tabCompanyNames = new Map(); // tabId -> company name
         this.tabTimeouts = new Map(); // tabId -> timeout reference
         this.downloadTracking = new Map(); // automationId -> download status
+        this.tabBatches = new Map(); // tabId -> batch run state (one company per row)
+        this.pools = new Map(); // poolId -> worker pool spreading one prompt set over several tabs
+        this.scheduledTabs = new Map(); // tabId -> scheduled run waiting for (or running on) its own tab
+        this.reportViews = new Map(); // reportId -> { html, resolve } for reports opened in a tab to save as PDF
+        this.reruns = new Map(); // tabId -> single prompt sent again from the review page
         this.initializeBackground();
     }
 
@@ -57,6 +67,11 @@ class AutomationManager {
         this.setupMessageListeners();
         this.setupTabListeners();
         this.loadSettings();
+        // Global automationState was replaced by per-run automationCheckpoint_<id> keys
+        browser.storage.local.remove('automationState').catch(() => {});
+        this.pruneRunHistory();
+        this.setupScheduleListeners();
+        this.restoreSchedules();
         this.log('Enhanced background script initialized');
     }
 
@@ -105,14 +120,89 @@ class AutomationManager {
       this.log('Received message:', message.type);
       switch (message.type) {
         case 'start-automation':
-          await this.startAutomation(message.prompts, message.tabId, message.companyName);
+          await this.startAutomation(message.prompts, message.tabId, message.companyName, {
+            documentTitle: message.documentTitle,
+            reportTemplateId: message.reportTemplateId,
+            reportValues: message.reportValues
+          });
           // Show overlay when automation starts
           await this.updateStatusOverlay(message.tabId, 'progress', 'In Progress');
           sendResponse({ success: true });
           break;
+        case 'start-pool':
+          await this.startPool(message.prompts, message.tabId, message.companyName, message.workerCount, {
+            documentTitle: message.documentTitle,
+            reportTemplateId: message.reportTemplateId,
+            reportValues: message.reportValues
+          });
+          await this.updateStatusOverlay(message.tabId, 'progress', 'In Progress');
+          sendResponse({ success: true });
+          break;
+        case 'start-batch':
+          await this.startBatch(message.rows, message.tabId);
+          sendResponse({ success: true });
+          break;
+        case 'get-batch-status': {
+          const batch = this.tabBatches.get(message.tabId);
+          const stored = await browser.storage.local.get(['lastBatchSummary']);
+          sendResponse({
+            batch: batch ? this.getBatchSnapshot(batch) : null,
+            lastSummary: stored.lastBatchSummary || null
+          });
+          break;
+        }
+        case 'get-resumable-runs':
+          sendResponse({ runs: await this.getResumableRuns() });
+          break;
+        case 'resume-checkpoint': {
+          const resumedTabId = await this.resumeFromCheckpoint(message.automationId, message.tabId);
+          sendResponse({ success: true, tabId: resumedTabId });
+          break;
+        }
+        case 'discard-checkpoint':
+          await this.discardCheckpoint(message.automationId);
+          sendResponse({ success: true });
+          break;
+        case 'get-run-history':
+          sendResponse({
+            runs: await this.getRunHistory(),
+            settings: await this.getHistorySettings()
+          });
+          break;
+        case 'get-run-details':
+          sendResponse({ run: await this.getRunDetails(message.automationId) });
+          break;
+        case 'search-run-history':
+          sendResponse({ matches: await this.searchRunHistory(message.query) });
+          break;
+        case 'delete-run':
+          await this.deleteRun(message.automationId);
+          sendResponse({ success: true });
+          break;
+        case 'update-history-settings': {
+          const removed = await this.updateHistorySettings(message.settings);
+          sendResponse({ success: true, removed });
+          break;
+        }
+        case 'get-schedules':
+          sendResponse({ schedules: await this.getSchedules() });
+          break;
+        case 'save-schedule':
+          sendResponse({ success: true, schedule: await this.saveSchedule(message.schedule) });
+          break;
+        case 'delete-schedule':
+          await this.deleteSchedule(message.scheduleId);
+          sendResponse({ success: true });
+          break;
+        case 'run-schedule-now':
+          await this.runSchedule(message.scheduleId, 'manual');
+          sendResponse({ success: true });
+          break;
         case 'reset-automation':
           // Stop all running automations or specific tab
           await this.stopAutomation(message.tabId);
+          // Also cancel a batch that is waiting between companies
+          await this.cancelBatch(message.tabId, 'Automation reset');
           // Hide overlay when automation is reset
           await this.hideStatusOverlay(message.tabId);
           sendResponse({ success: true });
@@ -159,15 +249,30 @@ class AutomationManager {
           }
           break;
         }
-        case 'get-results':
+        case 'get-results': {
+          const resultsState = this.getTabState(message.tabId);
           sendResponse({
-            results: this.processedResults,
-            automationId: this.automationId
+            results: resultsState ? resultsState.processedResults : [],
+            automationId: resultsState ? resultsState.automationId : null
           });
           break;
+        }
         case 'export-results':
-          await this.exportResults(message.format);
-          sendResponse({ success: true });
+          try {
+            const filename = await this.exportResults(message.tabId, message.automationId, message.format);
+            sendResponse({ success: true, filename });
+          } catch (error) {
+            this.logError('Failed to export results:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+        case 'fetch-image':
+          try {
+            const dataUrl = await this.fetchImageAsDataUrl(message.url);
+            sendResponse({ success: true, dataUrl });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
           break;
         case 'content-script-ready':
           await this.handleContentScriptReady(sender.tab.id);
@@ -181,29 +286,34 @@ class AutomationManager {
           sendResponse({ success: true });
           break;
         case 'prompt-completed':
-          // Pass the sender.tab.id so we know which tab this result is for
-          await this.handlePromptCompleted(message.result, sender.tab.id);
+          if (this.reruns.has(sender.tab.id)) {
+            // Answer to a prompt re-run from the review page, not part of an automation
+            this.finishRerun(sender.tab.id, message.result, null);
+          } else {
+            // Pass the sender.tab.id so we know which tab this result is for
+            await this.handlePromptCompleted(message.result, sender.tab.id);
+          }
           sendResponse({ success: true });
           break;
-        case 'prompt-failed': {
-          // IGNORE all prompt-failed messages - prompts should never fail, only wait
-          const tabState = this.getTabState(sender.tab.id);
-          if (tabState) {
-            const promptNumber = (message.promptIndex || tabState.currentPromptIndex) + 1;
-            this.log(`Ignoring prompt-failed message for prompt ${promptNumber} - continuing to wait for response`);
-
-            // Update progress to show we're still waiting
-            await this.sendMessageToPopup('automation-progress', {
-              current: promptNumber,
-              total: tabState.prompts.length,
-              prompt: tabState.prompts[message.promptIndex || tabState.currentPromptIndex].text,
-              status: 'waiting-extended',
-              message: 'AI is taking longer than usual, continuing to wait...'
-            });
+        case 'prompt-failed':
+          if (this.reruns.has(sender.tab.id)) {
+            this.finishRerun(sender.tab.id, null, message.error);
+          } else if (message.timedOut) {
+            // Maximum wait reached - skip the prompt, no retries
+            await this.handlePromptTimeout(sender.tab.id, message.promptIndex, message.error);
+          } else {
+            // Error banners, missing input/submit elements - handled by the retry policy
+            await this.handlePromptFailed(message.error, message.promptIndex, sender.tab.id);
           }
           sendResponse({ success: true });
           break;
-        }
+        case 'thread-navigation':
+          if (this.reruns.has(sender.tab.id)) {
+            this.reruns.get(sender.tab.id).reloading = true;
+          }
+          this.handleThreadNavigation(sender.tab.id, message.promptIndex);
+          sendResponse({ success: true });
+          break;
         case 'update-settings':
           await this.updateSettings(message.settings);
           sendResponse({ success: true });
@@ -283,6 +393,71 @@ class AutomationManager {
             sendResponse({ success: true });
             break;
 
+        case 'export-tab-document':
+            try {
+                const filename = await this.downloadTabDocument(message.tabId, message.companyName, message.format);
+                sendResponse({ success: true, filename });
+            } catch (error) {
+                this.logError('Failed to export document:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+            break;
+
+        case 'get-report-view':
+            sendResponse({ html: this.reportViews.get(message.reportId)?.html || null });
+            break;
+
+        case 'report-view-ready':
+            this.reportViews.get(message.reportId)?.resolve();
+            sendResponse({ success: true });
+            break;
+
+        // Review page: edit, remove, reorder and re-run sections, then approve the document
+        case 'review-edit-response':
+        case 'review-remove-response':
+        case 'review-reorder-responses':
+        case 'review-rerun-prompt':
+            try {
+                const reviewManager = this.getTabDocumentManager(message.tabId);
+                if (message.type === 'review-edit-response') {
+                    reviewManager.editResponse(message.index, message.html);
+                } else if (message.type === 'review-remove-response') {
+                    reviewManager.removeResponse(message.index);
+                } else if (message.type === 'review-reorder-responses') {
+                    reviewManager.reorderResponses(message.order);
+                } else {
+                    await this.rerunPrompt(message.tabId, message.index);
+                }
+                sendResponse({ success: true, document: reviewManager.document });
+            } catch (error) {
+                this.logError(`Review change failed (${message.type}):`, error);
+                sendResponse({ success: false, error: error.message });
+            }
+            break;
+
+        case 'review-approve':
+            try {
+                const approvedManager = this.getTabDocumentManager(message.tabId);
+                const filename = await this.downloadTabDocument(
+                    message.tabId,
+                    this.tabCompanyNames.get(message.tabId) || 'Company',
+                    message.format
+                );
+                // Only a document that was actually saved counts as approved; a cancelled PDF save leaves it open
+                if (filename) {
+                    approvedManager.setApproved(true);
+                }
+                sendResponse({ success: true, filename, document: approvedManager.document });
+                if (filename) {
+                    await this.resumeBatchAfterReview(message.tabId, filename);
+                    await this.cleanupAfterReview(message.tabId);
+                }
+            } catch (error) {
+                this.logError('Failed to build the approved document:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+            break;
+
         case 'cleanup-after-download':
             await this.cleanupAfterDownload(message.automationId);
             sendResponse({ success: true });
@@ -451,7 +626,7 @@ class AutomationManager {
     }
   }
 
-  async startAutomation(prompts /* array of { text, pauseAfter } */, tabId, companyName = '') {
+  async startAutomation(prompts /* array of { text, nickname, pauseAfter, maxWaitMinutes, dependsOnPrevious, condition, searchOptions, newThread } */, tabId, companyName = '', options = {}) {
       // Check if this specific tab is already running
       if (this.tabAutomations.has(tabId) && this.tabAutomations.get(tabId).isRunning) {
           throw new Error(`Automation is already running on tab ${tabId}`);
@@ -474,8 +649,21 @@ class AutomationManager {
       const tabState = {
           isRunning: true,
           isPaused: false,
-          prompts: prompts.map(p => ({ text: p.text, pauseAfter: !!p.pauseAfter })),
+          prompts: prompts.map(p => ({
+            text: p.text,
+            nickname: p.nickname || '',
+            pauseAfter: !!p.pauseAfter,
+            maxWaitMinutes: p.maxWaitMinutes || null,
+            dependsOnPrevious: !!p.dependsOnPrevious,
+            condition: p.condition || null, // { source, match, value, action: 'run-if'|'jump', jumpTo }
+            searchOptions: p.searchOptions || null, // { mode, model, focus } set on Perplexity before sending
+            newThread: !!p.newThread // Start a fresh thread before this prompt instead of continuing
+          })),
+          poolId: options.poolId || null, // Set when this tab is the primary worker of a pool
           currentPromptIndex: 0,
+          threadStarted: false, // Set once the run's first prompt was sent (newThreadPerRun applies before it)
+          freshThreadIndex: null, // Prompt the tab just reloaded into a new thread for - don't navigate again
+          threadPromptCount: 0, // Prompts sent in the current thread, for maxPromptsPerThread
           automationId: Date.now(),
           processedResults: [],
           retryAttempts: new Map(),
@@ -496,9 +684,14 @@ class AutomationManager {
       // Initialize per-tab document collection
       const documentManager = this.getTabDocumentManager(tabId);
       documentManager.initializeDocument(prompts.length);
+      // Title rendered from the prompt set, used when the DOCX is built outside the popup
+      documentManager.document.reportTitle = options.documentTitle || null;
+      // Branding preset of the prompt set, and the values its cover, header and footer text use
+      documentManager.document.reportTemplateId = options.reportTemplateId || null;
+      documentManager.document.reportValues = options.reportValues || { company: companyName || 'Company' };
 
       // Save automation state
-      await this.saveAutomationState();
+      await this.saveAutomationState(tabId);
 
       // Notify popup of start
       await this.sendMessageToPopup('automation-started', {
@@ -551,10 +744,19 @@ class AutomationManager {
 
     const tabState = this.getTabState(tabId);
     if (!tabState || !tabState.isRunning) {
+      // A batch waiting for review approval has no running row; stopping ends the batch
+      await this.cancelBatch(tabId, 'Automation stopped');
       this.log(`Automation is not running on tab ${tabId}`);
       return;
     }
 
+    // Stopping any worker of a pool stops the whole pool from its primary tab
+    const pool = tabState.poolId ? this.pools.get(tabState.poolId) : null;
+    if (pool && tabId !== pool.primaryTabId) {
+      await this.stopAutomation(pool.primaryTabId);
+      return;
+    }
+
     this.log(`Stopping automation on tab ${tabId}`);
 
     // Update per-tab state
@@ -574,7 +776,7 @@ class AutomationManager {
     this.isRunning = this.hasRunningAutomation();
 
     // // Clear tab-specific timeout
-    this.clearCurrentTimeout(tabId);
+    this.clearTabTimeout(tabId);
 
     // Notify content script to stop
       try {
@@ -587,6 +789,9 @@ class AutomationManager {
 
     // Save final results
     await this.saveFinalResults(tabId);
+    if (tabState.processedResults.length > 0) {
+      await this.archiveRun(tabId, 'stopped', this.generateAutomationSummary(tabId));
+    }
     // // Clear tab-specific automation state only
     await this.clearAutomationState(tabId);
 
@@ -599,6 +804,15 @@ class AutomationManager {
     });
     // Hide overlay when automation is stopped
     await this.hideStatusOverlay(tabId);
+
+    if (pool) {
+      await this.releasePoolWorkers(pool);
+      this.pools.delete(pool.poolId);
+      tabState.poolId = null;
+    }
+
+    // Stopping a batch row stops the remaining companies too
+    await this.cancelBatch(tabId, 'Automation stopped');
   }
 
   async pauseAutomation(tabId) {
@@ -611,8 +825,21 @@ class AutomationManager {
     this.updateTabState(tabId, { isPaused: true });
     this.clearTabTimeout(tabId);
 
+    // Pausing one worker of a pool pauses all of them
+    const pool = tabState.poolId ? this.pools.get(tabState.poolId) : null;
+    if (pool) {
+      pool.workerTabIds.filter(workerTabId => workerTabId !== tabId).forEach(workerTabId => {
+        const workerState = this.getTabState(workerTabId);
+        if (workerState && workerState.isRunning) {
+          workerState.isPaused = true;
+          this.clearTabTimeout(workerTabId);
+          this.updateStatusOverlay(workerTabId, 'paused', 'Analysis Paused');
+        }
+      });
+    }
+
     this.log(`Automation paused on tab ${tabId}`);
-    await this.saveAutomationState();
+    await this.saveAutomationState(tabId);
     await this.sendMessageToPopup('automation-paused', {
       currentIndex: tabState.currentPromptIndex,
       total: tabState.prompts.length,
@@ -649,7 +876,11 @@ class AutomationManager {
       documentManager.addResponse(
         tabState.pendingResponse.index,
         tabState.pendingResponse.prompt,
-        tabState.pendingResponse.response
+        tabState.pendingResponse.response,
+        {
+          citations: tabState.pendingResponse.citations,
+          threadUrl: tabState.pendingResponse.threadUrl
+        }
       );
 
       // Create processed result for consistency
@@ -658,9 +889,12 @@ class AutomationManager {
         promptNumber: tabState.pendingResponse.index + 1,
         prompt: tabState.pendingResponse.prompt,
         response: tabState.pendingResponse.response,
+        citations: tabState.pendingResponse.citations || [],
+        threadUrl: tabState.pendingResponse.threadUrl || null,
+        threadId: tabState.pendingResponse.threadId || null,
         timestamp: tabState.pendingResponse.timestamp,
         success: true,
-        retryCount: 0,
+        retryCount: tabState.retryAttempts.get(tabState.pendingResponse.index) || 0,
         processingTime: 0,
         automationId: tabState.automationId
       };
@@ -684,7 +918,7 @@ class AutomationManager {
 
     this.updateTabState(tabId, { isPaused: false });
     this.log(`Automation resumed on tab ${tabId}`);
-    await this.saveAutomationState();
+    await this.saveAutomationState(tabId);
     await this.sendMessageToPopup('automation-resumed', {
       currentIndex: tabState.currentPromptIndex,
       total: tabState.prompts.length,
@@ -695,6 +929,22 @@ class AutomationManager {
     if (!tabState.isProcessingPrompt) {
       await this.processNextPrompt(tabId);
     }
+
+    // The other workers of a pool resume after this tab has released its prompt
+    const pool = tabState.poolId ? this.pools.get(tabState.poolId) : null;
+    if (pool) {
+      pool.workerTabIds.filter(workerTabId => workerTabId !== tabId).forEach(workerTabId => {
+        const workerState = this.getTabState(workerTabId);
+        if (workerState && workerState.isRunning && workerState.isPaused) {
+          workerState.isPaused = false;
+          this.updateStatusOverlay(workerTabId, 'progress', 'In Progress');
+          if (!workerState.isProcessingPrompt && pool.readyTabIds.has(workerTabId)) {
+            this.processNextPrompt(workerTabId);
+          }
+        }
+      });
+    }
+
     // Update overlay status
     await this.updateStatusOverlay(tabId, 'progress', 'In Progress');
   }
@@ -736,10 +986,43 @@ class AutomationManager {
       return;
     }
 
-    // Check if we've completed all prompts
-    if (tabState.currentPromptIndex >= tabState.prompts.length) {
-        await this.completeAutomation(tabId);
+    if (tabState.poolId) {
+      // Pool workers take the next runnable prompt from the shared prompt list
+      if (!this.claimPoolPrompt(tabId)) {
+        const pool = this.pools.get(tabState.poolId);
+        if (pool && pool.assignments.size === 0 && tabState.completedPrompts.size >= tabState.prompts.length) {
+          await this.completePool(pool.poolId);
+        }
         return;
+      }
+    } else {
+      // Skip prompts that were already answered (e.g. a pool run resumed in a single tab)
+      while (tabState.completedPrompts.has(tabState.currentPromptIndex)) {
+        tabState.currentPromptIndex++;
+      }
+
+      // Check if we've completed all prompts
+      if (tabState.currentPromptIndex >= tabState.prompts.length) {
+          await this.completeAutomation(tabId);
+          return;
+      }
+    }
+
+    // A condition pointing at itself, a later response or backwards is a configuration error, not a skip
+    const condition = tabState.prompts[tabState.currentPromptIndex].condition;
+    const conditionError = condition &&
+      TemplateEngine.validateCondition(condition, tabState.currentPromptIndex, tabState.prompts.length);
+    if (conditionError) {
+      this.logError(`Invalid condition: ${conditionError}`);
+      await this.recordFailedPrompt(tabId, tabState.currentPromptIndex, `Invalid condition: ${conditionError}`);
+      return;
+    }
+
+    // Conditions and branches are decided now that the responses they test are in
+    const skip = this.getConditionalSkip(tabState, tabState.currentPromptIndex);
+    if (skip) {
+      await this.skipPrompts(tabId, skip.indices, skip.reason);
+      return;
     }
 
     const currentPrompt = tabState.prompts[tabState.currentPromptIndex];
@@ -763,22 +1046,46 @@ class AutomationManager {
         throw new Error('Tab is no longer valid or not on Perplexity.ai');
       }
 
-    // Send prompt to content script with increased timeouts
-    // Send prompt to content script with infinite timeout mode
+      // Fill {{response:N}} references from the answers collected so far
+      const promptText = this.resolvePromptText(tabId, tabState.currentPromptIndex);
+      const promptIndex = tabState.currentPromptIndex;
+      const maxWaitTime = this.getPromptMaxWait(currentPrompt);
+      // Fresh thread before the run's first prompt (run setting), any prompt marked "new thread", or once the
+      // thread is full - unless the prompt builds on the previous answer and so needs its thread
+      const threadFull = this.settings.maxPromptsPerThread > 0 &&
+        tabState.threadPromptCount >= this.settings.maxPromptsPerThread &&
+        !currentPrompt.dependsOnPrevious;
+      const newThread = tabState.freshThreadIndex !== promptIndex &&
+        (currentPrompt.newThread || threadFull || (!tabState.threadStarted && this.settings.newThreadPerRun));
+      tabState.threadStarted = true;
+      tabState.threadPromptCount = (newThread || tabState.freshThreadIndex === promptIndex)
+        ? 1
+        : (tabState.threadPromptCount || 0) + 1;
+
+    // Send prompt to content script; it gives up after maxWaitTime (0 = wait forever)
     await browser.tabs.sendMessage(tabId, {
       type: 'execute-prompt',
-      prompt: currentPrompt.text,
-      index: tabState.currentPromptIndex,
+      prompt: promptText,
+      index: promptIndex,
       timeout: this.settings.timeout,
       responseTimeout: this.settings.responseTimeout,
       automationId: tabState.automationId,
-      infiniteWait: true, // NEW: Tell content script to never timeout
-      maxWaitTime: 0 // NEW: 0 = infinite wait
+      infiniteWait: maxWaitTime === 0,
+      maxWaitTime: maxWaitTime,
+      searchOptions: currentPrompt.searchOptions || null,
+      newThread: newThread
     });
 
       // Also store the start time for this prompt
       tabState.promptStartTime = Date.now();
 
+      // Watchdog in case the content script never reports back (tab reloaded, script crashed)
+      if (maxWaitTime > 0) {
+        this.setTabTimeout(tabId, () => {
+          this.handlePromptTimeout(tabId, promptIndex, `No response after ${this.formatDuration(maxWaitTime)}`);
+        }, maxWaitTime + 60000);
+      }
+
 
     } catch (error) {
       this.logError('Failed to send prompt to content script:', error);
@@ -786,6 +1093,97 @@ class AutomationManager {
     }
   }
 
+  /**
+   * Decide whether a conditional prompt runs.
+   * "run-if" skips only this prompt; "jump" skips this prompt and the ones before its target.
+   * @returns {{indices: Array<number>, reason: string}|null} Prompts to skip, or null to run the prompt
+   */
+  getConditionalSkip(tabState, index) {
+    const condition = tabState.prompts[index].condition;
+    if (!condition) {
+      return null;
+    }
+
+    const met = TemplateEngine.evaluateCondition(condition, tabState.processedResults);
+    const description = TemplateEngine.describeCondition(condition);
+
+    if (condition.action === 'jump') {
+      if (!met) {
+        return null;
+      }
+      const target = Math.min(Math.max((parseInt(condition.jumpTo, 10) || 0) - 1, index + 1), tabState.prompts.length);
+      const indices = [];
+      for (let i = index; i < target; i++) {
+        if (!tabState.completedPrompts.has(i)) indices.push(i);
+      }
+      const destination = target < tabState.prompts.length ? `prompt ${target + 1}` : 'the end';
+      return { indices, reason: `Jumped to ${destination} because ${description}` };
+    }
+
+    return met ? null : { indices: [index], reason: `Condition not met: ${description}` };
+  }
+
+  // Record prompts as skipped (not failed) and move on
+  async skipPrompts(tabId, indices, reason) {
+    const tabState = this.getTabState(tabId);
+
+    for (const index of indices) {
+      tabState.completedPrompts.add(index);
+      const skippedResult = {
+        index: index,
+        promptNumber: index + 1,
+        prompt: tabState.prompts[index],
+        response: '',
+        timestamp: Date.now(),
+        success: false,
+        skipped: true,
+        error: reason,
+        retryCount: 0,
+        processingTime: 0,
+        automationId: tabState.automationId
+      };
+      tabState.processedResults.push(skippedResult);
+      await this.savePromptResult(tabId, index, skippedResult);
+
+      this.log(`Prompt ${index + 1} skipped: ${reason}`);
+      await this.sendMessageToPopup('automation-progress', {
+        current: index + 1,
+        total: tabState.prompts.length,
+        prompt: tabState.prompts[index].text,
+        status: 'skipped',
+        error: reason
+      });
+    }
+
+    if (tabState.poolId) {
+      await this.handlePoolPromptDone(tabId);
+      return;
+    }
+
+    this.updateTabState(tabId, { currentPromptIndex: Math.max(...indices) + 1 });
+    await this.saveAutomationState(tabId);
+    await this.processNextPrompt(tabId);
+  }
+
+  // NEW: Resolve prompt chaining references against this tab's processed results
+  resolvePromptText(tabId, index) {
+    const tabState = this.getTabState(tabId);
+    const prompt = tabState.prompts[index];
+
+    const { text, missing } = TemplateEngine.renderResponseReferences(
+      prompt.text,
+      tabState.processedResults,
+      tabState.prompts
+    );
+    if (missing.length > 0) {
+      this.log(`Prompt ${index + 1} references unavailable responses: ${missing.join(', ')}`);
+    }
+
+    // Keep what was actually sent so documents and exports can show it
+    prompt.resolvedText = text;
+    return text;
+  }
+
   // Now accept tabId directly from the content script sender
   async handlePromptCompleted(result, tabId) {
     const tabState = this.getTabState(tabId);
@@ -800,6 +1198,14 @@ class AutomationManager {
     const idx = result.index;
     const promptNumber = idx + 1;
 
+    // An empty answer is treated like a failed attempt so the retry policy can resubmit it
+    if (!TemplateEngine.htmlToPlainText(result.response).trim() &&
+        !tabState.completedPrompts.has(idx)) {
+      this.updateTabState(tabId, { isProcessingPrompt: false });
+      await this.handlePromptFailed('Empty response', idx, tabId);
+      return;
+    }
+
     // ✅ ATOMIC CHECK AND LOCK MECHANISM
     // Initialize processing completion tracker if needed
     if (!tabState.processingCompletions) {
@@ -834,6 +1240,9 @@ class AutomationManager {
       promptNumber: promptNumber,
       prompt: tabState.prompts[idx],
       response: result.response || '',
+      citations: result.citations || [],
+      threadUrl: result.threadUrl || null, // Live Perplexity conversation behind this answer
+      threadId: result.threadId || null,
       timestamp: result.timestamp || Date.now(),
       success: true,
       retryCount: tabState.retryAttempts.get(idx) || 0,
@@ -866,6 +1275,9 @@ class AutomationManager {
           index: idx,
           prompt: tabState.prompts[idx],
           response: result.response || '',
+          citations: result.citations || [],
+          threadUrl: result.threadUrl || null,
+          threadId: result.threadId || null,
           timestamp: result.timestamp || Date.now()
         }
       });
@@ -884,7 +1296,10 @@ class AutomationManager {
     // Normal flow: Add response to background document manager
     if (result.response && result.response.length > 0) {
       const documentManager = this.getTabDocumentManager(tabId);
-      documentManager.addResponse(idx, tabState.prompts[idx], result.response);
+      documentManager.addResponse(idx, tabState.prompts[idx], result.response, {
+        citations: result.citations,
+        threadUrl: result.threadUrl
+      });
       // Notify popup about document update (if popup is open)
       const docMgr = this.getTabDocumentManager(tabId);
       await this.sendMessageToPopup('document-updated', {
@@ -894,12 +1309,17 @@ class AutomationManager {
       });
     }
 
+    if (tabState.poolId) {
+      await this.handlePoolPromptDone(tabId);
+      return;
+    }
+
     // Advance index
     this.updateTabState(tabId, {
       currentPromptIndex: tabState.currentPromptIndex + 1
     });
     tabState.retryAttempts.delete(idx);
-    await this.saveAutomationState();
+    await this.saveAutomationState(tabId);
 
     // Wait before next prompt or complete with adaptive delay for multi-tab scenarios
     if (tabState.currentPromptIndex < tabState.prompts.length) {
@@ -942,6 +1362,11 @@ class AutomationManager {
       return;
     }
 
+    if (!tabState.isRunning) {
+      this.log(`Ignoring failure on tab ${tabId}, automation is not running`);
+      return;
+    }
+
     const actualIndex = promptIndex !== undefined ? promptIndex : tabState.currentPromptIndex;
     const promptNumber = actualIndex + 1;
 
@@ -952,50 +1377,151 @@ class AutomationManager {
         return;
     }
 
-    // NEVER fail prompts - all "failures" are just extended waits
-    this.log(`Prompt ${promptNumber} timeout detected, continuing to wait for response...`);
+    const attempts = tabState.retryAttempts.get(actualIndex) || 0;
+    this.log(`Prompt ${promptNumber} failed (attempt ${attempts + 1}): ${error}`);
+
+    // Retry in place with exponential backoff while the per-prompt cap allows it
+    if (this.settings.enableRetries && this.isRetryableError(error) && attempts < this.settings.maxRetries) {
+      await this.schedulePromptRetry(tabId, actualIndex, error);
+      return;
+    }
 
-    // Update progress to show extended wait
+    // Out of retries: pause so the user can look at the tab, or record the failure and carry on
+    this.updateTabState(tabId, { isProcessingPrompt: false });
     await this.sendMessageToPopup('automation-progress', {
       current: promptNumber,
       total: tabState.prompts.length,
       prompt: tabState.prompts[actualIndex].text,
-      status: 'waiting-extended',
-      message: 'AI is taking longer than usual, continuing to wait...'
+      status: 'failed',
+      error: error
+    });
+
+    // Scheduled runs have nobody to click Resume, so they never pause on an error
+    const batch = this.tabBatches.get(tabId);
+    if (this.settings.pauseOnError && !(batch && batch.scheduleId)) {
+      await this.pauseAutomation(tabId);
+      await this.updateStatusOverlay(tabId, 'error', `Prompt ${promptNumber} Failed - Click Resume to Retry`);
+    } else {
+      await this.recordFailedPrompt(tabId, actualIndex, error);
+    }
+  }
+
+  // NEW: Per-prompt override (minutes, set in the prompt manager) or the global maximum wait
+  getPromptMaxWait(prompt) {
+    const minutes = parseFloat(prompt.maxWaitMinutes);
+    return minutes > 0 ? minutes * 60000 : (this.settings.maxPromptWait || 0);
+  }
+
+  // NEW: Give up on a prompt that hit its maximum wait and carry on with the run
+  async handlePromptTimeout(tabId, index, reason) {
+    const tabState = this.getTabState(tabId);
+    if (!tabState || !tabState.isRunning) return;
+
+    const promptIndex = index !== undefined ? index : tabState.currentPromptIndex;
+    if (promptIndex !== tabState.currentPromptIndex || tabState.completedPrompts.has(promptIndex)) {
+      this.log(`Ignoring stale timeout for prompt ${promptIndex + 1}`);
+      return;
+    }
+
+    this.clearTabTimeout(tabId);
+    this.log(`Prompt ${promptIndex + 1} timed out, skipping: ${reason}`);
+
+    // Stop the content script waiting for this answer
+    try {
+      await browser.tabs.sendMessage(tabId, { type: 'cancel-prompt' });
+    } catch (error) {
+      this.logError('Failed to cancel prompt in content script:', error);
+    }
+
+    await this.sendMessageToPopup('automation-progress', {
+      current: promptIndex + 1,
+      total: tabState.prompts.length,
+      prompt: tabState.prompts[promptIndex].text,
+      status: 'failed',
+      error: reason
     });
 
-    // DON'T reset processing flag here - let handlePromptCompleted do it properly
-    // This prevents race conditions where the next prompt starts before current one finishes
+    await this.recordFailedPrompt(tabId, promptIndex, reason);
+  }
+
+  // NEW: Resubmit the same prompt after retryDelay * 2^(attempt - 1), capped at maxRetryDelay
+  async schedulePromptRetry(tabId, index, error) {
+    const tabState = this.getTabState(tabId);
+    const retryCount = (tabState.retryAttempts.get(index) || 0) + 1;
+    tabState.retryAttempts.set(index, retryCount);
+
+    const delay = Math.min(
+      this.settings.retryDelay * Math.pow(2, retryCount - 1),
+      this.settings.maxRetryDelay
+    );
 
-    // Don't mark as completed or failed - just wait for eventual completion
-    // The content script should continue monitoring for the response
+    this.log(`Retrying prompt ${index + 1} in ${delay}ms (${retryCount}/${this.settings.maxRetries}): ${error}`);
+    this.updateTabState(tabId, { isProcessingPrompt: false });
+    await this.saveAutomationState(tabId);
 
-    // Set a recovery timer in case the prompt gets truly stuck
+    await this.sendMessageToPopup('automation-progress', {
+      current: index + 1,
+      total: tabState.prompts.length,
+      prompt: tabState.prompts[index].text,
+      status: 'retrying',
+      retryCount: retryCount,
+      maxRetries: this.settings.maxRetries,
+      error: error
+    });
+    await this.updateStatusOverlay(tabId, 'progress', `Retrying ${retryCount}/${this.settings.maxRetries}`);
+
+    // currentPromptIndex still points at the failed prompt, so processNextPrompt resubmits it
     this.setTabTimeout(tabId, () => {
-      this.handleStuckPrompt(tabId);
-    }, 300000); // 5 minutes before attempting recovery
+      if (tabState.isRunning && !tabState.isPaused) {
+        this.processNextPrompt(tabId);
+      }
+    }, delay);
   }
 
-  // NEW METHOD: Handle stuck prompts that need to be restarted
-  async handleStuckPrompt(tabId) {
+  // NEW: Store a failed result for the prompt and move on to the next one
+  async recordFailedPrompt(tabId, index, error) {
     const tabState = this.getTabState(tabId);
-    if (!tabState || !tabState.isRunning) {
+    if (!tabState || tabState.completedPrompts.has(index)) return;
+
+    tabState.completedPrompts.add(index);
+    const failedResult = {
+      index: index,
+      promptNumber: index + 1,
+      prompt: tabState.prompts[index],
+      response: '',
+      timestamp: Date.now(),
+      success: false,
+      error: error,
+      retryCount: tabState.retryAttempts.get(index) || 0,
+      processingTime: Date.now() - (tabState.promptStartTime || Date.now()),
+      automationId: tabState.automationId
+    };
+    tabState.processedResults.push(failedResult);
+    await this.savePromptResult(tabId, index, failedResult);
+
+    // Keep the section in the document with a "No response collected" placeholder
+    this.getTabDocumentManager(tabId).addFailedResponse(index, tabState.prompts[index], error);
+
+    if (tabState.poolId) {
+      this.updateTabState(tabId, { isProcessingPrompt: false });
+      await this.handlePoolPromptDone(tabId);
       return;
     }
 
-    const currentIndex = tabState.currentPromptIndex;
-    const promptNumber = currentIndex + 1;
-
-    // Check if this prompt is truly stuck (not processing and not completed)
-    if (!tabState.isProcessingPrompt && !tabState.completedPrompts.has(currentIndex)) {
-      this.log(`Restarting stuck prompt ${promptNumber}`);
+    this.updateTabState(tabId, {
+      currentPromptIndex: tabState.currentPromptIndex + 1,
+      isProcessingPrompt: false
+    });
+    await this.saveAutomationState(tabId);
 
-      // Restart the prompt execution (processNextPrompt will set isProcessingPrompt appropriately)
-      await this.processNextPrompt(tabId);
-    } else if (tabState.isProcessingPrompt) {
-      this.log(`Prompt ${promptNumber} is still processing, not restarting`);
-    } else if (tabState.completedPrompts.has(currentIndex)) {
-      this.log(`Prompt ${promptNumber} already completed, not restarting`);
+    if (tabState.currentPromptIndex < tabState.prompts.length) {
+      this.setTabTimeout(tabId, () => {
+        if (tabState.isRunning && !tabState.isPaused) {
+          this.processNextPrompt(tabId);
+        }
+      }, this.settings.delay);
+    } else {
+      await this.completeAutomation(tabId);
     }
   }
 
@@ -1023,6 +1549,8 @@ class AutomationManager {
 
   isRetryableError(error) {
     const retryableErrors = [
+      'perplexity error',
+      'empty response',
       'timeout',
       'network',
       'connection',
@@ -1065,8 +1593,13 @@ class AutomationManager {
     const documentManager = this.getTabDocumentManager(tabId);
     documentManager.finalizeDocument(summary);
 
-    // Clear automation state
-    await this.clearAutomationState();
+    // Keep the run in history; transient keys are still cleaned up below
+    await this.archiveRun(tabId, 'completed', summary);
+
+    // Clear automation checkpoint
+    await this.clearAutomationState(tabId);
+
+    const isBatchRow = this.tabBatches.has(tabId);
 
     // Notify popup
     await this.sendMessageToPopup('automation-complete', {
@@ -1074,11 +1607,27 @@ class AutomationManager {
       total: tabState.prompts.length,
       results: tabState.processedResults,
       summary: summary,
-      automationId: tabState.automationId
+      automationId: tabState.automationId,
+      tabId: tabId,
+      batch: isBatchRow // Batch rows are downloaded by the background
     });
 
     // ✅ Schedule automatic cleanup of this automation's data after 5 minutes
-    this.scheduleAutomationCleanup(tabId, tabState.automationId);
+    // Batch rows are cleaned up as soon as their document is downloaded
+    // A document waiting for review approval is cleaned up by review-approve, so it never times out
+    if (!isBatchRow) {
+      const { requireApproval } = await this.getAutoDownloadSettings();
+      if (requireApproval && !documentManager.document.approvedAt) {
+        this.downloadTracking.set(tabState.automationId, {
+          tabId: tabId,
+          status: 'awaiting_review',
+          timestamp: Date.now(),
+          cleanupScheduled: false
+        });
+      } else {
+        this.scheduleAutomationCleanup(tabId, tabState.automationId);
+      }
+    }
     await this.showCompletionNotification(summary);
 
     // 📧 Send completion email/SMS notification
@@ -1086,41 +1635,645 @@ class AutomationManager {
 
     // Update overlay status
     await this.updateStatusOverlay(tabId, 'complete', 'Analyses Complete');
+
+    // Continue with the next company if this run is part of a batch
+    if (isBatchRow) {
+      await this.handleBatchRowComplete(tabId, summary);
+    }
   }
 
-  /**
-   * Schedule cleanup of tab state and stored results after delay
-   */
-  scheduleAutomationCleanup(tabId, automationId, delayMs = 30 * 60 * 1000) { // Extended to 30 minutes
-      // Mark automation as awaiting download
-      this.downloadTracking.set(automationId, {
-          tabId: tabId,
-          status: 'awaiting_download',
-          timestamp: Date.now(),
-          cleanupScheduled: false
+  // NEW: Worker pool - the background opens extra Perplexity tabs and spreads independent prompts over them.
+  // All workers share the primary tab's results, retry counts and document, so the answers are
+  // reassembled in prompt order no matter which tab produced them.
+  async startPool(prompts, tabId, companyName, workerCount, options = {}) {
+    const count = Math.min(Math.max(parseInt(workerCount, 10) || 1, 1), 6);
+    if (count === 1) {
+      await this.startAutomation(prompts, tabId, companyName, options);
+      return;
+    }
+    if (this.hasRunningAutomation(tabId)) {
+      throw new Error(`Automation is already running on tab ${tabId}`);
+    }
+
+    const poolId = Date.now();
+    const pool = {
+      poolId,
+      primaryTabId: tabId,
+      workerTabIds: [tabId],
+      openedTabIds: [], // Tabs the pool opened itself and closes when done
+      readyTabIds: new Set([tabId]),
+      assignments: new Map(), // workerTabId -> prompt index in flight
+      completing: false
+    };
+    this.pools.set(poolId, pool);
+    this.log(`Starting worker pool ${poolId} with ${count} tabs`);
+
+    // The primary tab goes through the normal start path and owns the shared state
+    await this.startAutomation(prompts, tabId, companyName, { ...options, poolId });
+    const primaryState = this.getTabState(tabId);
+    const documentManager = this.getTabDocumentManager(tabId);
+
+    for (let i = 1; i < count; i++) {
+      const tab = await browser.tabs.create({ url: 'https://www.perplexity.ai/', active: false });
+      pool.workerTabIds.push(tab.id);
+      pool.openedTabIds.push(tab.id);
+
+      this.tabAutomations.set(tab.id, {
+        isRunning: true,
+        isPaused: false,
+        poolId: poolId,
+        prompts: primaryState.prompts,
+        currentPromptIndex: null,
+        automationId: primaryState.automationId,
+        processedResults: primaryState.processedResults,
+        retryAttempts: primaryState.retryAttempts,
+        completedPrompts: primaryState.completedPrompts,
+        processingCompletions: new Set(),
+        isProcessingPrompt: false,
+        currentTimeout: null
       });
+      this.tabDocumentManagers.set(tab.id, documentManager);
+      this.tabCompanyNames.set(tab.id, companyName || 'Company');
+      // The worker starts in handleContentScriptReady once the page has loaded
+    }
+  }
 
-      // Set up fallback cleanup after extended timeout
-      setTimeout(async () => {
-          const trackingInfo = this.downloadTracking.get(automationId);
-          if (trackingInfo && trackingInfo.status !== 'downloaded') {
-              this.log(`Fallback cleanup triggered for automation ${automationId} (no download detected)`);
-              await this.performCleanup(tabId, automationId);
-          }
-      }, delayMs);
+  // Prompts that use earlier answers, or pause after, run alone and in order
+  isSequentialPrompt(prompt) {
+    return !!prompt.pauseAfter ||
+      !!prompt.dependsOnPrevious ||
+      !!prompt.condition ||
+      TemplateEngine.findResponseReferences(prompt.text).length > 0;
   }
 
-  // NEW METHOD: Perform actual cleanup
-  async performCleanup(tabId, automationId) {
-      try {
-          // Clean up tab-specific state
-          this.cleanupTabState(tabId);
+  /**
+   * Give a pool worker the next prompt it may run
+   * @returns {boolean} false when nothing is runnable right now
+   */
+  claimPoolPrompt(tabId) {
+    const tabState = this.getTabState(tabId);
+    const pool = this.pools.get(tabState.poolId);
+    if (!pool || pool.completing) return false;
+
+    // Still holding an unanswered prompt (retry, or resume after a pause)
+    if (pool.assignments.has(tabId)) {
+      const heldIndex = pool.assignments.get(tabId);
+      if (!tabState.completedPrompts.has(heldIndex)) {
+        tabState.currentPromptIndex = heldIndex;
+        return true;
+      }
+      pool.assignments.delete(tabId);
+    }
 
-          // Clean up automation data
-          await browser.storage.local.remove(`automation_${automationId}`);
+    const inFlight = new Set(pool.assignments.values());
+    for (let i = 0; i < tabState.prompts.length; i++) {
+      const sequential = this.isSequentialPrompt(tabState.prompts[i]);
+      if (inFlight.has(i)) {
+        // Nothing after a sequential prompt starts before it is collected
+        if (sequential) return false;
+        continue;
+      }
+      if (tabState.completedPrompts.has(i)) continue;
 
-          // Clean up prompt results
-          const allKeys = Object.keys(await browser.storage.local.get());
+      // A sequential prompt waits for everything before it and runs on the primary tab
+      if (sequential && (inFlight.size > 0 || tabId !== pool.primaryTabId)) {
+        return false;
+      }
+
+      pool.assignments.set(tabId, i);
+      tabState.currentPromptIndex = i;
+      return true;
+    }
+    return false;
+  }
+
+  async handlePoolPromptDone(tabId) {
+    const tabState = this.getTabState(tabId);
+    const pool = this.pools.get(tabState.poolId);
+    if (!pool) return;
+
+    pool.assignments.delete(tabId);
+    await this.saveAutomationState(tabId);
+
+    if (pool.assignments.size === 0 && tabState.completedPrompts.size >= tabState.prompts.length) {
+      await this.completePool(pool.poolId);
+      return;
+    }
+
+    // This worker and any idle ones pick up whatever became runnable
+    this.schedulePoolWorkers(pool, tabId);
+  }
+
+  schedulePoolWorkers(pool, includeTabId = null) {
+    pool.workerTabIds.forEach(workerTabId => {
+      const workerState = this.getTabState(workerTabId);
+      if (!workerState || !workerState.isRunning || workerState.isPaused || !pool.readyTabIds.has(workerTabId)) return;
+      const isIdle = !workerState.isProcessingPrompt && !pool.assignments.has(workerTabId);
+      if (workerTabId !== includeTabId && !isIdle) return;
+
+      this.setTabTimeout(workerTabId, () => {
+        if (workerState.isRunning && !workerState.isPaused) {
+          this.processNextPrompt(workerTabId);
+        }
+      }, this.settings.delay);
+    });
+  }
+
+  async completePool(poolId) {
+    const pool = this.pools.get(poolId);
+    if (!pool || pool.completing) return;
+    pool.completing = true;
+
+    this.log(`Worker pool ${poolId} answered every prompt`);
+    await this.releasePoolWorkers(pool);
+    this.pools.delete(poolId);
+
+    // Finish as a normal run on the primary tab (summary, history, notifications, download)
+    const primaryState = this.getTabState(pool.primaryTabId);
+    if (primaryState) {
+      primaryState.poolId = null;
+      primaryState.currentPromptIndex = primaryState.prompts.length;
+      await this.completeAutomation(pool.primaryTabId);
+    }
+  }
+
+  // Stop and close the extra worker tabs; the primary tab keeps the shared results and document
+  async releasePoolWorkers(pool) {
+    for (const workerTabId of pool.workerTabIds) {
+      if (workerTabId === pool.primaryTabId) continue;
+
+      const workerState = this.getTabState(workerTabId);
+      if (workerState) {
+        workerState.isRunning = false;
+      }
+      this.clearTabTimeout(workerTabId);
+
+      // Detach the shared state first so cleanupTabState cannot clear it
+      this.tabAutomations.delete(workerTabId);
+      this.tabDocumentManagers.delete(workerTabId);
+      this.cleanupTabState(workerTabId);
+
+      if (pool.openedTabIds.includes(workerTabId)) {
+        await browser.tabs.remove(workerTabId).catch(() => {});
+      }
+    }
+    pool.workerTabIds = [pool.primaryTabId];
+  }
+
+  // A closed worker hands its prompt back to the pool; a closed primary tab stops the pool
+  async handlePoolTabRemoved(tabId) {
+    const pool = this.pools.get(this.getTabState(tabId).poolId);
+    if (tabId === pool.primaryTabId) {
+      await this.stopAutomation(tabId);
+      return;
+    }
+
+    this.log(`Pool worker tab ${tabId} was closed, returning its prompt to the pool`);
+    pool.assignments.delete(tabId);
+    pool.readyTabIds.delete(tabId);
+    pool.workerTabIds = pool.workerTabIds.filter(workerTabId => workerTabId !== tabId);
+    this.tabAutomations.delete(tabId);
+    this.tabDocumentManagers.delete(tabId);
+
+    this.schedulePoolWorkers(pool);
+  }
+
+  // NEW: Run the prompt set once per company, one after another on the same tab
+  async startBatch(rows /* array of { companyName, variables, prompts, documentTitle, reportTemplateId, reportValues } */, tabId, options = {}) {
+    if (this.tabBatches.has(tabId) || this.hasRunningAutomation(tabId)) {
+      throw new Error(`Automation is already running on tab ${tabId}`);
+    }
+
+    if (!rows || rows.length === 0) {
+      throw new Error('No companies provided');
+    }
+
+    const batch = {
+      batchId: Date.now(),
+      rows: rows,
+      currentRow: 0,
+      downloadDocuments: options.downloadDocuments !== false, // false = keep the documents in run history only
+      scheduleId: options.scheduleId || null,
+      results: rows.map(row => ({
+        companyName: row.companyName,
+        status: 'pending',
+        completed: 0,
+        total: row.prompts.length,
+        filename: null,
+        error: null
+      }))
+    };
+    this.tabBatches.set(tabId, batch);
+
+    this.log(`Starting batch of ${rows.length} companies on tab ${tabId}`);
+    await this.sendMessageToPopup('batch-started', this.getBatchSnapshot(batch));
+    await this.startBatchRow(tabId);
+  }
+
+  async startBatchRow(tabId) {
+    const batch = this.tabBatches.get(tabId);
+    if (!batch) {
+      return;
+    }
+
+    if (batch.currentRow >= batch.rows.length) {
+      await this.completeBatch(tabId);
+      await this.updateStatusOverlay(tabId, 'complete', 'Batch Complete');
+      return;
+    }
+
+    const row = batch.rows[batch.currentRow];
+    const rowResult = batch.results[batch.currentRow];
+    rowResult.status = 'running';
+
+    this.log(`Batch ${batch.batchId}: starting company ${batch.currentRow + 1}/${batch.rows.length} (${row.companyName})`);
+    await this.sendMessageToPopup('batch-progress', this.getBatchSnapshot(batch));
+
+    try {
+      await this.updateTabTitle(tabId, row.companyName);
+      await this.startAutomation(row.prompts, tabId, row.companyName, {
+        documentTitle: row.documentTitle,
+        reportTemplateId: row.reportTemplateId,
+        reportValues: row.reportValues
+      });
+    } catch (error) {
+      this.logError(`Batch row for ${row.companyName} failed to start:`, error);
+      rowResult.status = 'failed';
+      rowResult.error = error.message;
+      batch.currentRow++;
+      await this.startBatchRow(tabId);
+    }
+  }
+
+  async handleBatchRowComplete(tabId, summary) {
+    const batch = this.tabBatches.get(tabId);
+    const tabState = this.getTabState(tabId);
+    if (!batch || !tabState) {
+      return;
+    }
+
+    const rowResult = batch.results[batch.currentRow];
+    rowResult.completed = summary.successful;
+    rowResult.total = summary.total;
+    rowResult.status = summary.failed > 0 ? 'failed' : 'completed';
+    if (summary.failed > 0) {
+      rowResult.error = `${summary.failed} prompt(s) failed`;
+    }
+
+    if (batch.downloadDocuments) {
+      // The row's document stays on the tab until it is approved on the review page; the batch waits for it.
+      // Scheduled runs are unattended, so they download straight away rather than block later occurrences.
+      const { requireApproval } = await this.getAutoDownloadSettings();
+      if (requireApproval && !batch.scheduleId) {
+        rowResult.awaitingReview = true;
+        this.log(`Batch ${batch.batchId}: waiting for review approval of ${rowResult.companyName}`);
+        await this.sendMessageToPopup('batch-progress', this.getBatchSnapshot(batch));
+        await this.handleShowNotification({
+          title: 'Perplexity AI Automator - Review Needed',
+          message: `📝 Review and approve the document for ${rowResult.companyName} to continue the batch`,
+          notificationType: 'info'
+        });
+        return;
+      }
+
+      try {
+        // Same format the popup downloads single runs in
+        const { format } = await new DocumentManager().loadReportSettings();
+        rowResult.filename = await this.downloadTabDocument(tabId, rowResult.companyName, format);
+      } catch (error) {
+        this.logError(`Failed to download document for ${rowResult.companyName}:`, error);
+        rowResult.status = 'failed';
+        rowResult.error = `Document download failed: ${error.message}`;
+      }
+    }
+
+    await this.advanceBatch(tabId);
+  }
+
+  // NEW: Called once the row waiting for review has been approved and downloaded
+  async resumeBatchAfterReview(tabId, filename) {
+    const batch = this.tabBatches.get(tabId);
+    const rowResult = batch && batch.results[batch.currentRow];
+    if (!rowResult || !rowResult.awaitingReview) {
+      return;
+    }
+
+    rowResult.awaitingReview = false;
+    rowResult.filename = filename;
+    await this.advanceBatch(tabId);
+  }
+
+  async advanceBatch(tabId) {
+    const batch = this.tabBatches.get(tabId);
+    const tabState = this.getTabState(tabId);
+
+    // Free this company's state before the next row reuses the tab
+    await this.performCleanup(tabId, tabState.automationId);
+
+    batch.currentRow++;
+    await this.sendMessageToPopup('batch-progress', this.getBatchSnapshot(batch));
+
+    // Wait before starting the next company, same as between prompts
+    this.setTabTimeout(tabId, () => {
+      this.startBatchRow(tabId);
+    }, this.settings.delay);
+  }
+
+  async cancelBatch(tabId, reason) {
+    const batch = this.tabBatches.get(tabId);
+    if (!batch) {
+      return;
+    }
+
+    batch.results.forEach(rowResult => {
+      if (rowResult.status === 'running') {
+        rowResult.status = 'failed';
+        rowResult.error = reason;
+      } else if (rowResult.status === 'pending') {
+        rowResult.status = 'skipped';
+        rowResult.error = reason;
+      }
+    });
+
+    this.log(`Batch ${batch.batchId} cancelled: ${reason}`);
+    await this.completeBatch(tabId);
+  }
+
+  async completeBatch(tabId) {
+    const batch = this.tabBatches.get(tabId);
+    if (!batch) {
+      return;
+    }
+    this.tabBatches.delete(tabId);
+    this.clearTabTimeout(tabId);
+
+    const completed = batch.results.filter(r => r.status === 'completed').length;
+    const failed = batch.results.length - completed;
+    const batchSummary = {
+      batchId: batch.batchId,
+      total: batch.results.length,
+      completed,
+      failed,
+      duration: Date.now() - batch.batchId,
+      finishedAt: Date.now(),
+      results: batch.results
+    };
+
+    try {
+      await browser.storage.local.set({ lastBatchSummary: batchSummary });
+    } catch (error) {
+      this.logError('Failed to save batch summary:', error);
+    }
+
+    this.log(`Batch ${batch.batchId} finished: ${completed} completed, ${failed} failed`);
+    await this.sendMessageToPopup('batch-complete', batchSummary);
+    await this.handleShowNotification({
+      title: 'Perplexity AI Automator - Batch Complete',
+      message: `✅ ${completed}/${batchSummary.total} companies finished${failed > 0 ? `, ${failed} failed` : ''} in ${this.formatDuration(batchSummary.duration)}`,
+      notificationType: failed > 0 ? 'warning' : 'success'
+    });
+
+    if (batch.scheduleId) {
+      await this.finishScheduledRun(tabId, batch.scheduleId, batchSummary);
+    }
+  }
+
+  getBatchSnapshot(batch) {
+    return {
+      batchId: batch.batchId,
+      currentRow: batch.currentRow,
+      total: batch.rows.length,
+      results: batch.results
+    };
+  }
+
+  /**
+   * Build the report for the tab's collected responses and save it via the downloads API
+   * @param {number} tabId Tab whose responses to use
+   * @param {string} companyName Company for the title and filename
+   * @param {string} format 'docx', 'pdf', 'md' or 'html'
+   * @returns {Promise<string|null>} Saved filename, or null when the PDF save dialog was cancelled
+   */
+  async downloadTabDocument(tabId, companyName, format = 'docx') {
+    const manager = new DocumentManager();
+    manager.companyName = companyName || 'Company';
+    manager.loadBackgroundDocument(this.getTabDocumentManager(tabId).document);
+
+    if (!manager.hasResponses()) {
+      throw new Error('No responses collected');
+    }
+
+    let blob;
+    switch (format) {
+      case 'pdf':
+        return this.saveReportAsPdf(manager);
+      case 'md':
+        blob = new Blob([await manager.generateMarkdown()], { type: 'text/markdown' });
+        break;
+      case 'html':
+        blob = new Blob([await manager.generateStandaloneHTML()], { type: 'text/html' });
+        break;
+      default:
+        format = 'docx';
+        blob = await manager.generateDocxBlob();
+    }
+
+    const filename = manager.buildFilename(format);
+    const url = URL.createObjectURL(blob);
+
+    try {
+      await browser.downloads.download({ url, filename, saveAs: false });
+    } finally {
+      // Revoke once the download has had time to read the blob
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    this.log(`Document downloaded: ${filename}`);
+    return filename;
+  }
+
+  /**
+   * Send one prompt of the tab's document again and replace its section with the new answer (review page)
+   * @param {number} tabId Perplexity tab the document was collected on
+   * @param {number} index Prompt index of the section
+   * @returns {Promise<void>} Resolves once the section holds the new answer
+   */
+  async rerunPrompt(tabId, index) {
+    const tabState = this.getTabState(tabId);
+    if (tabState && tabState.isRunning) {
+      throw new Error('Wait for the run on this tab to finish');
+    }
+    if (this.reruns.has(tabId)) {
+      throw new Error('A prompt is already being re-run on this tab');
+    }
+    if (!(await this.validateTab(tabId))) {
+      throw new Error('The tab is no longer open on Perplexity');
+    }
+
+    const manager = this.getTabDocumentManager(tabId);
+    const entry = manager.document.responses.find(r => r.index === index);
+    if (!entry) {
+      throw new Error('Section not found');
+    }
+    const prompt = typeof entry.prompt === 'object' && entry.prompt ? entry.prompt : { text: entry.prompt || '' };
+
+    // {{response:N}} references take the answers now in the document, including edited ones
+    const prompts = Array.from({ length: Math.max(...manager.document.responses.map(r => r.index)) + 1 }, () => ({}));
+    manager.document.responses.forEach(r => {
+      if (typeof r.prompt === 'object' && r.prompt) prompts[r.index] = r.prompt;
+    });
+    const { text } = TemplateEngine.renderResponseReferences(prompt.text, manager.document.responses, prompts);
+    const maxWaitTime = this.getPromptMaxWait(prompt);
+
+    this.log(`Re-running prompt ${index + 1} on tab ${tabId}`);
+    await new Promise((resolve, reject) => {
+      const rerun = { index, entryPrompt: entry.prompt, prompt, promptText: text, maxWaitTime, resolve, reject, reloading: false };
+      this.reruns.set(tabId, rerun);
+      // The review page waits on this, so a re-run without a maximum wait still gives up after 30 minutes
+      const giveUpAfter = maxWaitTime > 0 ? maxWaitTime : 30 * 60000;
+      rerun.watchdog = setTimeout(() => {
+        this.finishRerun(tabId, null, `No response after ${this.formatDuration(giveUpAfter)}`);
+      }, giveUpAfter + 60000);
+      // A fresh thread keeps the run's other answers out of the re-run's context
+      this.sendRerunPrompt(tabId, !prompt.dependsOnPrevious).catch(error => this.finishRerun(tabId, null, error.message));
+    });
+  }
+
+  async sendRerunPrompt(tabId, newThread) {
+    const rerun = this.reruns.get(tabId);
+    if (!rerun) return;
+
+    await browser.tabs.sendMessage(tabId, {
+      type: 'execute-prompt',
+      prompt: rerun.promptText,
+      index: rerun.index,
+      timeout: this.settings.timeout,
+      responseTimeout: this.settings.responseTimeout,
+      automationId: null,
+      infiniteWait: rerun.maxWaitTime === 0,
+      maxWaitTime: rerun.maxWaitTime,
+      searchOptions: rerun.prompt.searchOptions || null,
+      newThread: newThread
+    });
+  }
+
+  // Put the re-run's answer in the document, or report why there is none
+  finishRerun(tabId, result, error) {
+    const rerun = this.reruns.get(tabId);
+    if (!rerun) return;
+    clearTimeout(rerun.watchdog);
+    this.reruns.delete(tabId);
+
+    if (!error && !TemplateEngine.htmlToPlainText(result.response).trim()) {
+      error = 'Empty response';
+    }
+    if (error) {
+      this.log(`Re-run of prompt ${rerun.index + 1} failed: ${error}`);
+      rerun.reject(new Error(error));
+      return;
+    }
+
+    this.getTabDocumentManager(tabId).addResponse(rerun.index, rerun.entryPrompt, result.response, {
+      citations: result.citations,
+      threadUrl: result.threadUrl
+    });
+    this.log(`Re-run of prompt ${rerun.index + 1} collected`);
+    rerun.resolve();
+  }
+
+  /**
+   * Open the standalone HTML report in a tab and save it with Firefox's PDF printer; the template's header,
+   * footer, page numbers and margins go in the print settings
+   * @param {DocumentManager} manager Report to save
+   * @returns {Promise<string|null>} Saved filename, or null when the save dialog was cancelled
+   */
+  async saveReportAsPdf(manager) {
+    const html = await manager.generateStandaloneHTML();
+    const template = await manager.loadReportTemplate();
+    const values = manager.getReportValues();
+    const filename = manager.buildFilename('pdf');
+    const reportId = `report_${Date.now()}`;
+
+    let timeout;
+    const ready = new Promise((resolve, reject) => {
+      this.reportViews.set(reportId, { html, resolve });
+      timeout = setTimeout(() => reject(new Error('The report page did not load')), 30000);
+    });
+    // Handled by the await below; this keeps a rejection while the tab is still opening from going unhandled
+    ready.catch(() => {});
+
+    let tab = null;
+    try {
+      tab = await browser.tabs.create({ url: browser.runtime.getURL(`report-view.html?report=${reportId}`), active: true });
+      await ready;
+      // saveAsPDF prints the active tab, which is the report tab just opened
+      const status = await browser.tabs.saveAsPDF({
+        toFileName: filename,
+        marginTop: template.margins.top,
+        marginRight: template.margins.right,
+        marginBottom: template.margins.bottom,
+        marginLeft: template.margins.left,
+        headerLeft: '',
+        headerCenter: '',
+        headerRight: ReportTemplateStore.renderText(template.headerText, values),
+        footerLeft: ReportTemplateStore.renderText(template.footerText, values),
+        footerCenter: '',
+        footerRight: template.pageNumbers ? '&PT' : '', // "Page of total"
+        showBackgroundColors: true,
+        showBackgroundImages: true
+      });
+
+      if (status === 'canceled' || status === 'not_replaced') {
+        this.log('PDF export cancelled');
+        return null;
+      }
+      if (status !== 'saved' && status !== 'replaced') {
+        throw new Error(`PDF not saved (${status})`);
+      }
+      this.log(`Document saved as PDF: ${filename}`);
+      return filename;
+    } finally {
+      clearTimeout(timeout);
+      this.reportViews.delete(reportId);
+      if (tab) {
+        await browser.tabs.remove(tab.id).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Schedule cleanup of tab state and stored results after delay
+   */
+  scheduleAutomationCleanup(tabId, automationId, delayMs = 30 * 60 * 1000) { // Extended to 30 minutes
+      // Mark automation as awaiting download
+      this.downloadTracking.set(automationId, {
+          tabId: tabId,
+          status: 'awaiting_download',
+          timestamp: Date.now(),
+          cleanupScheduled: false
+      });
+
+      // Set up fallback cleanup after extended timeout
+      setTimeout(async () => {
+          const trackingInfo = this.downloadTracking.get(automationId);
+          if (trackingInfo && trackingInfo.status !== 'downloaded') {
+              this.log(`Fallback cleanup triggered for automation ${automationId} (no download detected)`);
+              await this.performCleanup(tabId, automationId);
+          }
+      }, delayMs);
+  }
+
+  // NEW METHOD: Perform actual cleanup
+  async performCleanup(tabId, automationId) {
+      try {
+          // Clean up tab-specific state
+          this.cleanupTabState(tabId);
+
+          // Clean up automation data
+          await browser.storage.local.remove(`automation_${automationId}`);
+
+          // Clean up prompt results
+          const allKeys = Object.keys(await browser.storage.local.get());
           const keysToRemove = allKeys.filter(key =>
               key.startsWith(`promptResult_${automationId}_`)
           );
@@ -1163,26 +2316,511 @@ class AutomationManager {
       }
   }
 
+  // NEW: Cleanup for a single run whose document was held for review and has now been downloaded
+  async cleanupAfterReview(tabId) {
+      for (const [automationId, trackingInfo] of this.downloadTracking) {
+          if (trackingInfo.tabId === tabId && trackingInfo.status === 'awaiting_review') {
+              this.log(`Performing cleanup after review approval for automation ${automationId}`);
+              await this.performCleanup(tabId, automationId);
+          }
+      }
+  }
+
+  // NEW: Auto-download settings saved by the popup; requireApproval holds batch downloads for the review page
+  async getAutoDownloadSettings() {
+    try {
+      const result = await browser.storage.local.get(['autoDownloadSettings']);
+      return { enabled: true, requireApproval: false, ...(result.autoDownloadSettings || {}) };
+    } catch (error) {
+      this.logError('Failed to load auto-download settings:', error);
+      return { enabled: true, requireApproval: false };
+    }
+  }
+
+  // NEW: Run history - kept until the retention settings remove it, unlike the transient keys above
+  async getHistorySettings() {
+    try {
+      const result = await browser.storage.local.get(['historySettings']);
+      return { maxRuns: 50, maxDays: 0, ...(result.historySettings || {}) };
+    } catch (error) {
+      this.logError('Failed to get history settings:', error);
+      return { maxRuns: 50, maxDays: 0 };
+    }
+  }
+
+  async updateHistorySettings(settings) {
+    const historySettings = {
+      maxRuns: Math.max(0, parseInt(settings.maxRuns, 10) || 0),
+      maxDays: Math.max(0, parseInt(settings.maxDays, 10) || 0)
+    };
+    await browser.storage.local.set({ historySettings });
+    this.log('History settings updated:', historySettings);
+    return this.pruneRunHistory();
+  }
+
+  async getRunHistory() {
+    const result = await browser.storage.local.get(['runHistory']);
+    return result.runHistory || [];
+  }
+
+  async getRunDetails(automationId) {
+    const key = `runHistory_${automationId}`;
+    const result = await browser.storage.local.get([key]);
+    return result[key] || null;
+  }
+
+  async archiveRun(tabId, status, summary) {
+    const tabState = this.getTabState(tabId);
+    if (!tabState) return;
+
+    try {
+      const documentManager = this.getTabDocumentManager(tabId);
+      const finishedAt = Date.now();
+      const entry = {
+        automationId: tabState.automationId,
+        tabId: tabId, // Lets the popup list a tab's own runs first
+        companyName: this.tabCompanyNames.get(tabId) || 'Company',
+        status: status,
+        startedAt: tabState.automationId,
+        finishedAt: finishedAt,
+        duration: finishedAt - tabState.automationId,
+        promptCount: tabState.prompts.length,
+        completed: tabState.processedResults.filter(r => r.success).length,
+        failed: tabState.processedResults.filter(r => !r.success && !r.skipped).length,
+        skipped: tabState.processedResults.filter(r => r.skipped).length
+      };
+
+      const run = {
+        ...entry,
+        prompts: tabState.prompts,
+        results: tabState.processedResults,
+        summary: summary,
+        document: JSON.parse(JSON.stringify(documentManager.document))
+      };
+
+      // A resumed run replaces its earlier (stopped) entry
+      const history = (await this.getRunHistory()).filter(r => r.automationId !== entry.automationId);
+      history.unshift(entry);
+
+      await browser.storage.local.set({
+        runHistory: history,
+        [`runHistory_${entry.automationId}`]: run
+      });
+      this.log(`Run ${entry.automationId} archived to history (${status})`);
+
+      await this.pruneRunHistory();
+    } catch (error) {
+      this.logError('Failed to archive run:', error);
+    }
+  }
+
+  async deleteRun(automationId) {
+    const history = (await this.getRunHistory()).filter(r => r.automationId !== automationId);
+    await browser.storage.local.set({ runHistory: history });
+    await browser.storage.local.remove(`runHistory_${automationId}`);
+    this.log(`Run ${automationId} deleted from history`);
+  }
+
+  /**
+   * Apply the retention settings: keep the newest maxRuns runs and drop runs older than maxDays (0 = no limit)
+   * @returns {Promise<number>} Number of runs removed
+   */
+  async pruneRunHistory() {
+    try {
+      const { maxRuns, maxDays } = await this.getHistorySettings();
+      const history = await this.getRunHistory();
+      const cutoff = maxDays > 0 ? Date.now() - maxDays * 24 * 60 * 60 * 1000 : 0;
+
+      const kept = history.filter((run, position) =>
+        (maxRuns === 0 || position < maxRuns) && run.finishedAt >= cutoff
+      );
+      const removed = history.filter(run => !kept.includes(run));
+      if (removed.length === 0) return 0;
+
+      await browser.storage.local.set({ runHistory: kept });
+      await browser.storage.local.remove(removed.map(run => `runHistory_${run.automationId}`));
+      this.log(`Pruned ${removed.length} run(s) from history`);
+      return removed.length;
+    } catch (error) {
+      this.logError('Failed to prune run history:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Full-text search over the company names and responses of every archived run
+   * @param {string} query Case-insensitive search text
+   * @returns {Promise<Array<{automationId: number, responses: Array<{index: number, nickname: string, snippet: string}>}>>}
+   */
+  async searchRunHistory(query) {
+    const needle = String(query || '').trim().toLowerCase();
+    const history = await this.getRunHistory();
+    if (!needle) return [];
+
+    const keys = history.map(run => `runHistory_${run.automationId}`);
+    const stored = await browser.storage.local.get(keys);
+    const matches = [];
+
+    history.forEach(entry => {
+      const run = stored[`runHistory_${entry.automationId}`];
+      if (!run) return;
+
+      const responses = [];
+      (run.results || []).forEach(result => {
+        const text = TemplateEngine.htmlToPlainText(result.response);
+        const position = text.toLowerCase().indexOf(needle);
+        if (position === -1) return;
+
+        const start = Math.max(0, position - 60);
+        const end = Math.min(text.length, position + needle.length + 60);
+        responses.push({
+          index: result.index,
+          nickname: (result.prompt && result.prompt.nickname) || `Prompt ${result.index + 1}`,
+          snippet: `${start > 0 ? '…' : ''}${text.substring(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`
+        });
+      });
+
+      if (responses.length > 0 || entry.companyName.toLowerCase().includes(needle)) {
+        matches.push({ automationId: entry.automationId, responses });
+      }
+    });
+
+    return matches;
+  }
+
+  // NEW: Scheduled runs - browser.alarms starts the saved prompt set for a list of companies on its own tab.
+  // Schedules live in the "schedules" storage key; nextRunAt is the source of truth, alarms are re-armed from it.
+  setupScheduleListeners() {
+    browser.alarms.onAlarm.addListener((alarm) => {
+      this.handleAlarm(alarm);
+    });
+    // Runs that came due while offline start once the connection is back
+    window.addEventListener('online', () => {
+      this.log('Browser is back online, checking for missed schedules');
+      this.restoreSchedules();
+    });
+  }
+
+  async getSchedules() {
+    try {
+      const result = await browser.storage.local.get(['schedules']);
+      return result.schedules || [];
+    } catch (error) {
+      this.logError('Failed to get schedules:', error);
+      return [];
+    }
+  }
+
+  async setSchedules(schedules) {
+    await browser.storage.local.set({ schedules });
+  }
+
+  getScheduleAlarmName(scheduleId) {
+    return `schedule_${scheduleId}`;
+  }
+
+  /**
+   * Create or update a schedule and arm its alarm
+   * @param {Object} input { id?, name, companies, promptSetId, frequency: 'once'|'daily'|'weekly', date, dayOfWeek, time: 'HH:MM', output: 'download'|'archive', enabled }
+   * @returns {Object} The stored schedule
+   */
+  async saveSchedule(input) {
+    const companies = (input.companies || []).map(name => String(name).trim()).filter(Boolean);
+    if (companies.length === 0) {
+      throw new Error('Add at least one company');
+    }
+    if (!/^\d{1,2}:\d{2}$/.test(input.time || '')) {
+      throw new Error('Enter a time as HH:MM');
+    }
+    if (!['once', 'daily', 'weekly'].includes(input.frequency)) {
+      throw new Error(`Unknown frequency: ${input.frequency}`);
+    }
+
+    const schedules = await this.getSchedules();
+    const existing = schedules.find(s => s.id === input.id);
+    const schedule = {
+      ...(existing || { id: Date.now(), createdAt: Date.now(), lastRunAt: null, lastStatus: null, lastMessage: null }),
+      name: String(input.name || '').trim() || companies.join(', '),
+      companies: companies,
+      frequency: input.frequency,
+      date: input.date || null,
+      dayOfWeek: parseInt(input.dayOfWeek, 10) || 0,
+      time: input.time,
+      output: input.output === 'archive' ? 'archive' : 'download',
+      promptSetId: input.promptSetId || null, // null = the set selected in the popup
+      enabled: input.enabled !== false,
+      missedWhileOffline: false
+    };
+
+    schedule.nextRunAt = this.computeNextRun(schedule, Date.now());
+    if (schedule.enabled && !schedule.nextRunAt) {
+      throw new Error('The scheduled time is in the past');
+    }
+
+    const index = schedules.findIndex(s => s.id === schedule.id);
+    if (index >= 0) {
+      schedules[index] = schedule;
+    } else {
+      schedules.push(schedule);
+    }
+    await this.setSchedules(schedules);
+    await this.armSchedule(schedule);
+
+    this.log(`Schedule ${schedule.id} saved, next run ${schedule.nextRunAt ? new Date(schedule.nextRunAt).toString() : 'never'}`);
+    return schedule;
+  }
+
+  async deleteSchedule(scheduleId) {
+    const schedules = await this.getSchedules();
+    await this.setSchedules(schedules.filter(s => s.id !== scheduleId));
+    await browser.alarms.clear(this.getScheduleAlarmName(scheduleId));
+    this.log(`Schedule ${scheduleId} deleted`);
+  }
+
+  /**
+   * Next time a schedule is due after a given moment
+   * @returns {number|null} Timestamp, or null for a one-off schedule that has passed
+   */
+  computeNextRun(schedule, after) {
+    const [hours, minutes] = schedule.time.split(':').map(part => parseInt(part, 10));
+
+    if (schedule.frequency === 'once') {
+      if (!schedule.date) return null;
+      const [year, month, day] = schedule.date.split('-').map(part => parseInt(part, 10));
+      const when = new Date(year, month - 1, day, hours, minutes).getTime();
+      return when > after ? when : null;
+    }
+
+    const next = new Date(after);
+    next.setHours(hours, minutes, 0, 0);
+    if (schedule.frequency === 'weekly') {
+      next.setDate(next.getDate() + ((schedule.dayOfWeek - next.getDay() + 7) % 7));
+    }
+    if (next.getTime() <= after) {
+      next.setDate(next.getDate() + (schedule.frequency === 'weekly' ? 7 : 1));
+    }
+    return next.getTime();
+  }
+
+  async armSchedule(schedule) {
+    const alarmName = this.getScheduleAlarmName(schedule.id);
+    await browser.alarms.clear(alarmName);
+    if (schedule.enabled && schedule.nextRunAt) {
+      browser.alarms.create(alarmName, { when: schedule.nextRunAt });
+    }
+  }
+
+  // Re-arm every schedule and catch up on those that came due while the browser was closed or offline.
+  // A schedule that missed several occurrences still runs only once.
+  async restoreSchedules() {
+    const schedules = await this.getSchedules();
+    const now = Date.now();
+
+    for (const schedule of schedules) {
+      if (!schedule.enabled) continue;
+      if (schedule.missedWhileOffline || (schedule.nextRunAt && schedule.nextRunAt <= now)) {
+        this.log(`Schedule ${schedule.id} missed its run at ${new Date(schedule.nextRunAt).toString()}, catching up`);
+        await this.runSchedule(schedule.id, 'catch-up');
+      } else {
+        await this.armSchedule(schedule);
+      }
+    }
+  }
+
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith('schedule_')) {
+      return;
+    }
+    const scheduleId = parseInt(alarm.name.substring('schedule_'.length), 10);
+
+    if (!navigator.onLine) {
+      // Keep it due; the online listener starts it when the connection returns
+      this.log(`Schedule ${scheduleId} came due while offline, waiting for the connection`);
+      await this.updateSchedule(scheduleId, { missedWhileOffline: true });
+      return;
+    }
+    await this.runSchedule(scheduleId, 'alarm');
+  }
+
+  async updateSchedule(scheduleId, updates) {
+    const schedules = await this.getSchedules();
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule) {
+      return null;
+    }
+    Object.assign(schedule, updates);
+    await this.setSchedules(schedules);
+    return schedule;
+  }
+
+  /**
+   * Start a schedule: advance its next run, then open a Perplexity tab and run the batch there
+   * @param {number} scheduleId
+   * @param {string} trigger 'alarm', 'catch-up' or 'manual'
+   */
+  async runSchedule(scheduleId, trigger) {
+    const schedules = await this.getSchedules();
+    const schedule = schedules.find(s => s.id === scheduleId);
+    if (!schedule) {
+      this.log(`Schedule ${scheduleId} no longer exists`);
+      return;
+    }
+
+    // An alarm and the startup catch-up can race for the same occurrence
+    if (trigger !== 'manual' && (!schedule.enabled || !schedule.nextRunAt || schedule.nextRunAt - Date.now() > 60000)) {
+      this.log(`Schedule ${scheduleId} is not due, ignoring ${trigger}`);
+      return;
+    }
+
+    const alreadyRunning = Array.from(this.scheduledTabs.values()).some(run => run.scheduleId === scheduleId);
+    if (alreadyRunning) {
+      this.log(`Schedule ${scheduleId} is still running, skipping this occurrence`);
+      return;
+    }
+
+    // Move on to the next occurrence first so a failure below cannot re-trigger this one
+    const now = Date.now();
+    const updates = { missedWhileOffline: false };
+    if (trigger !== 'manual') {
+      updates.nextRunAt = schedule.frequency === 'once' ? null : this.computeNextRun(schedule, now);
+      updates.enabled = schedule.frequency !== 'once';
+    }
+    Object.assign(schedule, updates);
+    await this.armSchedule(schedule);
+
+    try {
+      const rows = await this.buildScheduledRows(schedule);
+      const tab = await browser.tabs.create({ url: 'https://www.perplexity.ai/', active: false });
+      this.scheduledTabs.set(tab.id, {
+        scheduleId: schedule.id,
+        rows: rows,
+        downloadDocuments: schedule.output !== 'archive',
+        started: false
+      });
+
+      // The batch starts in handleContentScriptReady; give up if the page never loads
+      setTimeout(() => {
+        const run = this.scheduledTabs.get(tab.id);
+        if (run && !run.started) {
+          this.scheduledTabs.delete(tab.id);
+          browser.tabs.remove(tab.id).catch(() => {});
+          this.failScheduledRun(schedule.id, 'Perplexity did not load');
+        }
+      }, 120000);
+
+      Object.assign(schedule, {
+        lastRunAt: now,
+        lastStatus: 'running',
+        lastMessage: trigger === 'catch-up' ? 'Started late (missed while the browser was closed or offline)' : null
+      });
+      this.log(`Schedule ${schedule.id} started on tab ${tab.id} (${trigger})`);
+    } catch (error) {
+      this.logError(`Schedule ${schedule.id} could not start:`, error);
+      Object.assign(schedule, { lastRunAt: now, lastStatus: 'failed', lastMessage: error.message });
+      await this.handleShowNotification({
+        title: 'Perplexity AI Automator - Scheduled Run Failed',
+        message: `❌ ${schedule.name}: ${error.message}`,
+        notificationType: 'error'
+      });
+    }
+
+    await this.setSchedules(schedules);
+  }
+
+  // Render the schedule's prompt set once per company, like the popup does for a CSV batch
+  async buildScheduledRows(schedule) {
+    const promptSet = await PromptSetStore.getSet(schedule.promptSetId);
+    const prompts = (promptSet.prompts || []).map(p => typeof p === 'string' ? { text: p } : p);
+    if (prompts.length === 0) {
+      throw new Error(`Prompt set "${promptSet.name}" has no prompts`);
+    }
+
+    const variables = TemplateEngine.collectVariables(prompts)
+      .filter(variable => variable.name !== TemplateEngine.COMPANY_VARIABLE);
+    const values = { ...(promptSet.variableValues || {}) };
+    const missing = TemplateEngine.findMissing(variables, values);
+    if (missing.length > 0) {
+      throw new Error(`Missing template values: ${missing.join(', ')}`);
+    }
+
+    return schedule.companies.map(companyName => ({
+      companyName: companyName,
+      variables: {},
+      documentTitle: PromptSetStore.renderTitle(promptSet, { ...values, [TemplateEngine.COMPANY_VARIABLE]: companyName }),
+      reportTemplateId: promptSet.reportTemplateId || null,
+      reportValues: { ...values, [TemplateEngine.COMPANY_VARIABLE]: companyName },
+      prompts: prompts.map(prompt => ({
+        text: TemplateEngine.render(prompt.text, { ...values, [TemplateEngine.COMPANY_VARIABLE]: companyName }),
+        nickname: prompt.nickname || '',
+        pauseAfter: false, // Nobody is there to resume a scheduled run
+        maxWaitMinutes: prompt.maxWaitMinutes || null,
+        dependsOnPrevious: !!prompt.dependsOnPrevious,
+        condition: prompt.condition || null,
+        searchOptions: prompt.searchOptions || null,
+        newThread: !!prompt.newThread
+      }))
+    }));
+  }
+
+  async startScheduledRun(tabId) {
+    const run = this.scheduledTabs.get(tabId);
+    run.started = true;
+    try {
+      await this.startBatch(run.rows, tabId, {
+        downloadDocuments: run.downloadDocuments,
+        scheduleId: run.scheduleId
+      });
+    } catch (error) {
+      this.logError(`Scheduled run on tab ${tabId} failed to start:`, error);
+      this.scheduledTabs.delete(tabId);
+      await this.failScheduledRun(run.scheduleId, error.message);
+    }
+  }
+
+  async finishScheduledRun(tabId, scheduleId, batchSummary) {
+    this.scheduledTabs.delete(tabId);
+    await this.updateSchedule(scheduleId, {
+      lastStatus: batchSummary.failed > 0 ? 'failed' : 'completed',
+      lastMessage: `${batchSummary.completed}/${batchSummary.total} companies finished`
+    });
+
+    // The tab was opened for this run only
+    browser.tabs.remove(tabId).catch(() => {});
+  }
+
+  async failScheduledRun(scheduleId, reason) {
+    const schedule = await this.updateSchedule(scheduleId, { lastStatus: 'failed', lastMessage: reason });
+    await this.handleShowNotification({
+      title: 'Perplexity AI Automator - Scheduled Run Failed',
+      message: `❌ ${schedule ? schedule.name : 'Scheduled run'}: ${reason}`,
+      notificationType: 'error'
+    });
+  }
+
   generateAutomationSummary(tabId) {
     const tabState = this.getTabState(tabId);
     if (!tabState) {
-      return { total: 0, successful: 0, failed: 0, withResponses: 0, totalRetries: 0, successRate: 0, responseRate: 0, duration: 0 };
+      return { total: 0, successful: 0, failed: 0, skipped: 0, withResponses: 0, totalRetries: 0, successRate: 0, responseRate: 0, duration: 0 };
     }
 
     const total = tabState.prompts.length;
     const successful = tabState.processedResults.filter(r => r.success).length;
-    const failed = tabState.processedResults.filter(r => !r.success).length;
+    const skipped = tabState.processedResults.filter(r => r.skipped).length;
+    const failed = tabState.processedResults.filter(r => !r.success && !r.skipped).length;
+    // Skipped prompts were never meant to run, so they do not count against the success rate
+    const attempted = total - skipped;
     const withResponses = tabState.processedResults.filter(r => r.response && r.response.length > 0).length;
-    const totalRetries = Array.from(tabState.retryAttempts.values()).reduce((sum, count) => sum + count, 0);
+    const totalRetries = tabState.processedResults.reduce((sum, r) => sum + (r.retryCount || 0), 0);
 
     return {
       total,
       successful,
       failed,
+      skipped,
       withResponses,
       totalRetries,
-      successRate: total > 0 ? (successful / total * 100).toFixed(1) : 0,
-      responseRate: total > 0 ? (withResponses / total * 100).toFixed(1) : 0,
+      successRate: attempted > 0 ? (successful / attempted * 100).toFixed(1) : 0,
+      responseRate: attempted > 0 ? (withResponses / attempted * 100).toFixed(1) : 0,
       duration: Date.now() - tabState.automationId
     };
   }
@@ -1208,7 +2846,7 @@ class AutomationManager {
         type: 'basic',
         iconUrl: 'icons/icon-48.png',
         title: 'Perplexity AI Automator - Complete!',
-        message: `✅ Processed ${summary.successful}/${summary.total} prompts successfully (${summary.successRate}% success rate)`,
+        message: `✅ Processed ${summary.successful}/${summary.total} prompts successfully (${summary.successRate}% success rate)${summary.skipped > 0 ? `, ${summary.skipped} skipped` : ''}`,
         contextMessage: `${summary.withResponses} responses collected • Completed in ${this.formatDuration(summary.duration)}`,
         priority: 1
       });
@@ -1330,90 +2968,225 @@ class AutomationManager {
     }
   }
 
-  async exportResults(format = 'json') {
+  /**
+   * Download a response image for the content script. The background page is not bound by the page's CORS
+   * rules for hosts the user granted through the optional "embed images" permission.
+   * @param {string} url Image address from the answer
+   * @returns {Promise<string>} The image as a data URL
+   */
+  async fetchImageAsDataUrl(url) {
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Export one run's results as JSON, CSV, TXT or XLSX
+   * @param {number} tabId Tab whose live run is used when automationId is that run (or not given)
+   * @param {number|null} automationId Run to export; runs no longer live on the tab come from the run history
+   * @param {string} format 'json', 'csv', 'txt' or 'xlsx'
+   * @returns {Promise<string>} Filename
+   */
+  async exportResults(tabId, automationId = null, format = 'json') {
+    const data = await this.getExportData(tabId, automationId);
+    if (!data) {
+      throw new Error('No results found for this run');
+    }
+
+    let content, mimeType;
+    const extension = format.toLowerCase();
+
+    switch (extension) {
+      case 'csv':
+        content = this.resultsToCSV(data);
+        mimeType = 'text/csv';
+        break;
+      case 'txt':
+        content = this.resultsToText(data);
+        mimeType = 'text/plain';
+        break;
+      case 'xlsx':
+        content = null;
+        break;
+      default:
+        content = JSON.stringify({ ...data, results: this.buildExportRecords(data) }, null, 2);
+        mimeType = 'application/json';
+    }
+
+    const blob = extension === 'xlsx' ? this.resultsToXLSX(data) : new Blob([content], { type: mimeType });
+    const safeName = (data.companyName || 'Company').replace(/[^a-zA-Z0-9-_]/g, '');
+    const filename = `${safeName}_results_${data.automationId}.${['csv', 'txt', 'xlsx'].includes(extension) ? extension : 'json'}`;
+    const url = URL.createObjectURL(blob);
+
     try {
-      const results = {
-        automationId: this.automationId,
-        timestamp: new Date().toISOString(),
-        results: this.processedResults,
-        summary: this.generateAutomationSummary()
-      };
+      await browser.downloads.download({ url, filename, saveAs: true });
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
 
-      let content, filename, mimeType;
+    this.log(`Results of run ${data.automationId} exported as ${extension.toUpperCase()}`);
+    return filename;
+  }
 
-      switch (format.toLowerCase()) {
-        case 'csv':
-          content = this.resultsToCSV(results);
-          filename = `perplexity_automation_${this.automationId}.csv`;
-          mimeType = 'text/csv';
-          break;
-        case 'txt':
-          content = this.resultsToText(results);
-          filename = `perplexity_automation_${this.automationId}.txt`;
-          mimeType = 'text/plain';
-          break;
-        default:
-          content = JSON.stringify(results, null, 2);
-          filename = `perplexity_automation_${this.automationId}.json`;
-          mimeType = 'application/json';
-      }
+  // The tab's live run when it matches, otherwise the archived run from the history
+  async getExportData(tabId, automationId = null) {
+    const tabState = this.getTabState(tabId);
+    if (tabState && tabState.automationId && tabState.processedResults.length > 0 &&
+        (!automationId || tabState.automationId === automationId)) {
+      return {
+        automationId: tabState.automationId,
+        companyName: this.tabCompanyNames.get(tabId) || 'Company',
+        exportedAt: new Date().toISOString(),
+        results: tabState.processedResults,
+        summary: this.generateAutomationSummary(tabId)
+      };
+    }
 
-      const blob = new Blob([content], { type: mimeType });
-      const url = URL.createObjectURL(blob);
+    const run = automationId ? await this.getRunDetails(automationId) : null;
+    if (!run) return null;
+    return {
+      automationId: run.automationId,
+      companyName: run.companyName,
+      exportedAt: new Date().toISOString(),
+      results: run.results || [],
+      summary: run.summary
+    };
+  }
 
-      await browser.downloads.download({
-        url: url,
-        filename: filename,
-        saveAs: true
+  /**
+   * One flat record per prompt, in prompt order
+   * @param {Object} data Run from getExportData()
+   * @returns {Array<Object>} Records with the export columns
+   */
+  buildExportRecords(data) {
+    return [...data.results]
+      .sort((a, b) => a.index - b.index)
+      .map(result => {
+        // Results hold the whole prompt entry; older runs stored only its text
+        const prompt = typeof result.prompt === 'object' && result.prompt ? result.prompt : { text: result.prompt || '' };
+        return {
+          promptNumber: result.promptNumber || result.index + 1,
+          nickname: prompt.nickname || '',
+          promptText: prompt.text || '',
+          status: result.success ? 'success' : (result.skipped ? 'skipped' : 'failed'),
+          responseHtml: result.response || '',
+          responseText: TemplateEngine.htmlToPlainText(result.response || ''),
+          error: result.error || '',
+          retryCount: result.retryCount || 0,
+          completedAt: result.timestamp ? new Date(result.timestamp).toISOString() : '',
+          processingSeconds: Math.round((result.processingTime || 0) / 100) / 10,
+          threadUrl: result.threadUrl || '',
+          citations: (result.citations || []).map(citation => ({
+            number: citation.number,
+            title: citation.title || '',
+            url: citation.url
+          }))
+        };
       });
+  }
 
-      this.log(`Results exported as ${format.toUpperCase()}`);
-    } catch (error) {
-      this.logError('Failed to export results:', error);
-    }
+  // Header and value of each CSV / XLSX column
+  getExportColumns() {
+    return [
+      ['Prompt #', record => record.promptNumber],
+      ['Nickname', record => record.nickname],
+      ['Prompt', record => record.promptText],
+      ['Status', record => record.status],
+      ['Response (plain text)', record => record.responseText],
+      ['Response (HTML)', record => record.responseHtml],
+      ['Error', record => record.error],
+      ['Retries', record => record.retryCount],
+      ['Completed At', record => record.completedAt],
+      ['Processing Time (s)', record => record.processingSeconds],
+      ['Thread URL', record => record.threadUrl],
+      ['Citation Count', record => record.citations.length],
+      ['Citations', record => record.citations.map(c => `[${c.number}] ${c.title ? `${c.title} - ` : ''}${c.url}`).join('\n')]
+    ];
   }
 
   resultsToCSV(data) {
-    const headers = ['Index', 'Prompt', 'Response', 'Success', 'Error', 'Retry Count', 'Timestamp'];
-    const rows = [headers.join(',')];
-
-    data.results.forEach(result => {
-      const row = [
-        result.index,
-        `"${result.prompt.replace(/"/g, '""')}"`,
-        `"${(result.response || '').replace(/"/g, '""')}"`,
-        result.success,
-        `"${(result.error || '').replace(/"/g, '""')}"`,
-        result.retryCount || 0,
-        new Date(result.timestamp).toISOString()
-      ];
-      rows.push(row.join(','));
+    const columns = this.getExportColumns();
+    const quote = value => {
+      const text = String(value ?? '');
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [columns.map(([header]) => quote(header)).join(',')];
+    this.buildExportRecords(data).forEach(record => {
+      rows.push(columns.map(([, value]) => quote(value(record))).join(','));
     });
 
-    return rows.join('\n');
+    // The byte order mark makes Excel read the file as UTF-8
+    return `\ufeff${rows.join('\r\n')}`;
+  }
+
+  // Results sheet with the export columns, plus a Summary sheet with the run totals
+  resultsToXLSX(data) {
+    const columns = this.getExportColumns();
+    const results = [
+      columns.map(([header]) => header),
+      ...this.buildExportRecords(data).map(record => columns.map(([, value]) => value(record)))
+    ];
+    const summary = data.summary || {};
+    const summaryRows = [
+      ['Run', 'Value'],
+      ['Company', data.companyName || ''],
+      ['Automation ID', data.automationId],
+      ['Started', new Date(data.automationId).toISOString()],
+      ['Exported', data.exportedAt],
+      ['Total Prompts', summary.total ?? data.results.length],
+      ['Successful', summary.successful ?? ''],
+      ['Failed', summary.failed ?? ''],
+      ['Skipped', summary.skipped ?? ''],
+      ['Success Rate (%)', summary.successRate !== undefined ? Number(summary.successRate) : '']
+    ];
+    return XlsxWriter.build([
+      { name: 'Results', rows: results },
+      { name: 'Summary', rows: summaryRows }
+    ]);
   }
 
   resultsToText(data) {
+    const summary = data.summary || {};
     let content = `Perplexity AI Automation Results\n`;
-    content += `Generated: ${data.timestamp}\n`;
+    content += `Company: ${data.companyName}\n`;
+    content += `Generated: ${data.exportedAt}\n`;
     content += `Automation ID: ${data.automationId}\n\n`;
     content += `Summary:\n`;
-    content += `- Total Prompts: ${data.summary.total}\n`;
-    content += `- Successful: ${data.summary.successful}\n`;
-    content += `- Failed: ${data.summary.failed}\n`;
-    content += `- Success Rate: ${data.summary.successRate}%\n\n`;
+    content += `- Total Prompts: ${summary.total ?? data.results.length}\n`;
+    content += `- Successful: ${summary.successful ?? 0}\n`;
+    content += `- Failed: ${summary.failed ?? 0}\n`;
+    content += `- Skipped: ${summary.skipped ?? 0}\n`;
+    content += `- Success Rate: ${summary.successRate ?? 0}%\n\n`;
     content += `Results:\n`;
     content += `${'='.repeat(50)}\n\n`;
 
-    data.results.forEach(result => {
-      content += `Prompt ${result.promptNumber}:\n`;
-      content += `${result.prompt}\n\n`;
+    this.buildExportRecords(data).forEach(record => {
+      content += `Prompt ${record.promptNumber}${record.nickname ? ` - ${record.nickname}` : ''}:\n`;
+      content += `${record.promptText}\n\n`;
       content += `Response:\n`;
-      content += `${result.response || 'No response'}\n\n`;
-      content += `Status: ${result.success ? 'Success' : 'Failed'}\n`;
-      if (result.error) content += `Error: ${result.error}\n`;
-      if (result.retryCount > 0) content += `Retries: ${result.retryCount}\n`;
-      content += `Timestamp: ${new Date(result.timestamp).toISOString()}\n`;
+      content += `${record.responseText || 'No response'}\n\n`;
+      if (record.citations.length > 0) {
+        content += `Citations:\n`;
+        record.citations.forEach(citation => {
+          content += `[${citation.number}] ${citation.title ? `${citation.title} - ` : ''}${citation.url}\n`;
+        });
+        content += `\n`;
+      }
+      content += `Status: ${record.status}\n`;
+      if (record.error) content += `Error: ${record.error}\n`;
+      if (record.retryCount > 0) content += `Retries: ${record.retryCount}\n`;
+      if (record.completedAt) content += `Completed: ${record.completedAt} (${record.processingSeconds}s)\n`;
+      if (record.threadUrl) content += `View original: ${record.threadUrl}\n`;
       content += `${'-'.repeat(30)}\n\n`;
     });
 
@@ -1456,12 +3229,41 @@ class AutomationManager {
 
   async handleContentScriptReady(tabId) {
     this.log(`Content script ready on tab ${tabId}`);
+    const rerun = this.reruns.get(tabId);
+    if (rerun && rerun.reloading) {
+      // The re-run prompt is waiting for the new thread the page just loaded
+      rerun.reloading = false;
+      await this.sendRerunPrompt(tabId, false).catch(error => this.finishRerun(tabId, null, error.message));
+      return;
+    }
     const tabState = this.getTabState(tabId);
+    const pool = tabState && tabState.poolId ? this.pools.get(tabState.poolId) : null;
+    if (pool) {
+      pool.readyTabIds.add(tabId);
+    }
+    const scheduledRun = this.scheduledTabs.get(tabId);
+    if (scheduledRun && !scheduledRun.started) {
+      await this.startScheduledRun(tabId);
+      return;
+    }
     if (tabState && tabState.isRunning && !tabState.isPaused && !tabState.isProcessingPrompt) {
       await this.processNextPrompt(tabId);
     }
   }
 
+  /**
+   * The content script is reloading the tab into a new thread before sending a prompt.
+   * handleContentScriptReady picks the run back up and sends the same prompt again once the page is back.
+   */
+  handleThreadNavigation(tabId, promptIndex) {
+    const tabState = this.getTabState(tabId);
+    if (!tabState || !tabState.isRunning) return;
+
+    this.clearTabTimeout(tabId);
+    this.updateTabState(tabId, { isProcessingPrompt: false, freshThreadIndex: promptIndex });
+    this.log(`Tab ${tabId} is loading a new thread for prompt ${promptIndex + 1}`);
+  }
+
   async handleTabActivated(activeInfo) {
     if (this.isRunning && activeInfo.tabId !== this.currentTabId) {
       this.log('User switched away from automation tab');
@@ -1483,6 +3285,24 @@ class AutomationManager {
   }
 
   async handleTabRemoved(tabId) {
+    const removedState = this.getTabState(tabId);
+    if (removedState && removedState.poolId && this.pools.has(removedState.poolId)) {
+      await this.handlePoolTabRemoved(tabId);
+    }
+
+    // Record remaining batch companies as skipped before the state is gone
+    await this.cancelBatch(tabId, 'Automation tab was closed');
+
+    // The review page is waiting for a re-run on this tab
+    this.finishRerun(tabId, null, 'Tab was closed');
+
+    // A scheduled run whose tab closed before the batch started
+    const scheduledRun = this.scheduledTabs.get(tabId);
+    if (scheduledRun) {
+      this.scheduledTabs.delete(tabId);
+      await this.failScheduledRun(scheduledRun.scheduleId, 'Automation tab was closed');
+    }
+
     // Clean up per-tab state
     this.cleanupTabState(tabId);
 
@@ -1512,37 +3332,199 @@ class AutomationManager {
     return await this.validateTab(tabId);
   }
 
-  async saveAutomationState() {
+  // Per-run checkpoint so an interrupted automation can be resumed after a browser restart
+  async saveAutomationState(tabId) {
+    const tabState = this.getTabState(tabId);
+    if (!tabState) {
+      return;
+    }
+
     try {
-      const state = {
-        isRunning: this.isRunning,
-        isPaused: this.isPaused,
-        currentTabId: this.currentTabId,
-        prompts: this.prompts,
-        currentPromptIndex: this.currentPromptIndex,
-        automationId: this.automationId,
-        processedResults: this.processedResults,
-        retryAttempts: Array.from(this.retryAttempts.entries()),
-        completedPrompts: Array.from(this.completedPrompts),
-        isProcessingPrompt: this.isProcessingPrompt,
+      // A pool run is checkpointed from its primary tab as one sequential run:
+      // resuming continues in a single tab from the first unanswered prompt
+      const pool = tabState.poolId ? this.pools.get(tabState.poolId) : null;
+      const checkpointTabId = pool ? pool.primaryTabId : tabId;
+      const checkpointState = this.getTabState(checkpointTabId) || tabState;
+      let currentPromptIndex = checkpointState.currentPromptIndex;
+      if (pool) {
+        currentPromptIndex = 0;
+        while (checkpointState.completedPrompts.has(currentPromptIndex) && !(
+          checkpointState.pendingResponse && checkpointState.pendingResponse.index === currentPromptIndex)) {
+          currentPromptIndex++;
+        }
+      }
+
+      const batch = this.tabBatches.get(checkpointTabId);
+      const checkpoint = {
+        automationId: checkpointState.automationId,
+        tabId: checkpointTabId,
+        companyName: this.tabCompanyNames.get(checkpointTabId) || 'Company',
+        isPaused: checkpointState.isPaused,
+        prompts: checkpointState.prompts,
+        currentPromptIndex: currentPromptIndex,
+        processedResults: checkpointState.processedResults,
+        retryAttempts: Array.from(checkpointState.retryAttempts.entries()),
+        completedPrompts: Array.from(checkpointState.completedPrompts),
+        pendingResponse: checkpointState.pendingResponse || null,
+        document: this.getTabDocumentManager(checkpointTabId).document,
+        batch: batch ? {
+          batchId: batch.batchId,
+          rows: batch.rows,
+          currentRow: batch.currentRow,
+          downloadDocuments: batch.downloadDocuments,
+          scheduleId: batch.scheduleId,
+          results: batch.results
+        } : null,
         timestamp: Date.now()
       };
-      await browser.storage.local.set({ automationState: state });
-      this.log('Automation state saved');
+      await browser.storage.local.set({ [this.getCheckpointKey(checkpointState.automationId)]: checkpoint });
+      this.log(`Automation checkpoint saved for tab ${checkpointTabId} (${currentPromptIndex}/${checkpointState.prompts.length})`);
     } catch (error) {
       this.logError('Failed to save automation state:', error);
     }
   }
 
-  async clearAutomationState() {
+  async clearAutomationState(tabId) {
+    const tabState = this.getTabState(tabId);
+    if (!tabState) {
+      return;
+    }
+
     try {
-      await browser.storage.local.remove('automationState');
-      this.log('Automation state cleared');
+      await browser.storage.local.remove(this.getCheckpointKey(tabState.automationId));
+      this.log(`Automation checkpoint cleared for tab ${tabId}`);
     } catch (error) {
       this.logError('Failed to clear automation state:', error);
     }
   }
 
+  getCheckpointKey(automationId) {
+    return `automationCheckpoint_${automationId}`;
+  }
+
+  // Checkpoints whose run is not live in this session were interrupted
+  async getResumableRuns() {
+    try {
+      const storage = await browser.storage.local.get();
+      const liveIds = new Set(Array.from(this.tabAutomations.values()).map(state => state.automationId));
+
+      return Object.keys(storage)
+        .filter(key => key.startsWith('automationCheckpoint_'))
+        .map(key => storage[key])
+        .filter(checkpoint => checkpoint && !liveIds.has(checkpoint.automationId))
+        .map(checkpoint => ({
+          automationId: checkpoint.automationId,
+          companyName: checkpoint.companyName,
+          completed: checkpoint.processedResults.length,
+          total: checkpoint.prompts.length,
+          timestamp: checkpoint.timestamp
+        }))
+        .sort((a, b) => b.timestamp - a.timestamp);
+    } catch (error) {
+      this.logError('Failed to read automation checkpoints:', error);
+      return [];
+    }
+  }
+
+  async notifyResumableRuns() {
+    const runs = await this.getResumableRuns();
+    if (runs.length === 0) {
+      return;
+    }
+
+    this.log(`${runs.length} interrupted run(s) can be resumed`);
+    await this.handleShowNotification({
+      title: 'Perplexity AI Automator - Interrupted Run',
+      message: `Run for ${runs[0].companyName} stopped at ${runs[0].completed}/${runs[0].total}. Open the popup to resume it.`,
+      notificationType: 'warning'
+    });
+  }
+
+  async discardCheckpoint(automationId) {
+    await browser.storage.local.remove(this.getCheckpointKey(automationId));
+    this.log(`Checkpoint for automation ${automationId} discarded`);
+  }
+
+  /**
+   * Rebuild the tab state from a checkpoint and continue with the next unfinished prompt.
+   * Reattaches to preferredTabId if it is an idle Perplexity tab, otherwise any idle
+   * Perplexity tab, otherwise opens a new one.
+   */
+  async resumeFromCheckpoint(automationId, preferredTabId = null) {
+    const key = this.getCheckpointKey(automationId);
+    const checkpoint = (await browser.storage.local.get([key]))[key];
+    if (!checkpoint) {
+      throw new Error(`No checkpoint found for automation ${automationId}`);
+    }
+
+    let tabId = null;
+    let isNewTab = false;
+    const candidates = await browser.tabs.query({ url: '*://www.perplexity.ai/*' });
+    const idleTabs = candidates.filter(tab => !this.hasRunningAutomation(tab.id) && !this.tabBatches.has(tab.id));
+    const preferred = idleTabs.find(tab => tab.id === preferredTabId);
+
+    if (preferred || idleTabs.length > 0) {
+      tabId = (preferred || idleTabs[0]).id;
+    } else {
+      const tab = await browser.tabs.create({ url: 'https://www.perplexity.ai/', active: true });
+      tabId = tab.id;
+      isNewTab = true;
+    }
+
+    const tabState = {
+      isRunning: true,
+      isPaused: !!checkpoint.isPaused,
+      prompts: checkpoint.prompts,
+      currentPromptIndex: checkpoint.currentPromptIndex,
+      automationId: checkpoint.automationId,
+      processedResults: checkpoint.processedResults,
+      retryAttempts: new Map(checkpoint.retryAttempts),
+      completedPrompts: new Set(checkpoint.completedPrompts),
+      processingCompletions: new Set(),
+      isProcessingPrompt: false,
+      pendingResponse: checkpoint.pendingResponse,
+      currentTimeout: null
+    };
+    this.tabAutomations.set(tabId, tabState);
+    this.isRunning = this.hasRunningAutomation();
+    this.currentTabId = tabId;
+
+    await this.setTabCompanyName(tabId, checkpoint.companyName);
+    const documentManager = this.getTabDocumentManager(tabId);
+    documentManager.document = checkpoint.document;
+    documentManager.saveDocumentState();
+
+    if (checkpoint.batch) {
+      // Checkpoints saved before these fields existed get the startBatch defaults
+      this.tabBatches.set(tabId, { downloadDocuments: true, scheduleId: null, ...checkpoint.batch });
+    }
+
+    // Re-key the checkpoint to the new tab
+    await this.saveAutomationState(tabId);
+
+    this.log(`Resuming automation ${automationId} for ${checkpoint.companyName} on tab ${tabId} at prompt ${tabState.currentPromptIndex + 1}/${tabState.prompts.length}`);
+    await this.sendMessageToPopup('automation-started', {
+      total: tabState.prompts.length,
+      tabId: tabId,
+      automationId: tabState.automationId,
+      resumed: true
+    });
+
+    // A new tab continues once its content script reports ready
+    if (!isNewTab) {
+      await browser.tabs.update(tabId, { active: true });
+      await this.updateTabTitle(tabId, checkpoint.companyName);
+      if (tabState.isPaused) {
+        await this.updateStatusOverlay(tabId, 'paused', 'Analysis Paused');
+      } else {
+        await this.processNextPrompt(tabId);
+        await this.updateStatusOverlay(tabId, 'progress', 'In Progress');
+      }
+    }
+
+    return tabId;
+  }
+
   async savePromptResult(tabId, index, result) {
     try {
       const tabState = this.getTabState(tabId);
@@ -1748,7 +3730,8 @@ class BackgroundDocumentManager {
         this.saveDocumentState();
     }
 
-    addResponse(promptIndex, promptText, responseText) {
+    // extras: { citations: [{ number, url, title, domain }], threadUrl } captured with the response
+    addResponse(promptIndex, promptText, responseText, extras = {}) {
       // ENHANCED: Multiple deduplication checks
 
       // Check 1: Exact index match
@@ -1765,6 +3748,8 @@ class BackgroundDocumentManager {
         index: promptIndex,
         prompt: promptText,
         response: responseText,
+        citations: extras.citations || [],
+        threadUrl: extras.threadUrl || null,
         timestamp: new Date().toISOString()
       };
 
@@ -1782,10 +3767,91 @@ class BackgroundDocumentManager {
         console.log(`Background: Added new response ${promptIndex + 1}`);
       }
 
-      // Sort responses by index
-      this.document.responses.sort((a, b) => a.index - b.index);
+      // Sort responses by index, unless the sections were reordered on the review page
+      if (!this.document.customOrder) {
+        this.document.responses.sort((a, b) => a.index - b.index);
+      }
+
+      this.document.completedPrompts = this.document.responses.length;
+      this.document.approvedAt = null;
+      this.saveDocumentState();
+    }
+
+    // NEW: Placeholder section for a prompt that timed out or failed
+    addFailedResponse(promptIndex, promptText, reason) {
+      const responseData = {
+        index: promptIndex,
+        prompt: promptText,
+        response: '',
+        failed: true,
+        error: reason,
+        timestamp: new Date().toISOString()
+      };
+
+      const existingByIndex = this.document.responses.findIndex(r => r.index === promptIndex);
+      if (existingByIndex >= 0) {
+        this.document.responses[existingByIndex] = responseData;
+      } else {
+        this.document.responses.push(responseData);
+      }
+
+      if (!this.document.customOrder) {
+        this.document.responses.sort((a, b) => a.index - b.index);
+      }
+      this.document.completedPrompts = this.document.responses.length;
+      this.document.approvedAt = null;
+      this.saveDocumentState();
+    }
+
+    getReviewEntry(promptIndex) {
+      const entry = this.document.responses.find(r => r.index === promptIndex);
+      if (!entry) {
+        throw new Error('Section not found');
+      }
+      return entry;
+    }
+
+    // Review page: replace a section's answer with the edited HTML
+    editResponse(promptIndex, html) {
+      const entry = this.getReviewEntry(promptIndex);
+      entry.response = html;
+      entry.edited = true;
+      // A failed section written by hand counts as answered
+      entry.failed = false;
+      entry.error = null;
+      this.markReviewChanged();
+    }
 
+    // Review page: drop a section from the document
+    removeResponse(promptIndex) {
+      this.getReviewEntry(promptIndex);
+      this.document.responses = this.document.responses.filter(r => r.index !== promptIndex);
       this.document.completedPrompts = this.document.responses.length;
+      this.markReviewChanged();
+    }
+
+    /**
+     * Review page: put the sections in a new order
+     * @param {Array<number>} order Prompt indices of every section, in the new order
+     */
+    reorderResponses(order) {
+      const byIndex = new Map(this.document.responses.map(r => [r.index, r]));
+      if (!Array.isArray(order) || order.length !== byIndex.size || !order.every(index => byIndex.has(index))) {
+        throw new Error('The section order does not match the document');
+      }
+      this.document.responses = order.map(index => byIndex.get(index));
+      this.document.customOrder = true;
+      this.markReviewChanged();
+    }
+
+    setApproved(approved) {
+      this.document.approvedAt = approved ? new Date().toISOString() : null;
+      this.saveDocumentState();
+    }
+
+    // Any change after approval needs a new approval
+    markReviewChanged() {
+      this.document.approvedAt = null;
       this.saveDocumentState();
     }
 
@@ -1840,6 +3906,8 @@ browser.runtime.onInstalled.addListener((details) => {
 
 browser.runtime.onStartup.addListener(() => {
   console.log('Browser started - Perplexity AI Automator background script loaded');
+  // Offer to resume runs that were interrupted by the browser closing
+  automationManager.notifyResumableRuns();
 });
 
 browser.browserAction.onClicked.addListener(async (tab) => {
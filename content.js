@@ -17,19 +17,7 @@ class AdaptiveSelectorManager {
     while (Date.now() < end) {
       // First try predefined strategies
       for (const sel of sels) {
-        let el;
-        try {
-          // Support jQuery-style :contains for text fallback
-          if (sel.includes(':contains')) {
-            const text = sel.match(/:contains\("(.+)"\)/)[1];
-            el = Array.from(document.querySelectorAll(sel.split(':contains')[0]))
-              .find(el => el.textContent.includes(text));
-          } else {
-            el = document.querySelector(sel);
-          }
-        } catch (e) {
-          continue;
-        }
+        const el = this.queryStrategy(sel);
         if (el && this.isVisible(el) && this.isUsableElement(el, type)) {
             return el;
           }
@@ -46,6 +34,63 @@ class AdaptiveSelectorManager {
     return null;
   }
 
+  // First element for one selector; supports jQuery-style :contains("text") as a text fallback
+  queryStrategy(sel) {
+    try {
+      if (sel.includes(':contains')) {
+        const text = sel.match(/:contains\("(.+)"\)/)[1];
+        return Array.from(document.querySelectorAll(sel.split(':contains')[0]))
+          .find(el => el.textContent.includes(text)) || null;
+      }
+      return document.querySelector(sel);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Run one element search once, without waiting or touching the page, and report how it matched
+   * @param {string} type input | submitButton | responseContainer
+   * @param {string} primarySelector Selector the current Perplexity layout is expected to match
+   * @returns {Promise<Object>} { type, found, strategy: 'primary'|'fallback'|'dynamic'|'none', selector, confidence, disabled }
+   */
+  async diagnose(type, primarySelector) {
+    const report = { type, found: false, strategy: 'none', selector: null, confidence: 0, disabled: false };
+    // Disabled elements still count: the submit button stays disabled until text is typed
+    const matches = el => el && this.isVisible(el);
+
+    const primary = primarySelector ? this.queryStrategy(primarySelector) : null;
+    if (matches(primary)) {
+      return { ...report, found: true, strategy: 'primary', selector: primarySelector, confidence: 100, disabled: !!primary.disabled };
+    }
+
+    const sels = this.strategies[type] || [];
+    for (let i = 0; i < sels.length; i++) {
+      const el = this.queryStrategy(sels[i]);
+      if (matches(el)) {
+        // Later strategies are broader guesses
+        const confidence = Math.max(40, 90 - i * 5);
+        return { ...report, found: true, strategy: 'fallback', selector: sels[i], confidence, disabled: !!el.disabled };
+      }
+    }
+
+    const dynamic = await this.dynamicElementDiscovery(type);
+    if (dynamic) {
+      return { ...report, found: true, strategy: 'dynamic', selector: this.describeElement(dynamic), confidence: 25, disabled: !!dynamic.disabled };
+    }
+    return report;
+  }
+
+  // Short tag#id.class[aria-label] description for diagnostics
+  describeElement(el) {
+    const id = el.id ? `#${el.id}` : '';
+    const className = typeof el.className === 'string' && el.className.trim()
+      ? `.${el.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+      : '';
+    const label = el.getAttribute('aria-label') ? `[aria-label="${el.getAttribute('aria-label')}"]` : '';
+    return `${el.tagName.toLowerCase()}${id}${className}${label}`;
+  }
+
   async dynamicElementDiscovery(type) {
     switch (type) {
       case 'input':
@@ -182,93 +227,70 @@ class PerplexityAutomator {
     this.submitDelay = 1500;
     this.waitTimeout = 10000;
     this.responseTimeout = 60000;
+    this.completionSettleTime = 1500; // Answer unchanged this long after streaming stopped = complete
+    this.completionQuietTime = 8000; // Same, when no streaming indicator was ever seen
     this.isExecuting = false;
+    this.executionCounter = 0; // Lets a cancelled wait loop notice it was superseded
     this.hasCompletedCurrentPrompt = false;
 
+    // NEW: Perplexity error messages (the banner selectors are part of the selector profile)
+    this.errorPatterns = [
+      /something went wrong/i,
+      /an error occurred/i,
+      /error (generating|occurred)/i,
+      /try again later/i,
+      /too many requests/i,
+      /rate limit/i,
+      /network error/i,
+      /failed to (load|fetch|generate)/i
+    ];
+    this.searchModeLabels = { search: 'search', research: 'research', labs: 'labs' };
+
     // NEW: Overlay management
     this.overlay = null;
     this.overlayVisible = true; // Track if user has closed overlay
-    // NEW: Initialize adaptive selector manager for robust element discovery
-    this.adaptiveSelector = new AdaptiveSelectorManager({
-      input: [
-        // NEW: Primary Perplexity selector
-        '#ask-input',
-        // EXISTING: Keep all current selectors as fallbacks
-        'textarea',
-        'textarea[placeholder*="Ask" i]',
-        'textarea[placeholder*="search" i]',
-        'textarea[placeholder*="question" i]',
-        '[role="textbox"]',
-        'input[type="text"]',
-        'input[placeholder*="Ask" i]',
-        'input[placeholder*="search" i]',
-        '[contenteditable="true"]',
-        '[data-testid*="search" i]',
-        '[data-testid*="input" i]',
-        '.search-box input',
-        '.search-box textarea',
-        '#search-input'
-      ],
-      submitButton: [
-        // Enhanced strategies for submit buttons
-        'button[type="submit"]',
-        'button[aria-label*="send" i]',
-        'button[aria-label*="submit" i]',
-        'button[aria-label*="search" i]',
-        'button[title*="send" i]',
-        'button[title*="submit" i]',
-        'button:contains("Send")',
-        'button:contains("Submit")',
-        'button:contains("Search")',
-        'button:contains("Ask")',
-        'button:contains("Go")',
-        '[role="button"][aria-label*="send" i]',
-        '[role="button"] svg[data-icon]',
-        'form button:last-child',
-        '.submit-button',
-        '[data-testid*="submit" i]',
-        '[data-testid*="send" i]'
-      ],
-      responseContainer: [
-        // NEW: Primary Perplexity AI response selectors (for responses 0-49)
-        '#markdown-content-0', '#markdown-content-1', '#markdown-content-2',
-        '#markdown-content-3', '#markdown-content-4', '#markdown-content-5',
-        '#markdown-content-6', '#markdown-content-7', '#markdown-content-8',
-        '#markdown-content-9', '#markdown-content-10', '#markdown-content-11',
-        '#markdown-content-12', '#markdown-content-13', '#markdown-content-14',
-        '#markdown-content-15', '#markdown-content-16', '#markdown-content-17',
-        '#markdown-content-18', '#markdown-content-19', '#markdown-content-20',
-        '#markdown-content-21', '#markdown-content-22', '#markdown-content-23',
-        '#markdown-content-24', '#markdown-content-25', '#markdown-content-26',
-        '#markdown-content-27', '#markdown-content-28', '#markdown-content-29',
-        '#markdown-content-30', '#markdown-content-31', '#markdown-content-32',
-        '#markdown-content-33', '#markdown-content-34', '#markdown-content-35',
-        '#markdown-content-36', '#markdown-content-37', '#markdown-content-38',
-        '#markdown-content-39', '#markdown-content-40', '#markdown-content-41',
-        '#markdown-content-42', '#markdown-content-43', '#markdown-content-44',
-        '#markdown-content-45', '#markdown-content-46', '#markdown-content-47',
-        '#markdown-content-48', '#markdown-content-49',
-        // NEW: General markdown content pattern for any additional responses
-        '[id^="markdown-content-"]',
-        // EXISTING: Keep all current selectors as fallbacks
-        '[data-message-author="ai"]',
-        '[data-author="ai"]',
-        '.conversation-thread [data-author="ai"]',
-        '.conversation-message[data-author="ai"]',
-        'main .markdown',
-        '.markdown-body',
-        '.prose',
-        'main div[class*="Message" i]',
-        'main div[class*="message" i]',
-        'div[data-testid*="ai-response" i]'
-      ]
-    });
+    // NEW: Selectors come from the built-in profile until the user's saved profile (if any) loads
+    this.adaptiveSelector = new AdaptiveSelectorManager({});
+    this.applySelectorProfile(SelectorProfileStore.DEFAULT_PROFILE);
+    this.loadSelectorProfile();
 
     this.initializeOverlayStyles();
     this.setupMessageListener();
     this.waitForPageReady();
   }
 
+  /**
+   * Use a selector profile for every element lookup
+   * @param {Object} profile Complete profile from SelectorProfileStore
+   */
+  applySelectorProfile(profile) {
+    this.selectorProfile = profile;
+    this.adaptiveSelector.strategies = profile.strategies;
+    this.primarySelectors = profile.primary;
+    this.errorBannerSelectors = profile.errorBanners;
+    this.citationSelectors = profile.citations;
+    this.sourceListSelectors = profile.sourceLists;
+    this.searchControlSelectors = profile.searchControls;
+    this.newThreadSelectors = profile.newThread;
+    this.generatingSelectors = profile.generating;
+  }
+
+  // Load the user's saved profile and follow later edits from the prompt manager
+  async loadSelectorProfile() {
+    try {
+      this.applySelectorProfile(await SelectorProfileStore.load());
+      console.log(`Using selector profile "${this.selectorProfile.name}" revision ${this.selectorProfile.revision}`);
+    } catch (error) {
+      console.warn('Failed to load selector profile, using built-in selectors:', error);
+    }
+
+    browser.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[SelectorProfileStore.STORAGE_KEY]) {
+        SelectorProfileStore.load().then(profile => this.applySelectorProfile(profile));
+      }
+    });
+  }
+
   // NEW: Initialize overlay CSS styles
   initializeOverlayStyles() {
       if (document.getElementById('perplexity-automator-overlay-styles')) return;
@@ -310,6 +332,11 @@ class PerplexityAutomator {
               color: #ffffff; /* White */
           }
 
+          .perplexity-automator-overlay.status-error {
+              background-color: #7f1d1d; /* Dark Red */
+              color: #ffffff; /* White */
+          }
+
           .perplexity-automator-overlay-close {
               background: none;
               border: none;
@@ -419,9 +446,10 @@ class PerplexityAutomator {
     browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       switch (message.type) {
         case 'execute-prompt':
-          this.executePrompt(message.prompt, message.index);
+          this.executePrompt(message.prompt, message.index, message.maxWaitTime || 0, message.searchOptions || null, !!message.newThread);
           break;
         case 'stop-automation':
+        case 'cancel-prompt':
           this.isExecuting = false;
           break;
         case 'update-tab-title':
@@ -433,6 +461,13 @@ class PerplexityAutomator {
         case 'hide-status-overlay':
           this.hideStatusOverlay();
           break;
+        case 'run-diagnostics':
+          this.runDiagnostics().then(checks => {
+            sendResponse({ checks });
+          }).catch(error => {
+            sendResponse({ error: error.message });
+          });
+          return true; // Keep message channel open for async response
         case 'collect-latest-response':
           this.collectLatestResponse().then(responseText => {
             sendResponse({ responseText });
@@ -446,6 +481,34 @@ class PerplexityAutomator {
     });
   }
 
+  /**
+   * Selector health check: find the input, submit button and latest response without sending anything.
+   * status is 'ok' (primary selector), 'degraded' (fallback or heuristic), 'missing', or 'unknown'
+   * when the page cannot show the element yet (no answers, or no submit button before text is typed).
+   * @returns {Promise<Array<Object>>} One report per element type
+   */
+  async runDiagnostics() {
+    const hasAnswers = document.querySelectorAll(this.adaptiveSelector.strategies.responseContainer.join(',')).length > 0;
+    const checks = [];
+
+    for (const type of ['input', 'submitButton', 'responseContainer']) {
+      const report = await this.adaptiveSelector.diagnose(type, this.primarySelectors[type]);
+      if (report.strategy === 'primary') {
+        report.status = 'ok';
+      } else if (report.found) {
+        report.status = 'degraded';
+      } else if (type === 'submitButton' || (type === 'responseContainer' && !hasAnswers)) {
+        report.status = 'unknown';
+      } else {
+        report.status = 'missing';
+      }
+      checks.push(report);
+    }
+
+    console.log('Selector diagnostics:', checks);
+    return checks;
+  }
+
   // Update tab title with company name
   updateTabTitle(companyName) {
       try {
@@ -469,66 +532,90 @@ class PerplexityAutomator {
     browser.runtime.sendMessage({ type: 'content-script-ready' });
   }
 
+  // Newest answer in the thread, however many there are: numbered ids (markdown-content-N) by number, others by page order
   async findLatestMarkdownResponse(excludeElements = new Set()) {
     let highestIndex = -1;
     let latestResponse = null;
 
-    // Check for responses up to index 49 (50 total prompts)
-    for (let i = 0; i <= 49; i++) {
-      const selector = `#markdown-content-${i}`;
-      const element = document.querySelector(selector);
-
-      // CRITICAL: Skip if this element was present initially
-      if (element &&
-          !excludeElements.has(element) &&
-          this.isVisible(element) &&
-          element.textContent.trim().length > 50) {
-
-        if (i > highestIndex) {
-          highestIndex = i;
+    // CRITICAL: Skip answers that were present before the prompt was sent
+    Array.from(document.querySelectorAll(this.primarySelectors.responseContainer))
+      .filter(el => !excludeElements.has(el) && this.isVisible(el))
+      .forEach((element, position) => {
+        const numbered = (element.id || '').match(/(\d+)$/);
+        const index = numbered ? parseInt(numbered[1], 10) : position;
+        if (index >= highestIndex) {
+          highestIndex = index;
           latestResponse = element;
         }
-      }
-    }
-
-    // Fallback to general pattern only if no specific numbered response found
-    if (!latestResponse) {
-      const generalElements = document.querySelectorAll('[id^="markdown-content-"]');
-      const validElements = Array.from(generalElements)
-        .filter(el => !excludeElements.has(el) && this.isVisible(el))
-        .map(el => ({
-          element: el,
-          index: parseInt(el.id.replace('markdown-content-', '')) || 0
-        }))
-        .sort((a, b) => b.index - a.index);
-
-      if (validElements.length > 0) {
-        latestResponse = validElements[0].element;
-      }
-    }
+      });
 
     return latestResponse;
   }
 
-  async executePrompt(prompt, index) {
+  async executePrompt(prompt, index, maxWaitTime = 0, searchOptions = null, newThread = false) {
     if (!this.isReady || this.isExecuting) return;
     this.isExecuting = true;
     this.hasCompletedCurrentPrompt = false;
+    const executionId = ++this.executionCounter;
     const startTime = Date.now();
+    // Answers already on the page; taken once so a wait that is repeated still sees the new answer as new
+    const initialElements = this.getResponseElements();
 
-    // BEGIN REPLACEMENT - never fail, wait indefinitely
-      await this.processPrompt(prompt);
+    // BEGIN REPLACEMENT - wait until answered, failed or past maxWaitTime
+      try {
+        if (newThread && !(await this.startNewThread(index))) {
+          // The tab is reloading into a new thread; the background sends this prompt again afterwards
+          this.isExecuting = false;
+          return;
+        }
+        await this.processPrompt(prompt, searchOptions);
+      } catch (error) {
+        // Input or submit button missing, or a search option could not be set - the background retry policy decides what happens next
+        this.isExecuting = false;
+        await this.reportPromptFailed(index, error.message);
+        return;
+      }
 
       let responseText;
-      // Loop indefinitely until responseText is non-empty
+      let citations = [];
+      // Loop until responseText is non-empty or maxWaitTime (0 = no limit) runs out
       while (true) {
-        const result = await this.waitForResponseText(this.responseTimeout);
+        if (!this.isExecuting || executionId !== this.executionCounter) {
+          console.log(`Stopped waiting for prompt ${index + 1}`);
+          return;
+        }
+
+        const elapsed = Date.now() - startTime;
+        if (maxWaitTime > 0 && elapsed >= maxWaitTime) {
+          const limit = maxWaitTime >= 60000
+            ? `${Math.round(maxWaitTime / 60000)} min`
+            : `${Math.round(maxWaitTime / 1000)}s`;
+          this.isExecuting = false;
+          await this.reportPromptFailed(index, `No response after ${limit}`, { timedOut: true });
+          return;
+        }
+
+        const waitTimeout = maxWaitTime > 0
+          ? Math.min(this.responseTimeout, maxWaitTime - elapsed)
+          : this.responseTimeout;
+        const result = await this.waitForResponseText(waitTimeout, initialElements);
+        if (!this.isExecuting || executionId !== this.executionCounter) {
+          continue; // Cancelled while waiting - exit at the top of the loop
+        }
+        // Perplexity showed an error instead of an answer: hand over to the retry policy
+        if (result.errorState) {
+          console.warn(`Perplexity error detected for prompt ${index + 1}: ${result.error}`);
+          this.isExecuting = false;
+          await this.reportPromptFailed(index, result.error);
+          return;
+        }
         // If the helper returns an error, ignore it and continue waiting
         if (result.error) {
           console.log(`Response not yet available (ignored error: ${result.error}), continuing to wait`);
           continue;
         }
         responseText = result.responseText;
+        citations = result.citations || [];
         if (responseText && responseText.trim().length > 0) {
           break;
         }
@@ -539,14 +626,42 @@ class PerplexityAutomator {
       // Send completion once responseText is obtained
       await browser.runtime.sendMessage({
         type: 'prompt-completed',
-        result: { index, prompt, timestamp: Date.now(), success: true, response: responseText, startTime }
+        result: { index, prompt, timestamp: Date.now(), success: true, response: responseText, citations, startTime, threadUrl: location.href, threadId: this.getThreadId() }
       });
       // END REPLACEMENT
       this.isExecuting = false;
   }
 
-  async processPrompt(prompt) {
+  async reportPromptFailed(index, error, details = {}) {
+    try {
+      await browser.runtime.sendMessage({ type: 'prompt-failed', promptIndex: index, error, ...details });
+    } catch (sendError) {
+      console.error('Failed to report prompt failure:', sendError);
+    }
+  }
+
+  // NEW: Return the text of a visible Perplexity error banner that was not on the page before
+  detectErrorState(excludeElements = new Set()) {
+    const candidates = document.querySelectorAll(this.errorBannerSelectors.join(','));
+    for (const el of candidates) {
+      if (excludeElements.has(el) || !this.isVisible(el)) continue;
+
+      // Banners are short; long matches are answer text that happens to mention an error
+      const text = el.textContent.trim();
+      if (text.length > 300) continue;
+
+      if (this.errorPatterns.some(pattern => pattern.test(text))) {
+        return text.substring(0, 150);
+      }
+    }
+    return null;
+  }
+
+  async processPrompt(prompt, searchOptions = null) {
     await this.waitForPageToSettle();
+    if (searchOptions) {
+      await this.applySearchOptions(searchOptions);
+    }
     const input = await this.waitForInputElement();
     if (!input) throw new Error('Input element not found');
     await this.insertTextUsingExecCommand(input, prompt);
@@ -585,6 +700,174 @@ class PerplexityAutomator {
     }
   }
 
+  /**
+   * Set Perplexity's search mode, model and focus for the next prompt and check each one took.
+   * Empty values leave the page's current setting alone.
+   * @param {{mode: string, model: string, focus: string}} options Per-prompt search options
+   * @throws {Error} When a control is missing or does not show the requested value afterwards
+   */
+  async applySearchOptions(options) {
+    if (options.mode) {
+      await this.selectSearchMode(options.mode);
+    }
+    if (options.model) {
+      await this.selectFromMenu('modelButton', options.model, 'model');
+    }
+    if (options.focus) {
+      await this.selectFromMenu('focusButton', options.focus, 'focus');
+    }
+  }
+
+  async selectSearchMode(mode) {
+    const label = this.searchModeLabels[mode] || mode;
+    const findOption = () => this.findControlByLabel(this.searchControlSelectors.modeOption, label);
+
+    let option = findOption();
+    if (!option) {
+      throw new Error(`Search mode "${mode}" not found on the page`);
+    }
+    if (!this.isControlSelected(option)) {
+      await this.clickControl(option);
+      await this.sleep(500);
+      option = findOption();
+    }
+    if (!option || !this.isControlSelected(option)) {
+      throw new Error(`Could not switch Perplexity to ${mode} mode`);
+    }
+    console.log(`Search mode set to ${mode}`);
+  }
+
+  /**
+   * Pick a value from one of the input's dropdowns (model or focus)
+   * @param {string} buttonType Key of searchControlSelectors for the button that opens the menu
+   * @param {string} value Menu entry to pick, matched case-insensitively
+   * @param {string} description Name used in errors
+   */
+  async selectFromMenu(buttonType, value, description) {
+    const findButton = () => this.findControlByLabel(this.searchControlSelectors[buttonType], '');
+    const button = findButton();
+    if (!button) {
+      throw new Error(`Perplexity ${description} control not found`);
+    }
+    // Already showing the requested value
+    if (this.labelHasText(button, value)) {
+      return;
+    }
+
+    await this.clickControl(button);
+    await this.sleep(500);
+    const item = this.findControlByLabel(this.searchControlSelectors.menuItem, value);
+    if (!item) {
+      this.closeMenus();
+      throw new Error(`${description} "${value}" not found in the Perplexity menu`);
+    }
+
+    if (!this.isControlSelected(item)) {
+      await this.clickControl(item);
+      await this.sleep(500);
+    }
+
+    // Menus either close on pick (button label changes) or stay open (item shows as checked)
+    const openItem = this.findControlByLabel(this.searchControlSelectors.menuItem, value);
+    const updatedButton = findButton();
+    const applied = (openItem && this.isControlSelected(openItem)) ||
+      (updatedButton && this.labelHasText(updatedButton, value));
+    this.closeMenus();
+    if (!applied) {
+      throw new Error(`Could not set Perplexity ${description} to "${value}"`);
+    }
+    console.log(`Search ${description} set to ${value}`);
+  }
+
+  // Visible element matching any selector whose label contains the text as a whole word ('' = first visible match)
+  findControlByLabel(selectors, text) {
+    for (const selector of selectors) {
+      let candidates;
+      try {
+        candidates = Array.from(document.querySelectorAll(selector));
+      } catch (e) {
+        continue;
+      }
+      const match = candidates.find(el => this.isVisible(el) && this.labelHasText(el, text));
+      if (match) return match;
+    }
+    return null;
+  }
+
+  getControlLabel(el) {
+    return [el.getAttribute('aria-label'), el.getAttribute('value'), el.getAttribute('title'), el.textContent]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+  }
+
+  // Whole-word match, so "search" does not pick the "Research" control
+  labelHasText(el, text) {
+    if (!text) return true;
+    const escaped = text.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`).test(this.getControlLabel(el));
+  }
+
+  isControlSelected(el) {
+    return ['aria-checked', 'aria-pressed', 'aria-selected'].some(attr => el.getAttribute(attr) === 'true') ||
+      ['checked', 'on', 'active'].includes(el.getAttribute('data-state'));
+  }
+
+  // Menus in the Perplexity UI open on pointer events rather than a bare click()
+  async clickControl(el) {
+    ['pointerdown', 'mousedown', 'pointerup', 'mouseup'].forEach(type => {
+      const EventType = type.startsWith('pointer') && typeof PointerEvent !== 'undefined' ? PointerEvent : MouseEvent;
+      el.dispatchEvent(new EventType(type, { view: window, bubbles: true, cancelable: true }));
+    });
+    el.click();
+    await this.sleep(200);
+  }
+
+  closeMenus() {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  }
+
+  /**
+   * Open a fresh Perplexity thread before sending a prompt
+   * @param {number} index Prompt index, reported to the background if the page has to reload
+   * @returns {Promise<boolean>} true when the fresh thread is ready on this page, false when the tab is reloading
+   */
+  async startNewThread(index) {
+    if (this.isOnNewThreadPage()) {
+      return true;
+    }
+
+    const button = this.findControlByLabel(this.newThreadSelectors, '');
+    if (button) {
+      await this.clickControl(button);
+      for (let i = 0; i < 20 && !this.isOnNewThreadPage(); i++) {
+        await this.sleep(250);
+      }
+      if (this.isOnNewThreadPage()) {
+        console.log(`Started a new thread for prompt ${index + 1}`);
+        await this.waitForPageToSettle();
+        return true;
+      }
+    }
+
+    // No in-page control worked: load the home page, which always opens a new thread
+    console.log(`Loading a new thread for prompt ${index + 1}`);
+    await browser.runtime.sendMessage({ type: 'thread-navigation', promptIndex: index });
+    location.assign(`${location.origin}/`);
+    return false;
+  }
+
+  // Thread slug from /search/<slug>, null while the page is not showing a thread
+  getThreadId() {
+    const match = location.pathname.match(/\/search\/([^/?#]+)/);
+    return match ? match[1] : null;
+  }
+
+  // The home page with no answers on it is an empty thread
+  isOnNewThreadPage() {
+    return location.pathname === '/' && !document.querySelector(this.primarySelectors.responseContainer);
+  }
+
   async waitForInputElement(timeout = this.waitTimeout) {
     // Use adaptive selector for robust discovery
     return await this.adaptiveSelector.findElement('input', timeout);
@@ -669,97 +952,235 @@ class PerplexityAutomator {
     }
   }
 
-  async waitForResponseText(timeout) {
+  /**
+   * Wait for the answer to the prompt just submitted. A MutationObserver notes every change to the
+   * answer node; the answer is complete once Perplexity's stop/generating control has gone away and the
+   * answer has stopped changing for a short settle period.
+   * @param {number} timeout Give up after this many ms
+   * @param {Set<Element>} initialElements Answers that were on the page before the prompt was sent
+   * @returns {Promise<Object>} { responseText, citations, startTime } or { responseText: '', error, errorState? }
+   */
+  waitForResponseText(timeout, initialElements = this.getResponseElements()) {
     const start = Date.now();
-
-    // Store initial state of ALL possible response elements
-    const initialElements = new Set([
-      ...document.querySelectorAll(this.adaptiveSelector.strategies.responseContainer.join(',')),
-      ...document.querySelectorAll('[id^="markdown-content-"]')
-    ]);
+    const initialErrorElements = new Set(document.querySelectorAll(this.errorBannerSelectors.join(',')));
 
     return new Promise(resolve => {
-      let stable = 0, lastLen = 0, lastResponseElement = null;
+      let responseElement = null;
+      let lastChange = Date.now();
+      let sawGenerating = false;
+      let finished = false;
+      let timer = null;
+      let nextCheckAt = 0;
+      let checking = false;
+
+      const finish = result => {
+        if (finished) return;
+        finished = true;
+        observer.disconnect();
+        clearTimeout(timer);
+        resolve(result);
+      };
 
-      const check = async () => {
-        let responseElement = null;
+      // Mutations pull the next check forward but never push it back, so a steady stream cannot starve it
+      const schedule = (delay = 1000) => {
+        const at = Date.now() + delay;
+        if (finished || (timer && nextCheckAt <= at)) return;
+        clearTimeout(timer);
+        nextCheckAt = at;
+        timer = setTimeout(evaluate, delay);
+      };
 
-        // SINGLE DETECTION PATH - Priority order with NO OVERLAP
+      const evaluate = async () => {
+        timer = null;
+        if (finished || checking) return;
+        if (!this.isExecuting) {
+          return finish({ responseText: '', error: 'Stopped' });
+        }
+        checking = true;
+        try {
+          await check();
+        } catch (error) {
+          // A broken selector or extraction error must end the wait rather than stop the checks
+          console.error('Response check failed:', error);
+          return finish({ responseText: '', error: error.message });
+        } finally {
+          checking = false;
+        }
+        schedule();
+      };
 
-        // Priority 1: Try new markdown detection first
-        responseElement = await this.findLatestMarkdownResponse(initialElements);
+      const check = async () => {
+        if (Date.now() - start > timeout) {
+          return finish({
+            responseText: '',
+            error: `AI response timeout after ${timeout/1000}s`
+          });
+        }
 
-        // Priority 2: Only if markdown detection finds nothing, use fallback
-        if (!responseElement) {
-          const fallbackNodes = Array.from(document.querySelectorAll(
-            this.adaptiveSelector.strategies.responseContainer.join(',')
-          ));
-          responseElement = fallbackNodes.reverse()
-            .find(n => !initialElements.has(n) && this.isVisible(n));
+        const errorState = this.detectErrorState(initialErrorElements);
+        if (errorState) {
+          return finish({
+            responseText: '',
+            error: `Perplexity error: ${errorState}`,
+            errorState: true
+          });
         }
 
-        // CRITICAL: Ensure we're tracking the same element across checks
-        if (responseElement && responseElement !== lastResponseElement) {
-          // New response found, reset stability counter
-          lastResponseElement = responseElement;
-          stable = 0;
-          lastLen = 0;
+        const latest = await this.findNewResponseElement(initialElements);
+        if (latest && latest !== responseElement) {
+          // New answer node (e.g. the page swapped it out) - its content counts as a change
+          responseElement = latest;
+          lastChange = Date.now();
         }
 
-        if (responseElement) {
-          const htmlContent = this.extractHTMLContent(responseElement);
-          const textLength = responseElement.innerText.trim().length;
-
-          // Enhanced stability detection for research prompts
-          if (textLength === lastLen && textLength > 0) {
-            stable++;
-
-            // Increased stability requirements:
-            // - Minimum 8 consecutive stable checks (was 3)
-            // - Minimum response length of 100 characters for research prompts
-            // - Additional wait time for longer responses (research usually produces more content)
-            const minStableChecks = textLength > 500 ? 12 : 8; // More checks for longer responses
-            const minResponseLength = 100; // Minimum length to consider complete
-
-            if (stable >= minStableChecks && textLength >= minResponseLength) {
-              // Final validation: wait additional time for research prompts
-              const totalWaitTime = Date.now() - start;
-              const minWaitTime = textLength > 1000 ? 15000 : 10000; // 15s for long responses, 10s for shorter
-
-              if (totalWaitTime >= minWaitTime) {
-                console.log(`Response stable for ${stable} checks (${textLength} chars) after ${totalWaitTime}ms`);
-                return resolve({
-                  responseText: htmlContent,
-                  startTime: start
-                });
-              } else {
-                // Wait a bit more even if stable, for research prompts
-                console.log(`Response stable but waiting minimum time (${totalWaitTime}/${minWaitTime}ms)`);
-              }
-            }
-          } else {
-            lastLen = textLength;
-            stable = 0;
+        const generating = this.isGenerating();
+        sawGenerating = sawGenerating || generating;
+
+        if (responseElement && !generating && responseElement.innerText.trim().length > 0) {
+          const quietFor = Date.now() - lastChange;
+          // Without a streaming indicator (e.g. outdated selectors) only a longer silence means done
+          const settle = sawGenerating ? this.completionSettleTime : this.completionQuietTime;
+          if (quietFor >= settle) {
+            const citations = this.extractCitations(responseElement);
+            console.log(`Response complete (${responseElement.innerText.trim().length} chars) after ${Date.now() - start}ms`);
+            return finish({
+              responseText: await this.extractHTMLContent(responseElement, citations),
+              citations,
+              startTime: start
+            });
           }
         }
+      };
 
-        if (Date.now() - start > timeout) {
-          return resolve({
-            responseText: '',
-            error: `AI response timeout after ${timeout/1000}s`
-          });
+      const observer = new MutationObserver(mutations => {
+        if (!responseElement || mutations.some(m => responseElement.contains(m.target))) {
+          lastChange = Date.now();
         }
-        setTimeout(check, 1000);
-      };
-      check();
+        // Streaming state or the answer changed: check again shortly after the burst
+        schedule(300);
+      });
+      observer.observe(document.body, { childList: true, subtree: true, characterData: true, attributes: true });
+
+      evaluate();
     });
   }
 
+  // Every node that currently looks like an answer
+  getResponseElements() {
+    return new Set([
+      ...document.querySelectorAll(this.adaptiveSelector.strategies.responseContainer.join(',')),
+      ...document.querySelectorAll(this.primarySelectors.responseContainer)
+    ]);
+  }
+
+  // Newest answer node that was not on the page before the prompt was sent
+  async findNewResponseElement(initialElements) {
+    // Priority 1: Try new markdown detection first
+    const markdownResponse = await this.findLatestMarkdownResponse(initialElements);
+    if (markdownResponse) {
+      return markdownResponse;
+    }
+
+    // Priority 2: Only if markdown detection finds nothing, use fallback
+    const fallbackNodes = Array.from(document.querySelectorAll(
+      this.adaptiveSelector.strategies.responseContainer.join(',')
+    ));
+    return fallbackNodes.reverse().find(n => !initialElements.has(n) && this.isVisible(n)) || null;
+  }
+
+  // Perplexity shows a stop button (or a generating indicator) while an answer streams
+  isGenerating() {
+    return this.generatingSelectors.some(selector => {
+      const el = this.adaptiveSelector.queryStrategy(selector);
+      return el && this.isVisible(el);
+    });
+  }
+
+  /**
+   * Collect the sources cited by one answer: inline citation markers first, in reading
+   * order, then any remaining source cards shown with the answer
+   * @param {Element} node Response element
+   * @returns {Array<{number: number, url: string, title: string, domain: string}>} Citations numbered from 1
+   */
+  extractCitations(node) {
+    const citations = [];
+    const addCitation = (url, title) => {
+      if (!url || citations.some(c => c.url === url)) return;
+      const domain = this.getCitationDomain(url);
+      citations.push({ number: citations.length + 1, url, title: title || domain, domain });
+    };
+
+    node.querySelectorAll(this.citationSelectors.join(',')).forEach(el => {
+      addCitation(this.getCitationUrl(el), this.getCitationTitle(el));
+    });
+
+    const container = this.findAnswerContainer(node);
+    container.querySelectorAll(this.sourceListSelectors.join(',')).forEach(el => {
+      if (!node.contains(el)) {
+        addCitation(this.getCitationUrl(el), this.getCitationTitle(el));
+      }
+    });
+
+    return citations;
+  }
+
+  // Walk up from the answer while the ancestor still holds only this one answer
+  findAnswerContainer(node) {
+    let container = node;
+    while (container.parentElement && container.parentElement !== document.body) {
+      if (container.parentElement.querySelectorAll(this.primarySelectors.responseContainer).length > 1) break;
+      container = container.parentElement;
+    }
+    return container;
+  }
+
+  // External http(s) URL of a citation element, or null for in-app links
+  getCitationUrl(el) {
+    const raw = el.getAttribute('data-pplx-citation-url') || el.getAttribute('href');
+    try {
+      const url = new URL(raw, location.href);
+      if (!/^https?:$/.test(url.protocol) || url.hostname.endsWith('perplexity.ai')) return null;
+      return url.href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  getCitationTitle(el) {
+    const title = el.getAttribute('title') || el.getAttribute('aria-label') || el.textContent || '';
+    const clean = title.replace(/\s+/g, ' ').trim();
+    // Bare "1" or "[1]" markers carry no title
+    return /^\[?\d+\]?$/.test(clean) ? '' : clean;
+  }
+
+  getCitationDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return '';
+    }
+  }
+
   // NEW METHOD: Add this method to extract HTML content
-  extractHTMLContent(node) {
+  async extractHTMLContent(node, citations = []) {
       // Clone the node to avoid modifying the original
       const clonedNode = node.cloneNode(true);
 
+      // Work that needs the live page (rendered sizes, canvas pixels) runs while clone and original still match
+      this.copyTableAlignment(node, clonedNode);
+      await this.captureMedia(node, clonedNode);
+
+      // Swap inline citation markers for <sup>[n]</sup> before links and attributes are stripped
+      if (citations.length > 0) {
+          clonedNode.querySelectorAll(this.citationSelectors.join(',')).forEach(el => {
+              const citation = citations.find(c => c.url === this.getCitationUrl(el));
+              if (!citation || !clonedNode.contains(el)) return; // Already replaced with its wrapper
+              const marker = document.createElement('sup');
+              marker.textContent = `[${citation.number}]`;
+              (el.closest('.citation, [data-pplx-citation]') || el).replaceWith(marker);
+          });
+      }
+
       // Remove unwanted elements (buttons, navigation, etc.)
       const unwantedSelectors = [
           'button',
@@ -792,13 +1213,154 @@ class PerplexityAutomator {
       // If no meaningful HTML structure found, fall back to plain text
       if (!htmlContent.includes('<p') && !htmlContent.includes('<div') &&
           !htmlContent.includes('<h') && !htmlContent.includes('<ul') &&
-          !htmlContent.includes('<ol')) {
+          !htmlContent.includes('<ol') && !htmlContent.includes('<table') &&
+          !htmlContent.includes('<img')) {
           return node.innerText.trim();
       }
 
       return htmlContent;
   }
 
+  // Styles are stripped from the HTML, so keep each cell's alignment as an align attribute Word understands
+  copyTableAlignment(node, clonedNode) {
+    const cells = Array.from(node.querySelectorAll('th, td'));
+    const clonedCells = clonedNode.querySelectorAll('th, td');
+    cells.forEach((cell, i) => {
+      const align = { center: 'center', right: 'right', end: 'right', justify: 'justify' }[getComputedStyle(cell).textAlign];
+      if (align && clonedCells[i]) {
+        clonedCells[i].setAttribute('align', align);
+      }
+    });
+  }
+
+  /**
+   * Replace images and charts in the cloned answer with embedded PNGs, so the document does not
+   * depend on remote files. Icons are left alone; a picture that cannot be captured keeps its link
+   * and is marked as not embedded, so the report says so.
+   * @param {Element} node Answer on the page
+   * @param {Element} clonedNode Untouched clone of it
+   */
+  async captureMedia(node, clonedNode) {
+    const media = Array.from(node.querySelectorAll('img, svg, canvas'));
+    const clonedMedia = Array.from(clonedNode.querySelectorAll('img, svg, canvas'));
+
+    for (let i = 0; i < media.length; i++) {
+      const original = media[i];
+      const clone = clonedMedia[i];
+      const tag = original.tagName.toLowerCase();
+      const rect = original.getBoundingClientRect();
+      // Parts of a larger chart are captured with it; small pictures are icons and avatars
+      if (!clone || original.parentElement.closest('svg') || rect.width < 48 || rect.height < 32) {
+        continue;
+      }
+      if (tag === 'svg' && (rect.width < 150 || rect.height < 100)) {
+        continue;
+      }
+
+      let dataUrl = null;
+      try {
+        if (tag === 'img') {
+          dataUrl = await this.imageToDataUrl(original);
+        } else if (tag === 'canvas') {
+          dataUrl = original.toDataURL('image/png');
+        } else {
+          dataUrl = await this.svgToDataUrl(original, rect);
+        }
+      } catch (error) {
+        console.warn(`Could not capture ${tag} from the response:`, error.message);
+      }
+
+      if (!dataUrl) {
+        if (tag === 'canvas') {
+          clone.remove(); // Nothing to show without its pixels
+        } else if (tag === 'img') {
+          this.markImageNotEmbedded(original, clone);
+        }
+        continue;
+      }
+      const image = document.createElement('img');
+      const width = Math.round(Math.min(rect.width, 600));
+      image.src = dataUrl;
+      image.alt = original.getAttribute('alt') || original.getAttribute('aria-label') || (tag === 'img' ? 'Image' : 'Chart');
+      image.setAttribute('width', width);
+      image.setAttribute('height', Math.round(rect.height * width / rect.width));
+      clone.replaceWith(image);
+    }
+  }
+
+  async imageToDataUrl(img) {
+    const src = img.currentSrc || img.src;
+    if (!src) return null;
+    // Download the file again: drawing the page's own <img> of another origin into a canvas is blocked.
+    // The background fetches it, since this script is held to CORS for hosts other than Perplexity.
+    const result = await browser.runtime.sendMessage({ type: 'fetch-image', url: src });
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || `No image data for ${src}`);
+    }
+    const response = await fetch(result.dataUrl);
+    const bitmap = await createImageBitmap(await response.blob());
+    try {
+      return this.rasterize(bitmap, bitmap.width, bitmap.height);
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  // Keep the remote picture's link in the report with a note that it is not part of the document
+  markImageNotEmbedded(img, clone) {
+    const src = img.currentSrc || img.src;
+    // Classes and data attributes are stripped from the extracted HTML, so the note is set apart in italics
+    const note = document.createElement('p');
+    const text = document.createElement('em');
+    text.appendChild(document.createTextNode('Image not embedded in the report: '));
+    const link = document.createElement('a');
+    link.href = src;
+    link.textContent = img.getAttribute('alt') || src;
+    text.appendChild(link);
+    note.appendChild(text);
+    clone.replaceWith(note);
+  }
+
+  async svgToDataUrl(svg, rect) {
+    const copy = svg.cloneNode(true);
+    // Page stylesheets do not apply outside the page, so copy the styles charts rely on inline
+    const elements = [svg, ...svg.querySelectorAll('*')];
+    const copies = [copy, ...copy.querySelectorAll('*')];
+    elements.forEach((el, i) => {
+      const style = getComputedStyle(el);
+      ['fill', 'stroke', 'stroke-width', 'opacity', 'font-family', 'font-size', 'font-weight'].forEach(property => {
+        copies[i].style.setProperty(property, style.getPropertyValue(property));
+      });
+    });
+    copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    copy.setAttribute('width', rect.width);
+    copy.setAttribute('height', rect.height);
+
+    const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(copy)], { type: 'image/svg+xml' }));
+    try {
+      const image = new Image();
+      await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = () => reject(new Error('Chart could not be rendered'));
+        image.src = url;
+      });
+      // Twice the on-screen size keeps chart text sharp in print
+      return this.rasterize(image, rect.width * 2, rect.height * 2);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  // Draw an image onto a canvas and return it as a PNG data URL, scaled down to at most 1600px wide
+  rasterize(source, width, height) {
+    const scale = Math.min(1, 1600 / width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+  }
+
   async collectLatestResponse() {
     // Enhanced response detection logic - gets the most recent response on the page
     // Use timestamp-based detection to avoid cross-tab interference
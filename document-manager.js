@@ -0,0 +1,1596 @@
+/**
+ * Perplexity AI Automator - Document Manager
+ * Shared by the popup and the background page so documents can be built
+ * even when the popup is closed (e.g. during batch runs).
+ */
+
+/**
+ * Enhanced Document Manager for Microsoft Word Layout
+ * Fonts, colours, logo, cover, header and footer come from the prompt set's report template
+ */
+class DocumentManager {
+    constructor() {
+        this.companyName = 'Company';
+        this.titleTemplate = 'Business Analyses for {{company}}'; // From the selected prompt set
+        this.titleValues = {}; // Template variable values used in the title
+        this.reportTemplateId = null; // Report template of the selected prompt set (null = built-in)
+        this.tabId = null; // Track which tab this belongs to
+        this.document = {
+            title: this.buildTitle(),
+            timestamp: null,
+            responses: [],
+            summary: null
+        };
+    }
+
+    // NEW: Set the tab ID for this document manager
+    setTabId(tabId) {
+      this.tabId = tabId;
+    }
+
+    // NEW: Get tab-specific storage key
+    getStorageKey() {
+      return this.tabId ? `popupDocument_tab_${this.tabId}` : 'popupDocument';
+    }
+
+    async loadDocumentState() {
+      try {
+        const storageKey = this.getStorageKey();
+        const result = await browser.storage.local.get([storageKey]);
+        if (result[storageKey]) {
+          this.document = result[storageKey];
+          console.log('Document state loaded:', this.getResponseCount(), 'responses');
+        }
+      } catch (error) {
+        console.error('Failed to load document state:', error);
+      }
+    }
+
+    async saveDocumentState() {
+        try {
+            const storageKey = this.getStorageKey();
+            await browser.storage.local.set({ [storageKey]: this.document });
+        } catch (error) {
+            console.error('Failed to save document state:', error);
+        }
+    }
+
+    async syncWithBackground() {
+        try {
+            // NEW: Pass current tab ID to get tab-specific document data
+            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+            const response = await browser.runtime.sendMessage({
+              type: 'get-document-data',
+              tabId: tab.id
+            });
+            // The background document is authoritative even when empty: the review page may have removed every section
+            if (response && response.document && Array.isArray(response.document.responses)) {
+                // Map background document structure to popup structure
+                this.document = {
+                    ...this.document,
+                    responses: response.document.responses.map(bgResponse => this.mapBackgroundResponse(bgResponse))
+                };
+                await this.saveDocumentState();
+                console.log('Synced with background:', this.getResponseCount(), 'responses');
+                return true;
+            }
+        } catch (error) {
+            console.error('Failed to sync with background:', error);
+        }
+        return false;
+    }
+
+    addResponse(promptNumber, promptText, responseText) {
+      // ENHANCED: Multiple deduplication strategies
+
+      // Check 1: Exact prompt number match
+      const existingByNumber = this.document.responses.findIndex(r => r.promptNumber === promptNumber);
+
+      // Check 2: Content hash comparison (prevent identical content)
+      const responseHash = this.hashContent(responseText);
+      const existingByHash = this.document.responses.findIndex(r =>
+        this.hashContent(r.responseText) === responseHash &&
+        Math.abs(r.promptNumber - promptNumber) <= 1
+      );
+
+      const response = {
+        promptNumber,
+        promptText,
+        responseText,
+        timestamp: new Date().toISOString(),
+        contentHash: responseHash // Store hash for future comparisons
+      };
+
+      if (existingByNumber >= 0) {
+        // Replace existing response with same prompt number
+        this.document.responses[existingByNumber] = response;
+        console.log(`Popup: Updated response ${promptNumber} (number match)`);
+      } else if (existingByHash >= 0) {
+        // Skip if identical content already exists
+        console.log(`Popup: Skipped duplicate content for response ${promptNumber}`);
+        return;
+      } else {
+        // Add new unique response
+        this.document.responses.push(response);
+        console.log(`Popup: Added new response ${promptNumber}`);
+      }
+
+      this.document.responses.sort((a, b) => a.promptNumber - b.promptNumber);
+      this.saveDocumentState();
+    }
+
+    // ADD: Content hashing method
+    hashContent(content) {
+      if (!content) return '';
+      // Simple hash function for content comparison
+      let hash = 0;
+      const cleanContent = content.trim().substring(0, 1000); // Use first 1000 chars
+      for (let i = 0; i < cleanContent.length; i++) {
+        const char = cleanContent.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash; // Convert to 32-bit integer
+      }
+      return hash.toString();
+    }
+
+    getResponseCount() {
+        return this.document.responses.length;
+    }
+
+    hasResponses() {
+        return this.getResponseCount() > 0;
+    }
+
+    clearDocument() {
+        this.document = {
+            title: this.buildTitle(),
+            timestamp: null,
+            responses: [],
+            summary: null
+        };
+        this.saveDocumentState();
+    }
+
+    finalizeDocument(summary) {
+        this.document.summary = summary;
+        this.saveDocumentState();
+    }
+
+    async downloadDocx(automationId = null) {
+        if (!this.hasResponses()) {
+            alert('No responses to download');
+            return;
+        }
+
+        try {
+            // Check if html-docx library is available
+            if (typeof htmlDocx === 'undefined') {
+                console.warn('html-docx library not found, falling back to plain text');
+                return this.downloadDocxPlainText();
+            }
+
+            const docxBlob = await this.generateDocxBlob();
+            const filename = this.buildFilename('docx');
+
+            const url = URL.createObjectURL(docxBlob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            console.log('HTML-formatted DOCX downloaded successfully:', filename);
+
+            // NEW: Clear document data from memory immediately after successful download
+            this.clearDocumentFromMemory();
+
+            // NEW: Notify background that download completed
+            if (automationId) {
+                setTimeout(async () => {
+                    await browser.runtime.sendMessage({
+                        type: 'docx-download-completed',
+                        automationId: automationId
+                    });
+                }, 1000);
+            }
+
+        } catch (error) {
+            console.error('Failed to generate HTML DOCX:', error);
+            console.log('Falling back to plain text method');
+            return this.downloadDocxPlainText(automationId);
+        }
+    }
+
+    /**
+     * Convert the collected responses to a DOCX blob using html-docx
+     * @returns {Promise<Blob>} The generated DOCX file
+     */
+    async generateDocxBlob() {
+        if (typeof htmlDocx === 'undefined') {
+            throw new Error('html-docx library not loaded');
+        }
+
+        // Build HTML document structure
+        const htmlContent = await this.generateHTMLDocument();
+        const { margins } = await this.loadReportTemplate();
+        const twips = inches => Math.round(inches * 1440); // 1440 twips = 1 inch
+
+        // Convert HTML to DOCX using html-docx library
+        const docxBlob = htmlDocx.asBlob(htmlContent, {
+            orientation: 'portrait',
+            margins: {
+                top: twips(margins.top),
+                right: twips(margins.right),
+                bottom: twips(margins.bottom),
+                left: twips(margins.left)
+            }
+        });
+        return this.addHeaderAndFooter(docxBlob);
+    }
+
+    /**
+     * Add the template's running header and footer (text and page numbers) to an html-docx package.
+     * html-docx writes the body as one altChunk of HTML, and Word ignores header and footer markup inside
+     * it, so they go in as real header/footer parts referenced from the section properties.
+     * @param {Blob} docxBlob Package from htmlDocx.asBlob
+     * @returns {Promise<Blob>} Package with word/header1.xml and word/footer1.xml as needed
+     */
+    async addHeaderAndFooter(docxBlob) {
+        const template = await this.loadReportTemplate();
+        const values = this.getReportValues();
+        const headerText = ReportTemplateStore.renderText(template.headerText, values);
+        const footerText = ReportTemplateStore.renderText(template.footerText, values);
+
+        const parts = [];
+        if (headerText) {
+            parts.push({ type: 'header', id: 'rIdHeader1', name: 'header1.xml', xml: this.buildWordHeaderXml(headerText, template) });
+        }
+        if (footerText || template.pageNumbers) {
+            parts.push({ type: 'footer', id: 'rIdFooter1', name: 'footer1.xml', xml: this.buildWordFooterXml(footerText, template) });
+        }
+        if (parts.length === 0) {
+            return docxBlob;
+        }
+
+        const files = ZipArchive.read(await docxBlob.arrayBuffer());
+        const decoder = new TextDecoder();
+        const edit = (name, change) => {
+            const file = files.find(f => f.name === name);
+            if (!file) throw new Error(`${name} missing from the DOCX package`);
+            file.content = change(decoder.decode(file.content));
+        };
+        const partType = type => `application/vnd.openxmlformats-officedocument.wordprocessingml.${type}+xml`;
+        const relationshipType = type => `http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}`;
+
+        edit('[Content_Types].xml', xml => xml.replace('</Types>',
+            parts.map(part => `<Override PartName="/word/${part.name}" ContentType="${partType(part.type)}"/>`).join('') + '</Types>'));
+        edit('word/_rels/document.xml.rels', xml => xml.replace('</Relationships>',
+            parts.map(part => `<Relationship Id="${part.id}" Type="${relationshipType(part.type)}" Target="${part.name}"/>`).join('') + '</Relationships>'));
+        // References come first in w:sectPr, before the page size and margins
+        edit('word/document.xml', xml => xml.replace(/<w:sectPr[^>]*>/, sectPr =>
+            sectPr + parts.map(part => `<w:${part.type}Reference w:type="default" r:id="${part.id}"/>`).join('')));
+        parts.forEach(part => files.push({ name: `word/${part.name}`, content: part.xml }));
+
+        return new Blob([ZipArchive.build(files)], { type: docxBlob.type });
+    }
+
+    // Same look as the docx.js fallback: header right-aligned in grey, footer centered
+    buildWordHeaderXml(headerText, template) {
+        return this.buildWordPartXml('hdr', 'right',
+            this.wordRun(headerText, template.bodyFont, 18, '595959'));
+    }
+
+    buildWordFooterXml(footerText, template) {
+        const run = text => this.wordRun(text, template.bodyFont, 20);
+        const field = code => `<w:fldSimple w:instr=" ${code} ">${run('1')}</w:fldSimple>`;
+        let runs = footerText ? run(template.pageNumbers ? `${footerText}  |  ` : footerText) : '';
+        if (template.pageNumbers) {
+            runs += `${run('Page ')}${field('PAGE')}${run(' of ')}${field('NUMPAGES')}`;
+        }
+        return this.buildWordPartXml('ftr', 'center', runs);
+    }
+
+    buildWordPartXml(element, alignment, runs) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<w:${element} xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ` +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<w:p><w:pPr><w:jc w:val="${alignment}"/></w:pPr>${runs}</w:p></w:${element}>`;
+    }
+
+    // Size in half-points, as in Word XML
+    wordRun(text, font, size, color = null) {
+        const fontName = this.escapeHtml(font);
+        return `<w:r><w:rPr><w:rFonts w:ascii="${fontName}" w:hAnsi="${fontName}" w:cs="${fontName}"/>` +
+            `${color ? `<w:color w:val="${color}"/>` : ''}<w:sz w:val="${size}"/></w:rPr>` +
+            `<w:t xml:space="preserve">${this.escapeHtml(text)}</w:t></w:r>`;
+    }
+
+    /**
+     * Build the download filename as Company_MM.DD.YYYY_HH.MM.SS.<extension>
+     * @param {string} extension File extension without the dot
+     * @returns {string} Filename
+     */
+    buildFilename(extension) {
+        // Use the companyName stored in this DocumentManager instance for filename prefix
+        const safeName = (this.companyName || 'Company').replace(/[^a-zA-Z0-9-_]/g, '');
+
+        const now = new Date();
+        const pad2 = n => String(n).padStart(2,'0');
+        const datePart = `${pad2(now.getMonth()+1)}.${pad2(now.getDate())}.${now.getFullYear()}`;
+        const timePart = `${pad2(now.getHours())}.${pad2(now.getMinutes())}.${pad2(now.getSeconds())}`;
+
+        return `${safeName}_${datePart}_${timePart}.${extension}`;
+    }
+
+    /**
+     * Load responses collected by the background BackgroundDocumentManager,
+     * mapping { index, prompt, response } to the popup response structure
+     * @param {Object} backgroundDocument Document from getDocumentData()
+     */
+    loadBackgroundDocument(backgroundDocument) {
+        this.document = {
+            ...backgroundDocument,
+            // reportTitle is the prompt set title rendered when the run started
+            title: backgroundDocument.reportTitle || this.buildTitle(),
+            responses: backgroundDocument.responses.map(bgResponse => this.mapBackgroundResponse(bgResponse))
+        };
+    }
+
+    // Background entries are { index, prompt, response }; the popup uses { promptNumber, promptText, responseText }
+    mapBackgroundResponse(bgResponse) {
+        return {
+            promptNumber: bgResponse.index + 1,
+            // Entries from the automation hold the whole prompt entry rather than just its text
+            promptText: typeof bgResponse.prompt === 'string' ? bgResponse.prompt : (bgResponse.prompt?.text || ''),
+            nickname: typeof bgResponse.prompt === 'object' ? (bgResponse.prompt?.nickname || '') : '',
+            responseText: bgResponse.response,
+            citations: bgResponse.citations || [],
+            threadUrl: bgResponse.threadUrl || null,
+            failed: !!bgResponse.failed,
+            error: bgResponse.error || null,
+            timestamp: bgResponse.timestamp
+        };
+    }
+
+    // Section heading: the prompt's nickname, or its number when it has none
+    getSectionTitle(response) {
+        return (response.nickname || '').trim() || `Question ${response.promptNumber}`;
+    }
+
+    /**
+     * Report options saved from the popup
+     * @returns {Promise<Object>} { includePromptText, format } (format is the popup's download format)
+     */
+    async loadReportSettings() {
+        const defaults = { includePromptText: false, format: 'docx' };
+        try {
+            const result = await browser.storage.local.get('reportSettings');
+            return { ...defaults, ...(result.reportSettings || {}) };
+        } catch (error) {
+            console.warn('Failed to load report settings:', error);
+            return defaults;
+        }
+    }
+
+    // Branding preset picked for the run's prompt set (built-in when none)
+    async loadReportTemplate() {
+        return ReportTemplateStore.getTemplate(this.document.reportTemplateId || this.reportTemplateId);
+    }
+
+    // Values for the template's cover, header and footer text: the run's variables plus company, title and date
+    getReportValues() {
+        // Explicitly build "dd Month yyyy" to ensure correct order
+        const now = new Date();
+        const day = String(now.getDate()).padStart(2, '0');
+        const month = now.toLocaleString(undefined, { month: 'long' });
+        return {
+            ...(this.document.reportValues || this.titleValues),
+            company: this.companyName || 'Company',
+            title: this.document.title,
+            date: `${day} ${month} ${now.getFullYear()}`
+        };
+    }
+
+    // Font name as a CSS font-family with a fallback
+    cssFont(name) {
+        return `'${String(name).replace(/['";{}]/g, '')}', serif`;
+    }
+
+    /**
+     * Placeholder text for a section whose prompt timed out or failed
+     * @param {Object} response Response entry with failed/error
+     * @returns {string} Plain placeholder text
+     */
+    getMissingResponseText(response) {
+        return response.error ? `No response collected (${response.error})` : 'No response collected';
+    }
+
+    /**
+     * Number every cited source once across the document, in order of first citation
+     * @returns {{sources: Array<Object>, endnotes: Array<Map<number, number>>}} Source list, and per response
+     *          a map from the response's own citation number to its endnote number
+     */
+    collectSources() {
+        const sources = [];
+        const endnotes = this.document.responses.map(response => {
+            const numbers = new Map();
+            (response.citations || []).forEach(citation => {
+                let position = sources.findIndex(source => source.url === citation.url);
+                if (position < 0) {
+                    sources.push(citation);
+                    position = sources.length - 1;
+                }
+                numbers.set(citation.number, position + 1);
+            });
+            return numbers;
+        });
+        return { sources, endnotes };
+    }
+
+    // Rewrite the content script's <sup>[n]</sup> markers to document-wide endnote numbers
+    applyEndnoteNumbers(text, numbers) {
+        if (!text || numbers.size === 0) return text;
+        return text.replace(/<sup>\[(\d+)\]<\/sup>/g, (marker, number) => {
+            const endnote = numbers.get(Number(number));
+            return endnote ? `<sup>[${endnote}]</sup>` : marker;
+        });
+    }
+
+    escapeHtml(text) {
+        return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Endnote-style "Sources" section listing each cited source once
+    buildSourcesSection(sources) {
+        if (sources.length === 0) return '';
+        let html = `<h1><a name="sources"></a>Sources</h1>`;
+        sources.forEach((source, index) => {
+            html += `<p class="source-entry">[${index + 1}] ${this.escapeHtml(source.title)}`;
+            if (source.domain && source.domain !== source.title) {
+                html += ` <span class="source-domain">(${this.escapeHtml(source.domain)})</span>`;
+            }
+            html += `<br><a href="${this.escapeHtml(source.url)}">${this.escapeHtml(source.url)}</a></p>`;
+        });
+        return html;
+    }
+
+    updateDocumentTitle() {
+        this.document.title = this.buildTitle();
+        this.saveDocumentState();
+    }
+
+    // Render the title template with the company name and the current variable values
+    buildTitle() {
+        const companyName = this.companyName || 'Company';
+        if (typeof TemplateEngine === 'undefined') {
+            return `Business Analyses for ${companyName}`;
+        }
+        return TemplateEngine.render(this.titleTemplate, { ...this.titleValues, company: companyName }).trim() ||
+            `Business Analyses for ${companyName}`;
+    }
+
+    /**
+     * Clear document data from memory after download completion
+     * This helps free up RAM and cache space
+     */
+    clearDocumentFromMemory() {
+        try {
+            // Clear large data structures from memory
+            if (this.document.responses) {
+                this.document.responses.forEach(response => {
+                    // Clear large response text content
+                    if (response.responseText) {
+                        response.responseText = null;
+                    }
+                    if (response.contentHash) {
+                        response.contentHash = null;
+                    }
+                });
+            }
+
+            // Clear document summary
+            if (this.document.summary) {
+                this.document.summary = null;
+            }
+
+            // Force garbage collection hint
+            if (window.gc) {
+                window.gc();
+            }
+
+            console.log('Document data cleared from memory after download');
+
+            // Update UI to reflect that data has been cleared
+            this.updateDocumentStatus('cleared', 'Document downloaded and cleared from memory');
+
+        } catch (error) {
+            console.warn('Error clearing document from memory:', error);
+        }
+    }
+
+    /**
+     * Load brand icon as base64 data URL
+     * @returns {Promise<string>} Base64 data URL of the icon
+     */
+    async loadBrandIcon() {
+        try {
+            const iconUrl = browser.runtime.getURL('icons/logo-icon.png');
+            const response = await fetch(iconUrl);
+
+            if (!response.ok) {
+                throw new Error(`Failed to load icon: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = reject;
+                reader.readAsDataURL(blob);
+            });
+        } catch (error) {
+            console.warn('Failed to load brand icon:', error);
+            return null; // Return null if icon fails to load
+        }
+    }
+
+    // Natural size of an image data URL, for keeping the logo's aspect ratio
+    getImageSize(dataUrl) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => resolve({ width: image.naturalWidth || 1, height: image.naturalHeight || 1 });
+            image.onerror = () => resolve({ width: 1, height: 1 });
+            image.src = dataUrl;
+        });
+    }
+
+    /**
+     * NEW METHOD: Generate structured HTML document
+     * Add this new method to the DocumentManager class
+     */
+    async generateHTMLDocument() {
+        const title = this.escapeHtml(this.document.title);
+
+        const template = await this.loadReportTemplate();
+        const iconDataUrl = template.showLogo ? (template.logoDataUrl || await this.loadBrandIcon()) : null;
+        const reportSettings = await this.loadReportSettings();
+        const values = this.getReportValues();
+        const titleFont = this.cssFont(template.titleFont);
+        const headingFont = this.cssFont(template.headingFont);
+        const bodyFont = this.cssFont(template.bodyFont);
+        const coverText = ReportTemplateStore.renderText(template.coverText, values);
+        const notice = ReportTemplateStore.renderText(template.confidentialityNotice, values);
+
+        let html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="UTF-8">
+            <title>${title}</title>
+            <style>
+                body {
+                    font-family: ${bodyFont};
+                    font-size: 12pt;
+                    line-height: 1.5;
+                    color: ${template.textColor};
+                }
+                .brand-icon {
+                                position: absolute;
+                                top: 0;
+                                left: 0;
+                                width: 60px;
+                                height: auto;
+                                z-index: 10;
+                            }
+                .response-content {
+                    font-family: ${bodyFont};
+                    margin-bottom: 12pt;
+                    line-height: 1.5;
+                }
+                p { font-family: ${bodyFont}; font-size: 12pt; margin-bottom: 6pt; }
+                h1 { font-style: normal; font-weight: normal;  font-family: ${headingFont}; color: ${template.headingColor}; font-size: 20pt; margin-bottom: 6pt; }
+                h2 { font-style: normal; font-weight: normal; font-family: ${headingFont}; color: ${template.headingColor}; font-size: 16pt; margin-bottom: 6pt; }
+                h3 { font-style: normal; font-weight: normal; font-family: ${bodyFont}; color: ${template.headingColor}; font-size: 14pt; margin-bottom: 6pt; }
+                ul, ol { margin-bottom: 12pt; }
+                li { margin-bottom: 3pt; }
+                strong, b { font-weight: bold; }
+                em, i { font-style: italic; }
+                code {
+                    font-family: 'Courier New', monospace;
+                    background-color: #f0f0f0;
+                    padding: 2px 4px;
+                }
+                pre {
+                    font-family: 'Courier New', monospace;
+                    background-color: #f0f0f0;
+                    padding: 12pt;
+                    margin: 12pt 0;
+                    white-space: pre-wrap;
+                }
+                blockquote {
+                    margin-left: 24pt;
+                    padding-left: 12pt;
+                    border-left: 3pt solid #cccccc;
+                    font-style: italic;
+                }
+                table { border-collapse: collapse; width: 100%; margin-bottom: 12pt; }
+                thead { display: table-header-group; }
+                th, td { font-family: ${bodyFont}; font-size: 11pt; border: 1px solid #999999; padding: 4pt 6pt; vertical-align: top; }
+                th { font-weight: bold; background-color: #F2F2F2; }
+                img { max-width: 100%; }
+                sup { font-size: 8pt; vertical-align: super; }
+                .source-entry { font-size: 10pt; margin-bottom: 6pt; }
+                .source-domain { color: #7F7F7F; }
+                .view-original { font-size: 10pt; margin-top: 6pt; }
+                .prompt-text { font-family: ${bodyFont}; font-size: 11pt; font-style: italic; color: #595959; border-left: 3pt solid ${template.headingColor}; padding-left: 8pt; margin-bottom: 12pt; }
+                .toc-title { font-family: ${headingFont}; color: ${template.headingColor}; font-size: 20pt; margin-bottom: 12pt; }
+                .toc-entry { font-family: ${bodyFont}; font-size: 12pt; margin-bottom: 3pt; }
+                .toc-hint { font-size: 10pt; color: #7F7F7F; }
+                .cover-text { font-family: ${titleFont}; font-size: 12pt; text-align: left; margin-bottom: 24pt; }
+                .confidentiality-notice { font-size: 9pt; color: #595959; border-top: 1px solid #BFBFBF; padding-top: 6pt; margin-top: 48pt; }
+            </style>
+        </head>
+        <body>
+            <div class="header-container">
+                ${iconDataUrl ? `<img src="${iconDataUrl}" alt="Brand Logo" class="brand-icon">` : ''}
+            </div>
+            <br style="font-size: 20pt;"></br>
+            <br style="font-size: 20pt;"></br>
+            <br style="font-size: 20pt;"></br>
+            <br style="font-size: 20pt;"></br>
+            <br style="font-size: 20pt;"></br>
+            <br style="font-size: 20pt;"></br>
+            <p class="MsoTitle" style="color: ${template.textColor};font-family: ${titleFont};font-size: 20pt;height: 100vh;display: flex;flex-direction: column;justify-content: center;text-align: left; margin: 0;padding: 0;">${title}</p>
+            ${coverText ? `<p class="cover-text">${this.escapeHtml(coverText).replace(/\n/g, '<br>')}</p>` : ''}
+            ${notice ? `<p class="confidentiality-notice">${this.escapeHtml(notice).replace(/\n/g, '<br>')}</p>` : ''}
+        `;
+
+        html += `
+            <!-- First page break -->
+            <br clear="all" style="page-break-before: always" />
+            <!-- Second page break -->
+            <br clear="all" style="page-break-before: always" />
+        `;
+
+
+        const { sources, endnotes } = this.collectSources();
+
+        html += this.buildTableOfContents(sources.length > 0);
+        html += `<br clear="all" style="page-break-before: always" />`;
+
+        // One section per response, headed by the prompt's nickname (Word Heading 1)
+        this.buildReportSections(reportSettings, endnotes).forEach(section => {
+            html += section;
+            html += `<br clear="all" style="page-break-before: always" />`;
+        });
+
+        html += this.buildSourcesSection(sources);
+        html += `</body></html>`;
+        return html;
+    }
+
+    /**
+     * HTML of each response section: the nickname heading, the prompt text when enabled, the response with
+     * document-wide citation numbers and a link back to the thread
+     * @param {Object} reportSettings Settings from loadReportSettings()
+     * @param {Array<Map<number, number>>} endnotes Citation numbers from collectSources()
+     * @returns {Array<string>} One HTML string per response
+     */
+    buildReportSections(reportSettings, endnotes) {
+        return this.document.responses.map((response, index) => {
+            // Process the response text for HTML formatting
+            const processedResponse = response.failed
+                ? `<p style="color: #7F7F7F;"><em>${this.escapeHtml(this.getMissingResponseText(response))}</em></p>`
+                : this.applyEndnoteNumbers(this.demoteHeadings(this.processResponseText(response.responseText)), endnotes[index]);
+            const promptText = reportSettings.includePromptText && response.promptText
+                ? `<p class="prompt-text">${this.escapeHtml(response.promptText)}</p>`
+                : '';
+            const viewOriginal = response.threadUrl
+                ? `<p class="view-original"><a href="${this.escapeHtml(response.threadUrl)}">View original</a></p>`
+                : '';
+            return `<h1><a name="section-${index + 1}"></a>${this.escapeHtml(this.getSectionTitle(response))}</h1>` +
+                `${promptText}<div class="response-content">${processedResponse}${viewOriginal}</div>`;
+        });
+    }
+
+    /**
+     * Word TOC field over the Heading 1 sections. Until Word updates the field it shows the section
+     * titles as links; updating it adds the page numbers.
+     * @param {boolean} hasSources Whether a Sources section follows the responses
+     * @returns {string} HTML
+     */
+    buildTableOfContents(hasSources) {
+        const entries = this.document.responses.map((response, index) =>
+            `<p class="toc-entry"><a href="#section-${index + 1}">${this.escapeHtml(this.getSectionTitle(response))}</a></p>`
+        );
+        if (hasSources) {
+            entries.push(`<p class="toc-entry">Sources</p>`);
+        }
+
+        return `
+            <p class="toc-title">Contents</p>
+            <!--[if supportFields]><span style='mso-element:field-begin'></span> TOC \\o "1-1" \\h \\z \\u <span style='mso-element:field-separator'></span><![endif]-->
+            ${entries.join('')}
+            <p class="toc-hint">Right-click the contents and choose Update Field to add page numbers.</p>
+            <!--[if supportFields]><span style='mso-element:field-end'></span><![endif]-->
+        `;
+    }
+
+    /**
+     * Self-contained HTML version of the report for browsers, printing and PDF; response pictures and the
+     * logo are already embedded as data URLs
+     * @returns {Promise<string>} HTML
+     */
+    async generateStandaloneHTML() {
+        const title = this.escapeHtml(this.document.title);
+
+        const template = await this.loadReportTemplate();
+        const iconDataUrl = template.showLogo ? (template.logoDataUrl || await this.loadBrandIcon()) : null;
+        const reportSettings = await this.loadReportSettings();
+        const values = this.getReportValues();
+        const titleFont = this.cssFont(template.titleFont);
+        const headingFont = this.cssFont(template.headingFont);
+        const bodyFont = this.cssFont(template.bodyFont);
+        const coverText = ReportTemplateStore.renderText(template.coverText, values);
+        const headerText = ReportTemplateStore.renderText(template.headerText, values);
+        const footerText = ReportTemplateStore.renderText(template.footerText, values);
+        const notice = ReportTemplateStore.renderText(template.confidentialityNotice, values);
+        const { margins } = template;
+        const multiline = text => this.escapeHtml(text).replace(/\n/g, '<br>');
+
+        const { sources, endnotes } = this.collectSources();
+        const contents = this.document.responses.map((response, index) =>
+            `<li><a href="#section-${index + 1}">${this.escapeHtml(this.getSectionTitle(response))}</a></li>`
+        );
+        if (sources.length > 0) {
+            contents.push(`<li><a href="#sources">Sources</a></li>`);
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+        body { font-family: ${bodyFont}; font-size: 12pt; line-height: 1.5; color: ${template.textColor}; max-width: 8.5in; margin: 0 auto; padding: 24px; }
+        h1, h2 { font-family: ${headingFont}; font-weight: normal; color: ${template.headingColor}; }
+        h3, h4, h5, h6 { font-family: ${bodyFont}; font-weight: normal; color: ${template.headingColor}; }
+        h1 { font-size: 20pt; } h2 { font-size: 16pt; } h3 { font-size: 14pt; }
+        a { color: ${template.headingColor}; }
+        code, pre { font-family: 'Courier New', monospace; background-color: #f0f0f0; }
+        code { padding: 2px 4px; }
+        pre { padding: 12pt; white-space: pre-wrap; }
+        blockquote { margin-left: 24pt; padding-left: 12pt; border-left: 3pt solid #cccccc; font-style: italic; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 12pt; }
+        thead { display: table-header-group; }
+        tr { break-inside: avoid; }
+        th, td { font-size: 11pt; border: 1px solid #999999; padding: 4pt 6pt; vertical-align: top; }
+        th { font-weight: bold; background-color: #F2F2F2; }
+        img { max-width: 100%; height: auto; }
+        sup { font-size: 8pt; }
+        .running-header { font-size: 9pt; color: #595959; text-align: right; }
+        .running-footer { font-size: 10pt; color: #595959; text-align: center; border-top: 1px solid #BFBFBF; padding-top: 6pt; }
+        .cover { min-height: 60vh; display: flex; flex-direction: column; justify-content: center; }
+        .brand-icon { width: 60px; height: auto; }
+        .report-title { font-family: ${titleFont}; font-size: 24pt; margin: 24pt 0 12pt; }
+        .cover-text { font-family: ${titleFont}; }
+        .confidentiality-notice { font-size: 9pt; color: #595959; border-top: 1px solid #BFBFBF; padding-top: 6pt; margin-top: 48pt; }
+        .contents ol { padding-left: 18pt; }
+        .prompt-text { font-size: 11pt; font-style: italic; color: #595959; border-left: 3pt solid ${template.headingColor}; padding-left: 8pt; }
+        .source-entry { font-size: 10pt; margin-bottom: 6pt; word-break: break-all; }
+        .source-domain { color: #7F7F7F; }
+        .view-original { font-size: 10pt; }
+        /* Printing (and PDF): cover, contents and every section start on a new page */
+        @page { margin: ${margins.top}in ${margins.right}in ${margins.bottom}in ${margins.left}in; }
+        @media print {
+            body { max-width: none; padding: 0; }
+            .running-header, .running-footer { display: none; }
+            .cover { min-height: 0; break-after: page; }
+            .contents { break-after: page; }
+            .report-section + .report-section, .report-sources { break-before: page; }
+            h1, h2, h3 { break-after: avoid; }
+        }
+    </style>
+</head>
+<body>
+    ${headerText ? `<p class="running-header">${this.escapeHtml(headerText)}</p>` : ''}
+    <header class="cover">
+        ${iconDataUrl ? `<img src="${iconDataUrl}" alt="Brand Logo" class="brand-icon">` : ''}
+        <p class="report-title">${title}</p>
+        ${coverText ? `<p class="cover-text">${multiline(coverText)}</p>` : ''}
+        ${notice ? `<p class="confidentiality-notice">${multiline(notice)}</p>` : ''}
+    </header>
+    <nav class="contents">
+        <h2>Contents</h2>
+        <ol>${contents.join('')}</ol>
+    </nav>
+    ${this.buildReportSections(reportSettings, endnotes).map(section => `<section class="report-section">${section}</section>`).join('\n')}
+    ${sources.length > 0 ? `<section class="report-sources">${this.buildSourcesSection(sources)}</section>` : ''}
+    ${footerText ? `<p class="running-footer">${this.escapeHtml(footerText)}</p>` : ''}
+</body>
+</html>`;
+    }
+
+    /**
+     * Markdown version of the report: a heading per section, responses converted from HTML (tables, lists,
+     * links, pictures) and citations as numbered links into the Sources list
+     * @returns {Promise<string>} Markdown
+     */
+    async generateMarkdown() {
+        const template = await this.loadReportTemplate();
+        const reportSettings = await this.loadReportSettings();
+        const values = this.getReportValues();
+        const coverText = ReportTemplateStore.renderText(template.coverText, values);
+        const notice = ReportTemplateStore.renderText(template.confidentialityNotice, values);
+        const { sources, endnotes } = this.collectSources();
+        const blocks = [`# ${this.document.title}`];
+
+        if (coverText) blocks.push(coverText.split('\n').join('  \n'));
+        if (notice) blocks.push(notice.split('\n').map(line => `> ${line}`).join('\n'));
+
+        this.document.responses.forEach((response, index) => {
+            blocks.push(`## ${this.getSectionTitle(response)}`);
+            if (reportSettings.includePromptText && response.promptText) {
+                blocks.push(response.promptText.split('\n').map(line => `> ${line}`).join('\n'));
+            }
+            if (response.failed) {
+                blocks.push(`*${this.getMissingResponseText(response)}*`);
+            } else {
+                // Section titles are level 2, so the response's own headings start at level 3
+                const html = this.demoteHeadings(this.demoteHeadings(this.processResponseText(response.responseText)));
+                blocks.push(this.htmlToMarkdown(this.applyEndnoteNumbers(html, endnotes[index]), sources));
+            }
+            if (response.threadUrl) {
+                blocks.push(`[View original](${response.threadUrl})`);
+            }
+        });
+
+        if (sources.length > 0) {
+            blocks.push('## Sources');
+            blocks.push(sources.map((source, index) => {
+                const domain = source.domain && source.domain !== source.title ? ` (${source.domain})` : '';
+                return `${index + 1}. [${this.escapeMarkdown(source.title || source.url)}](${source.url})${domain}`;
+            }).join('\n'));
+        }
+        return `${blocks.filter(block => block.trim()).join('\n\n')}\n`;
+    }
+
+    escapeMarkdown(text) {
+        return String(text || '').replace(/([\\`*_[\]])/g, '\\$1');
+    }
+
+    /**
+     * Convert response HTML to Markdown
+     * @param {string} html Response HTML
+     * @param {Array<Object>} sources Document sources; <sup>[n]</sup> markers link to source n
+     * @returns {string} Markdown
+     */
+    htmlToMarkdown(html, sources = []) {
+        const body = new DOMParser().parseFromString(html, 'text/html').body;
+        // Whitespace between these elements is layout only
+        const blockParents = ['BODY', 'DIV', 'SECTION', 'ARTICLE', 'UL', 'OL', 'TABLE', 'THEAD', 'TBODY', 'TR', 'BLOCKQUOTE'];
+
+        const convert = (node, indent = '') => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (!node.textContent.trim() && blockParents.includes(node.parentNode.tagName)) return '';
+                return this.escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+            const tag = node.tagName.toLowerCase();
+            const inner = () => Array.from(node.childNodes).map(child => convert(child, indent)).join('');
+            const block = text => `\n\n${text}\n\n`;
+            const wrap = (marker) => {
+                const text = inner();
+                return text.trim() ? `${marker}${text.trim()}${marker}` : text;
+            };
+
+            switch (tag) {
+                case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+                    return block(`${'#'.repeat(Number(tag[1]))} ${inner().trim()}`);
+                case 'p':
+                    return block(inner().trim());
+                case 'br':
+                    return `  \n${indent}`;
+                case 'hr':
+                    return block('---');
+                case 'strong': case 'b':
+                    return wrap('**');
+                case 'em': case 'i':
+                    return wrap('*');
+                case 'del': case 's':
+                    return wrap('~~');
+                case 'code':
+                    return `\`${node.textContent}\``;
+                case 'pre':
+                    return block(`\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\``);
+                case 'a': {
+                    const href = node.getAttribute('href');
+                    return href ? `[${inner().trim()}](${href})` : inner();
+                }
+                case 'img': {
+                    const src = node.getAttribute('src');
+                    return src ? `![${this.escapeMarkdown(node.getAttribute('alt') || '')}](${src})` : '';
+                }
+                case 'sup': {
+                    const citation = node.textContent.trim().match(/^\[(\d+)\]$/);
+                    const source = citation && sources[Number(citation[1]) - 1];
+                    return source ? `[[${citation[1]}]](${source.url})` : inner();
+                }
+                case 'ul': case 'ol': {
+                    const start = parseInt(node.getAttribute('start'), 10) || 1;
+                    const items = Array.from(node.children).filter(child => child.tagName === 'LI').map((item, i) => {
+                        const marker = tag === 'ol' ? `${start + i}. ` : '- ';
+                        const itemIndent = indent + ' '.repeat(marker.length);
+                        const text = Array.from(item.childNodes).map(child => convert(child, itemIndent)).join('')
+                            .trim().replace(/\n{2,}/g, '\n');
+                        return `${indent}${marker}${text}`;
+                    });
+                    return block(items.join('\n'));
+                }
+                case 'blockquote':
+                    return block(inner().trim().split('\n').map(line => `> ${line}`).join('\n'));
+                case 'table':
+                    return block(this.tableToMarkdown(node, cell => Array.from(cell.childNodes).map(child => convert(child)).join('')));
+                case 'script': case 'style':
+                    return '';
+                case 'div': case 'section': case 'article':
+                    return block(inner());
+                default:
+                    return inner();
+            }
+        };
+
+        return convert(body).replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * HTML table to a Markdown pipe table; the first row is the header and its align attributes set the columns
+     * @param {HTMLTableElement} table Table
+     * @param {Function} convertCell Cell element to Markdown
+     * @returns {string} Markdown
+     */
+    tableToMarkdown(table, convertCell) {
+        const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cell =>
+            convertCell(cell).replace(/\s*\n+\s*/g, ' ').replace(/\|/g, '\\|').trim()
+        ));
+        if (rows.length === 0) return '';
+
+        const columns = Math.max(...rows.map(row => row.length));
+        const pad = row => [...row, ...new Array(columns - row.length).fill('')];
+        const alignments = Array.from(table.rows[0].cells).map(cell => cell.getAttribute('align'));
+        const separator = pad([]).map((cell, i) => {
+            if (alignments[i] === 'center') return ':---:';
+            return alignments[i] === 'right' ? '---:' : '---';
+        });
+        return [pad(rows[0]), separator, ...rows.slice(1).map(pad)]
+            .map(row => `| ${row.join(' | ')} |`)
+            .join('\n');
+    }
+
+    // Response headings move one level down so that only section titles are Heading 1
+    demoteHeadings(html) {
+        return html.replace(/<(\/?)h([1-5])(\s|>)/gi, (match, slash, level, rest) => `<${slash}h${Number(level) + 1}${rest}`);
+    }
+
+    /**
+     * Process response text to preserve HTML formatting
+     * Add this new method to the DocumentManager class
+     */
+    processResponseText(responseText) {
+        if (!responseText) return '';
+
+        // If the response already contains HTML tags, return as-is
+        if (responseText.includes('<') && responseText.includes('>')) {
+            return responseText;
+        }
+
+        // Convert plain text to HTML with basic formatting
+        let processed = responseText
+            // Escape any existing HTML entities first
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+
+            // Convert markdown-style formatting to HTML
+            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')  // Bold
+            .replace(/\*(.*?)\*/g, '<em>$1</em>')              // Italic
+            .replace(/`(.*?)`/g, '<code>$1</code>')            // Inline code
+
+            // Convert line breaks to paragraphs
+            .split('\n\n')
+            .map(paragraph => paragraph.trim())
+            .filter(paragraph => paragraph.length > 0)
+            .map(paragraph => {
+                // Markdown table: header row, |---|:---:| separator row, body rows
+                const tableLines = paragraph.split('\n').map(line => line.trim());
+                if (tableLines.length >= 2 && tableLines.every(line => line.startsWith('|')) &&
+                    /^\|[\s:|-]+\|?$/.test(tableLines[1]) && tableLines[1].includes('-')) {
+                    return this.markdownTableToHtml(tableLines);
+                }
+
+                // Handle lists
+                if (paragraph.includes('\n- ') || paragraph.includes('\n• ')) {
+                    const lines = paragraph.split('\n');
+                    let listHtml = '';
+                    let inList = false;
+
+                    for (const line of lines) {
+                        const trimmedLine = line.trim();
+                        if (trimmedLine.startsWith('- ') || trimmedLine.startsWith('• ')) {
+                            if (!inList) {
+                                listHtml += '<ul>';
+                                inList = true;
+                            }
+                            listHtml += `<li>${trimmedLine.substring(2)}</li>`;
+                        } else if (trimmedLine.match(/^\d+\.\s/)) {
+                            if (!inList) {
+                                listHtml += '<ol>';
+                                inList = true;
+                            }
+                            listHtml += `<li>${trimmedLine.replace(/^\d+\.\s/, '')}</li>`;
+                        } else {
+                            if (inList) {
+                                listHtml += inList ? '</ul>' : '</ol>';
+                                inList = false;
+                            }
+                            if (trimmedLine) {
+                                listHtml += `<p>${trimmedLine}</p>`;
+                            }
+                        }
+                    }
+
+                    if (inList) {
+                        listHtml += '</ul>';
+                    }
+
+                    return listHtml;
+                }
+
+                // Regular paragraph
+                return `<p>${paragraph.replace(/\n/g, '<br>')}</p>`;
+            })
+            .join('');
+
+        return processed;
+    }
+
+    // Markdown table lines to an HTML table; ':' in the separator row sets the column alignment
+    markdownTableToHtml(lines) {
+        const splitRow = line => line.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+        const alignments = splitRow(lines[1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            return cell.endsWith(':') ? 'right' : '';
+        });
+        const buildCell = (tag, cell, i) => `<${tag}${alignments[i] ? ` align="${alignments[i]}"` : ''}>${cell}</${tag}>`;
+
+        const header = splitRow(lines[0]).map((cell, i) => buildCell('th', cell, i)).join('');
+        const body = lines.slice(2)
+            .map(line => `<tr>${splitRow(line).map((cell, i) => buildCell('td', cell, i)).join('')}</tr>`)
+            .join('');
+        return `<table><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+
+    /**
+     * Convert one response to paragraphs, tables and images for the docx.js fallback
+     * @param {string} responseText Response HTML or plain text
+     * @param {string} font Body font
+     * @returns {Array} docx Paragraph and Table objects
+     */
+    buildDocxBlocks(responseText, font = 'Times New Roman') {
+        const { Paragraph, TextRun } = docx;
+        const body = new DOMParser().parseFromString(this.processResponseText(responseText), 'text/html').body;
+        const blocks = [];
+        const addText = text => {
+            if (!text.trim()) return;
+            blocks.push(
+                new Paragraph({
+                    children: [
+                        new TextRun({
+                            text: text.trim(),
+                            font: font,
+                            size: 24 // 12pt for body text
+                        })
+                    ],
+                    spacing: { after: 200 }
+                })
+            );
+        };
+
+        const walk = parent => {
+            Array.from(parent.childNodes).forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    addText(child.textContent);
+                    return;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+                const tag = child.tagName.toLowerCase();
+                if (tag === 'table') {
+                    const table = this.buildDocxTable(child, font);
+                    if (table) blocks.push(table);
+                } else if (tag === 'img') {
+                    const image = this.buildDocxImage(child);
+                    if (image) blocks.push(image);
+                } else if (tag === 'ul' || tag === 'ol') {
+                    Array.from(child.children).forEach((item, i) => {
+                        addText(`${tag === 'ol' ? `${i + 1}.` : '•'} ${item.textContent.trim()}`);
+                    });
+                } else if (child.querySelector('table, img')) {
+                    walk(child); // Wrapper around a table or picture
+                } else {
+                    addText(child.textContent);
+                }
+            });
+        };
+        walk(body);
+        return blocks;
+    }
+
+    // HTML table to a Word table; header rows repeat on every page the table runs over
+    buildDocxTable(table, font = 'Times New Roman') {
+        const { Paragraph, TextRun, Table, TableRow, TableCell, WidthType, AlignmentType, ShadingType } = docx;
+        const alignments = { center: AlignmentType.CENTER, right: AlignmentType.RIGHT, justify: AlignmentType.JUSTIFIED };
+
+        const rows = Array.from(table.rows).map(row => {
+            const isHeader = row.parentElement.tagName === 'THEAD' ||
+                Array.from(row.cells).every(cell => cell.tagName === 'TH');
+            return new TableRow({
+                tableHeader: isHeader,
+                children: Array.from(row.cells).map(cell => new TableCell({
+                    columnSpan: cell.colSpan > 1 ? cell.colSpan : undefined,
+                    rowSpan: cell.rowSpan > 1 ? cell.rowSpan : undefined,
+                    shading: isHeader ? { type: ShadingType.CLEAR, color: 'auto', fill: 'F2F2F2' } : undefined,
+                    children: [
+                        new Paragraph({
+                            alignment: alignments[cell.getAttribute('align')],
+                            children: [
+                                new TextRun({
+                                    text: cell.textContent.trim(),
+                                    bold: isHeader,
+                                    font: font,
+                                    size: 22 // 11pt
+                                })
+                            ]
+                        })
+                    ]
+                }))
+            });
+        });
+        if (rows.length === 0) return null;
+
+        return new Table({
+            rows: rows,
+            width: { size: 100, type: WidthType.PERCENTAGE }
+        });
+    }
+
+    // Embedded (data URL) picture as its own paragraph; remote pictures cannot be fetched from here
+    buildDocxImage(img) {
+        const { Paragraph, ImageRun } = docx;
+        const src = img.getAttribute('src') || '';
+        if (!src.startsWith('data:image/')) return null;
+
+        const width = parseInt(img.getAttribute('width'), 10) || 500;
+        const height = parseInt(img.getAttribute('height'), 10) || Math.round(width * 0.6);
+        return new Paragraph({
+            children: [new ImageRun({ data: src, transformation: { width, height } })],
+            spacing: { after: 200 }
+        });
+    }
+
+    /**
+     * Generate and download DOCX with Microsoft Word formatting
+     * Follows screenshot specifications:
+     * - Contents: Word table of contents over the H1 sections; page numbers in the footer
+     * - H1: Aptos Display, 20pt, Heading style
+     * - H2: Aptos Display, 16pt, Strong style
+     */
+    async downloadDocxPlainText() {
+        if (!this.hasResponses()) {
+            alert('No responses to download');
+            return;
+        }
+
+        try {
+            // Import docx library (ensure it's loaded)
+            if (typeof docx === 'undefined') {
+                throw new Error('DOCX library not loaded. Please include docx.js in your extension.');
+            }
+
+            const { Document, Paragraph, TextRun, Packer, HeadingLevel, AlignmentType, ExternalHyperlink, TableOfContents, Header, Footer, PageNumber, ImageRun } = docx;
+            const reportSettings = await this.loadReportSettings();
+            const template = await this.loadReportTemplate();
+            const values = this.getReportValues();
+            const headingColor = template.headingColor.substring(1);
+            const twips = inches => Math.round(inches * 1440);
+
+            // Create document sections
+            const sections = [];
+
+            // Title Page
+            const logo = template.showLogo ? (template.logoDataUrl || await this.loadBrandIcon()) : null;
+            if (logo) {
+                const { width, height } = await this.getImageSize(logo);
+                sections.push(
+                    new Paragraph({
+                        children: [new ImageRun({ data: logo, transformation: { width: 60, height: Math.round(60 * height / width) } })],
+                        spacing: { after: 400 }
+                    })
+                );
+            }
+            sections.push(
+                new Paragraph({
+                    children: [
+                        new TextRun({
+                            text: this.document.title,
+                            font: template.titleFont,
+                            size: 40, // 20pt = 40 half-points
+                            bold: true
+                        })
+                    ],
+                    heading: HeadingLevel.TITLE,
+                    alignment: AlignmentType.CENTER,
+                    spacing: { after: 400 }
+                })
+            );
+
+            // Timestamp
+            if (this.document.timestamp) {
+                sections.push(
+                    new Paragraph({
+                        children: [
+                            new TextRun({
+                                text: `Generated: ${new Date(this.document.timestamp).toLocaleString()}`,
+                                font: template.titleFont,
+                                size: 24, // 12pt
+                                italics: true
+                            })
+                        ],
+                        alignment: AlignmentType.CENTER,
+                        spacing: { after: 600 }
+                    })
+                );
+            }
+
+            // Cover text and confidentiality notice from the report template
+            [
+                { text: ReportTemplateStore.renderText(template.coverText, values), size: 24, color: undefined },
+                { text: ReportTemplateStore.renderText(template.confidentialityNotice, values), size: 18, color: "595959" }
+            ].filter(block => block.text).forEach(block => {
+                sections.push(
+                    new Paragraph({
+                        children: block.text.split('\n').map((line, i) => new TextRun({
+                            text: line,
+                            font: template.titleFont,
+                            size: block.size,
+                            color: block.color,
+                            break: i > 0 ? 1 : 0
+                        })),
+                        alignment: AlignmentType.CENTER,
+                        spacing: { after: 400 }
+                    })
+                );
+            });
+
+            // Table of contents over the Heading 1 sections; Word fills it in when the document opens
+            sections.push(
+                new Paragraph({
+                    children: [
+                        new TextRun({
+                            text: "Contents",
+                            font: template.headingFont,
+                            size: 40, // 20pt
+                            bold: true
+                        })
+                    ],
+                    spacing: { before: 400, after: 200 }
+                })
+            );
+            sections.push(new TableOfContents("Contents", { hyperlink: true, headingStyleRange: "1-1" }));
+
+            // Page break before content
+            sections.push(
+                new Paragraph({
+                    children: [new TextRun({ text: "", break: 1 })],
+                    pageBreakBefore: true
+                })
+            );
+
+            const { sources, endnotes } = this.collectSources();
+
+            // Main Content
+            this.document.responses.forEach((response, index) => {
+                // H1 - Section heading from the prompt's nickname
+                sections.push(
+                    new Paragraph({
+                        children: [
+                            new TextRun({
+                                text: this.getSectionTitle(response),
+                                font: template.headingFont,
+                                size: 40, // 20pt
+                                bold: true,
+                                color: headingColor
+                            })
+                        ],
+                        heading: HeadingLevel.HEADING_1,
+                        spacing: { before: 600, after: 200 }
+                    })
+                );
+
+                if (reportSettings.includePromptText && response.promptText) {
+                    sections.push(
+                        new Paragraph({
+                            children: [
+                                new TextRun({
+                                    text: response.promptText,
+                                    font: template.bodyFont,
+                                    size: 22, // 11pt
+                                    italics: true,
+                                    color: "595959"
+                                })
+                            ],
+                            spacing: { after: 200 }
+                        })
+                    );
+                }
+
+                // H2 - Response heading
+                sections.push(
+                    new Paragraph({
+                        children: [
+                            new TextRun({
+                                text: "Response",
+                                font: template.headingFont,
+                                size: 32, // 16pt
+                                bold: true,
+                                color: headingColor
+                            })
+                        ],
+                        heading: HeadingLevel.HEADING_2,
+                        spacing: { before: 400, after: 200 }
+                    })
+                );
+
+                // Response content - paragraphs, tables and images
+                sections.push(...this.buildDocxBlocks(response.failed
+                    ? this.getMissingResponseText(response)
+                    : this.applyEndnoteNumbers(response.responseText, endnotes[index]), template.bodyFont));
+
+                // Link back to the live Perplexity thread
+                if (response.threadUrl) {
+                    sections.push(
+                        new Paragraph({
+                            children: [
+                                new ExternalHyperlink({
+                                    link: response.threadUrl,
+                                    children: [
+                                        new TextRun({
+                                            text: "View original",
+                                            style: "Hyperlink",
+                                            font: template.bodyFont,
+                                            size: 20 // 10pt
+                                        })
+                                    ]
+                                })
+                            ],
+                            spacing: { after: 200 }
+                        })
+                    );
+                }
+
+                // Add spacing between questions
+                if (index < this.document.responses.length - 1) {
+                    sections.push(
+                        new Paragraph({
+                            children: [new TextRun({ text: "" })],
+                            spacing: { after: 400 }
+                        })
+                    );
+                }
+            });
+
+            // Sources section (endnotes for the [n] markers)
+            if (sources.length > 0) {
+                sections.push(
+                    new Paragraph({
+                        children: [
+                            new TextRun({
+                                text: "Sources",
+                                font: template.headingFont,
+                                size: 40, // 20pt
+                                bold: true
+                            })
+                        ],
+                        heading: HeadingLevel.HEADING_1,
+                        pageBreakBefore: true,
+                        spacing: { before: 400, after: 300 }
+                    })
+                );
+
+                sources.forEach((source, index) => {
+                    const label = source.domain && source.domain !== source.title
+                        ? `[${index + 1}] ${source.title} (${source.domain})`
+                        : `[${index + 1}] ${source.title}`;
+                    sections.push(
+                        new Paragraph({
+                            children: [
+                                new TextRun({ text: label, font: template.bodyFont, size: 20 }), // 10pt
+                                new TextRun({ text: source.url, font: template.bodyFont, size: 20, break: 1 })
+                            ],
+                            spacing: { after: 120 }
+                        })
+                    );
+                });
+            }
+
+            // Summary section if available
+            if (this.document.summary) {
+                sections.push(
+                    new Paragraph({
+                        children: [new TextRun({ text: "", break: 1 })],
+                        pageBreakBefore: true
+                    })
+                );
+
+                sections.push(
+                    new Paragraph({
+                        children: [
+                            new TextRun({
+                                text: "Summary",
+                                font: template.headingFont,
+                                size: 40, // 20pt
+                                bold: true
+                            })
+                        ],
+                        heading: HeadingLevel.HEADING_1,
+                        spacing: { before: 400, after: 300 }
+                    })
+                );
+
+                sections.push(
+                    new Paragraph({
+                        children: [
+                            new TextRun({
+                                text: `Total Prompts: ${this.document.summary.total || this.document.responses.length}`,
+                                font: template.headingFont,
+                                size: 24
+                            })
+                        ],
+                        spacing: { after: 100 }
+                    })
+                );
+
+                if (this.document.summary.successful !== undefined) {
+                    sections.push(
+                        new Paragraph({
+                            children: [
+                                new TextRun({
+                                    text: `Successful: ${this.document.summary.successful}`,
+                                    font: template.headingFont,
+                                    size: 24
+                                })
+                            ],
+                            spacing: { after: 100 }
+                        })
+                    );
+                }
+
+                if (this.document.summary.skipped) {
+                    sections.push(
+                        new Paragraph({
+                            children: [
+                                new TextRun({
+                                    text: `Skipped by conditions: ${this.document.summary.skipped}`,
+                                    font: template.headingFont,
+                                    size: 24
+                                })
+                            ],
+                            spacing: { after: 100 }
+                        })
+                    );
+                }
+
+                if (this.document.summary.successRate) {
+                    sections.push(
+                        new Paragraph({
+                            children: [
+                                new TextRun({
+                                    text: `Success Rate: ${this.document.summary.successRate}%`,
+                                    font: template.headingFont,
+                                    size: 24
+                                })
+                            ],
+                            spacing: { after: 100 }
+                        })
+                    );
+                }
+            }
+
+            // Create the document
+            const headerText = ReportTemplateStore.renderText(template.headerText, values);
+            const footerText = ReportTemplateStore.renderText(template.footerText, values);
+            const footerRuns = [];
+            if (footerText) {
+                footerRuns.push(new TextRun({ text: template.pageNumbers ? `${footerText}  |  ` : footerText, font: template.bodyFont, size: 20 }));
+            }
+            if (template.pageNumbers) {
+                footerRuns.push(new TextRun({
+                    children: ["Page ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES],
+                    font: template.bodyFont,
+                    size: 20 // 10pt
+                }));
+            }
+
+            const doc = new Document({
+                features: { updateFields: true }, // Word offers to build the table of contents on open
+                sections: [{
+                    properties: {
+                        page: {
+                            margin: {
+                                top: twips(template.margins.top),
+                                right: twips(template.margins.right),
+                                bottom: twips(template.margins.bottom),
+                                left: twips(template.margins.left)
+                            }
+                        }
+                    },
+                    headers: headerText ? {
+                        default: new Header({
+                            children: [
+                                new Paragraph({
+                                    alignment: AlignmentType.RIGHT,
+                                    children: [new TextRun({ text: headerText, font: template.bodyFont, size: 18, color: "595959" })]
+                                })
+                            ]
+                        })
+                    } : undefined,
+                    footers: {
+                        default: new Footer({
+                            children: [
+                                new Paragraph({
+                                    alignment: AlignmentType.CENTER,
+                                    children: footerRuns
+                                })
+                            ]
+                        })
+                    },
+                    children: sections
+                }]
+            });
+
+            // FIXED: Generate and download using Blob (browser-compatible)
+            const blob = await Packer.toBlob(doc);
+
+            const url = URL.createObjectURL(blob);
+            const filename = this.buildFilename('docx');
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            console.log('DOCX downloaded successfully:', filename);
+
+            // NEW: Clear document data from memory immediately after successful download
+            this.clearDocumentFromMemory();
+
+        } catch (error) {
+            console.error('Failed to generate DOCX:', error);
+            alert('Failed to generate DOCX file: ' + error.message);
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentManager;
+} else if (typeof window !== 'undefined') {
+    window.DocumentManager = DocumentManager;
+}
@@ -0,0 +1,333 @@
+/**
+ * Run History - Browse past runs, search their responses and re-download documents
+ * Runs are archived by the background script and removed by the retention settings
+ */
+
+class RunHistory {
+    constructor() {
+        this.runs = [];
+        this.searchMatches = null; // null = no search active
+        this.expandedRuns = new Map(); // automationId -> run details
+        this.searchTimer = null;
+
+        this.initializeElements();
+        this.bindEventListeners();
+        this.loadHistory();
+    }
+
+    initializeElements() {
+        this.backToPopupBtn = document.getElementById('backToPopupBtn');
+        this.maxRunsInput = document.getElementById('maxRunsInput');
+        this.maxDaysInput = document.getElementById('maxDaysInput');
+        this.saveRetentionBtn = document.getElementById('saveRetentionBtn');
+        this.historySearchInput = document.getElementById('historySearchInput');
+        this.runCount = document.getElementById('runCount');
+        this.runsList = document.getElementById('runsList');
+    }
+
+    bindEventListeners() {
+        this.backToPopupBtn.addEventListener('click', () => window.close());
+        this.saveRetentionBtn.addEventListener('click', () => this.saveRetention());
+        this.historySearchInput.addEventListener('input', () => {
+            // Debounce: searching reads every archived run
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.search(), 300);
+        });
+    }
+
+    async loadHistory() {
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'get-run-history' });
+            this.runs = response.runs || [];
+            this.maxRunsInput.value = response.settings.maxRuns;
+            this.maxDaysInput.value = response.settings.maxDays;
+            this.renderRuns();
+        } catch (error) {
+            console.error('Failed to load run history:', error);
+            this.showNotification('Failed to load run history', 'error');
+        }
+    }
+
+    async saveRetention() {
+        try {
+            const response = await browser.runtime.sendMessage({
+                type: 'update-history-settings',
+                settings: {
+                    maxRuns: this.maxRunsInput.value,
+                    maxDays: this.maxDaysInput.value
+                }
+            });
+            this.showNotification(
+                response.removed > 0 ? `Retention saved, ${response.removed} run(s) removed` : 'Retention saved',
+                'success'
+            );
+            await this.loadHistory();
+        } catch (error) {
+            console.error('Failed to save retention settings:', error);
+            this.showNotification('Failed to save retention settings', 'error');
+        }
+    }
+
+    async search() {
+        const query = this.historySearchInput.value.trim();
+        if (!query) {
+            this.searchMatches = null;
+            this.renderRuns();
+            return;
+        }
+
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'search-run-history', query });
+            this.searchMatches = new Map(response.matches.map(match => [match.automationId, match.responses]));
+            this.renderRuns();
+        } catch (error) {
+            console.error('Failed to search run history:', error);
+        }
+    }
+
+    renderRuns() {
+        const runs = this.searchMatches
+            ? this.runs.filter(run => this.searchMatches.has(run.automationId))
+            : this.runs;
+
+        this.runCount.textContent = this.searchMatches
+            ? `${runs.length} of ${this.runs.length} runs`
+            : `${this.runs.length} runs`;
+        this.runsList.innerHTML = '';
+
+        if (runs.length === 0) {
+            this.runsList.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🕘</div>
+                    <h3>${this.searchMatches ? 'No matching runs' : 'No runs yet'}</h3>
+                    <p>${this.searchMatches ? 'Try a different search.' : 'Completed and stopped runs will appear here.'}</p>
+                </div>`;
+            return;
+        }
+
+        runs.forEach(run => this.runsList.appendChild(this.createRunItem(run)));
+    }
+
+    createRunItem(run) {
+        const item = document.createElement('div');
+        item.className = 'run-item';
+
+        const statusLabel = run.status === 'stopped' ? ' • <span class="run-status--stopped">Stopped</span>' : '';
+        const header = document.createElement('div');
+        header.className = 'run-header';
+        header.innerHTML = `
+            <div>
+                <div class="run-title">${this.escapeHtml(run.companyName)}</div>
+                <div class="run-meta">
+                    ${new Date(run.startedAt).toLocaleString()} • ${this.formatDuration(run.duration)} •
+                    ${run.completed}/${run.promptCount} prompts${run.skipped ? ` (${run.skipped} skipped)` : ''}${statusLabel}
+                </div>
+            </div>
+            <div class="run-actions">
+                <button class="btn btn-secondary btn-sm" data-action="view">View</button>
+                <button class="btn btn-primary btn-sm" data-action="download">📄 Re-download DOCX</button>
+                <button class="btn btn-text" data-action="delete" title="Delete run">🗑️</button>
+            </div>`;
+        item.appendChild(header);
+
+        // Response snippets that matched the search
+        const matches = this.searchMatches ? this.searchMatches.get(run.automationId) : null;
+        if (matches && matches.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'run-matches';
+            matches.forEach(match => {
+                const entry = document.createElement('li');
+                entry.innerHTML = `<strong>${this.escapeHtml(match.nickname)}:</strong> ${this.highlight(match.snippet)}`;
+                list.appendChild(entry);
+            });
+            item.appendChild(list);
+        }
+
+        const details = document.createElement('div');
+        details.className = 'run-details';
+        details.style.display = 'none';
+        item.appendChild(details);
+
+        header.querySelector('[data-action="view"]').addEventListener('click', () => this.toggleDetails(run, details));
+        header.querySelector('[data-action="download"]').addEventListener('click', () => this.downloadRun(run));
+        header.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteRun(run));
+
+        return item;
+    }
+
+    async getDetails(run) {
+        if (!this.expandedRuns.has(run.automationId)) {
+            const response = await browser.runtime.sendMessage({ type: 'get-run-details', automationId: run.automationId });
+            if (!response.run) {
+                throw new Error('Run data is no longer available');
+            }
+            this.expandedRuns.set(run.automationId, response.run);
+        }
+        return this.expandedRuns.get(run.automationId);
+    }
+
+    async toggleDetails(run, container) {
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            return;
+        }
+
+        try {
+            const details = await this.getDetails(run);
+            container.innerHTML = '';
+
+            // Per-run search over this run's responses
+            const filterInput = document.createElement('input');
+            filterInput.type = 'search';
+            filterInput.className = 'form-control';
+            filterInput.placeholder = 'Search this run...';
+            filterInput.value = this.historySearchInput.value.trim();
+            container.appendChild(filterInput);
+
+            const responsesContainer = document.createElement('div');
+            responsesContainer.className = 'run-details';
+            container.appendChild(responsesContainer);
+
+            const renderResponses = () => this.renderResponses(details, responsesContainer, filterInput.value.trim());
+            filterInput.addEventListener('input', renderResponses);
+            renderResponses();
+
+            container.style.display = 'flex';
+        } catch (error) {
+            console.error('Failed to load run details:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    renderResponses(details, container, query) {
+        container.innerHTML = '';
+        const needle = query.toLowerCase();
+        const results = [...(details.results || [])].sort((a, b) => a.index - b.index);
+        let shown = 0;
+
+        results.forEach(result => {
+            let text = TemplateEngine.htmlToPlainText(result.response);
+            if (result.skipped) {
+                text = `Skipped (${result.error})`;
+            } else if (result.success === false) {
+                text = `No response collected (${result.error || 'failed'})`;
+            }
+            if (needle && !text.toLowerCase().includes(needle)) return;
+
+            const nickname = (result.prompt && result.prompt.nickname) || `Prompt ${result.index + 1}`;
+            const section = document.createElement('div');
+            section.className = 'run-response';
+            section.innerHTML = `
+                <h4>${result.index + 1}. ${this.escapeHtml(nickname)}</h4>
+                <div class="run-response-text">${needle ? this.highlight(text, query) : this.escapeHtml(text)}</div>
+                ${this.renderSources(result.citations)}
+                ${result.threadUrl ? `<a class="run-response-link" href="${this.escapeHtml(result.threadUrl)}" target="_blank" rel="noopener">View original</a>` : ''}`;
+            container.appendChild(section);
+            shown++;
+        });
+
+        if (shown === 0) {
+            container.innerHTML = `<p class="run-meta">${needle ? 'No responses match.' : 'No responses were collected.'}</p>`;
+        }
+    }
+
+    renderSources(citations) {
+        if (!citations || citations.length === 0) return '';
+        const items = citations.map(citation => `
+            <li><a href="${this.escapeHtml(citation.url)}" target="_blank" rel="noopener">${this.escapeHtml(citation.title)}</a>
+            <span class="run-meta">${this.escapeHtml(citation.domain)}</span></li>`).join('');
+        return `<details class="run-response-sources"><summary>${citations.length} sources</summary><ol>${items}</ol></details>`;
+    }
+
+    async downloadRun(run) {
+        try {
+            const details = await this.getDetails(run);
+            if (!details.document || !details.document.responses || details.document.responses.length === 0) {
+                this.showNotification('This run has no responses to download', 'warning');
+                return;
+            }
+
+            const documentManager = new DocumentManager();
+            documentManager.companyName = run.companyName;
+            documentManager.loadBackgroundDocument(details.document);
+            await documentManager.downloadDocx();
+        } catch (error) {
+            console.error('Failed to re-download document:', error);
+            this.showNotification('Failed to re-download document', 'error');
+        }
+    }
+
+    async deleteRun(run) {
+        if (!confirm(`Delete the run for ${run.companyName} from history?`)) {
+            return;
+        }
+        try {
+            await browser.runtime.sendMessage({ type: 'delete-run', automationId: run.automationId });
+            this.expandedRuns.delete(run.automationId);
+            this.runs = this.runs.filter(r => r.automationId !== run.automationId);
+            this.renderRuns();
+            this.showNotification('Run deleted', 'info');
+        } catch (error) {
+            console.error('Failed to delete run:', error);
+            this.showNotification('Failed to delete run', 'error');
+        }
+    }
+
+    // Utility methods
+    highlight(text, query = this.historySearchInput.value.trim()) {
+        const escaped = this.escapeHtml(text);
+        if (!query) return escaped;
+        const pattern = new RegExp(this.escapeHtml(query).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+        return escaped.replace(pattern, match => `<mark>${match}</mark>`);
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+        return `${seconds}s`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification notification--${type}`;
+        notification.textContent = message;
+
+        const colors = {
+            success: '#10b981',
+            error: '#ef4444',
+            info: '#3b82f6',
+            warning: '#f59e0b'
+        };
+        Object.assign(notification.style, {
+            position: 'fixed',
+            top: '20px',
+            right: '20px',
+            padding: '12px 20px',
+            borderRadius: '8px',
+            color: 'white',
+            fontWeight: '500',
+            zIndex: '10000',
+            minWidth: '200px',
+            maxWidth: '400px',
+            backgroundColor: colors[type] || colors.info
+        });
+
+        document.body.appendChild(notification);
+        setTimeout(() => notification.remove(), 3000);
+    }
+}
+
+// Initialize the run history page when it loads
+document.addEventListener('DOMContentLoaded', () => {
+    new RunHistory();
+});
@@ -27,6 +27,8 @@ class PerplexityAutomator {
 
     constructor() {
         this.prompts = [];
+        this.activePromptSet = null; // Prompt set chosen in the dropdown
+        this.batchRows = []; // Companies loaded from a batch CSV
         this.isRunning = false;
         this.collapsedAll = false;
         this.documentManager = new DocumentManager(); // Document management
@@ -177,15 +179,25 @@ class PerplexityAutomator {
 
         });
         this.setupMessageListener();
+        this.loadBatchStatus();
+        this.loadResumableRuns();
+        this.loadExportRuns();
     }
 
     initializeElements() {
       // Only keep elements that exist in simplified popup
       this.openPromptManagerBtn = document.getElementById('openPromptManagerBtn');
+      this.openHistoryBtn = document.getElementById('openHistoryBtn');
+      this.openSchedulesBtn = document.getElementById('openSchedulesBtn');
+      this.promptSetSelect = document.getElementById('promptSetSelect');
       this.promptCount = document.getElementById('promptCount');
 
       // Document management elements
       this.downloadDocxBtn = document.getElementById('downloadDocxBtn');
+      this.documentFormatSelect = document.getElementById('documentFormatSelect');
+      this.exportRunSelect = document.getElementById('exportRunSelect');
+      this.exportFormatSelect = document.getElementById('exportFormatSelect');
+      this.exportResultsBtn = document.getElementById('exportResultsBtn');
       this.clearDocumentBtn = document.getElementById('clearDocumentBtn');
       this.documentStatus = document.getElementById('documentStatus');
       this.responseCount = document.getElementById('responseCount');
@@ -198,6 +210,26 @@ class PerplexityAutomator {
       this.runningControls = document.querySelector('.running-controls');
       this.companyNameInput = document.getElementById('companyNameInput');
 
+      // Template variable fields are generated from the saved prompts
+      this.templateVariablesContainer = document.getElementById('templateVariables');
+
+      // Interrupted run elements
+      this.resumeSection = document.getElementById('resumeSection');
+      this.resumableRunsList = document.getElementById('resumableRunsList');
+
+      // Batch elements
+      this.batchCsvInput = document.getElementById('batchCsvInput');
+      this.batchCsvInfo = document.getElementById('batchCsvInfo');
+      this.startBatchBtn = document.getElementById('startBatchBtn');
+      this.batchSection = document.getElementById('batchSection');
+      this.batchProgress = document.getElementById('batchProgress');
+      this.batchResultsList = document.getElementById('batchResultsList');
+
+      // Diagnostics elements
+      this.runDiagnosticsBtn = document.getElementById('runDiagnosticsBtn');
+      this.diagnosticsList = document.getElementById('diagnosticsList');
+      this.selectorWarningTabId = null; // Tab whose selector warning was already shown once
+
       // Progress elements (these don't exist in popup, but needed for compatibility)
       this.progressText = null;
       this.progressFill = null;
@@ -207,6 +239,16 @@ class PerplexityAutomator {
       // Initialize notification elements
       this.enableNotifications = document.getElementById('enableNotifications');
       this.autoDownloadDocx = document.getElementById('autoDownloadDocx');
+      this.requireReviewApproval = document.getElementById('requireReviewApproval');
+      this.reviewDocumentBtn = document.getElementById('reviewDocumentBtn');
+      this.includePromptText = document.getElementById('includePromptText');
+      this.embedExternalImages = document.getElementById('embedExternalImages');
+      this.enableRetries = document.getElementById('enableRetries');
+      this.maxRetriesInput = document.getElementById('maxRetriesInput');
+      this.maxPromptWaitInput = document.getElementById('maxPromptWaitInput');
+      this.workerCountInput = document.getElementById('workerCountInput');
+      this.newThreadPerRun = document.getElementById('newThreadPerRun');
+      this.maxPromptsPerThreadInput = document.getElementById('maxPromptsPerThreadInput');
 
       // Log missing elements for debugging
         if (!this.resetAutomationBtn) {
@@ -225,6 +267,9 @@ class PerplexityAutomator {
       // Load notification settings
       this.loadNotificationSettings();
       this.loadAutoDownloadSettings();
+      this.loadReportSettings();
+      this.loadExternalImagePermission();
+      this.loadRunSettings();
     }
 
     async loadNotificationSettings() {
@@ -283,11 +328,14 @@ class PerplexityAutomator {
     async loadAutoDownloadSettings() {
       try {
         const result = await browser.storage.local.get(['autoDownloadSettings']);
-        const settings = result.autoDownloadSettings || { enabled: true };
+        const settings = { enabled: true, requireApproval: false, ...(result.autoDownloadSettings || {}) };
 
         if (this.autoDownloadDocx) {
           this.autoDownloadDocx.checked = settings.enabled;
         }
+        if (this.requireReviewApproval) {
+          this.requireReviewApproval.checked = settings.requireApproval;
+        }
       } catch (error) {
         console.error('Failed to load auto-download settings:', error);
       }
@@ -296,7 +344,8 @@ class PerplexityAutomator {
     async saveAutoDownloadSettings() {
       try {
         const settings = {
-          enabled: this.autoDownloadDocx ? this.autoDownloadDocx.checked : true
+          enabled: this.autoDownloadDocx ? this.autoDownloadDocx.checked : true,
+          requireApproval: this.requireReviewApproval ? this.requireReviewApproval.checked : false
         };
 
         await browser.storage.local.set({ autoDownloadSettings: settings });
@@ -307,12 +356,133 @@ class PerplexityAutomator {
     }
 
 
+    // The optional host permission is the setting itself: with it the background can download images from any site
+    async loadExternalImagePermission() {
+      if (!this.embedExternalImages) return;
+      try {
+        this.embedExternalImages.checked = await browser.permissions.contains({ origins: ['<all_urls>'] });
+      } catch (error) {
+        console.error('Failed to check the image permission:', error);
+      }
+    }
+
+    async toggleExternalImagePermission() {
+      const permission = { origins: ['<all_urls>'] };
+      try {
+        if (this.embedExternalImages.checked) {
+          // Must be requested straight from the click, before any other await
+          this.embedExternalImages.checked = await browser.permissions.request(permission);
+        } else {
+          await browser.permissions.remove(permission);
+        }
+      } catch (error) {
+        console.error('Failed to change the image permission:', error);
+        await this.loadExternalImagePermission();
+      }
+    }
+
+    async loadReportSettings() {
+      try {
+        const settings = await this.documentManager.loadReportSettings();
+        if (this.includePromptText) {
+          this.includePromptText.checked = settings.includePromptText;
+        }
+        if (this.documentFormatSelect) {
+          this.documentFormatSelect.value = settings.format;
+        }
+      } catch (error) {
+        console.error('Failed to load report settings:', error);
+      }
+    }
+
+    async saveReportSettings() {
+      try {
+        const settings = await this.documentManager.loadReportSettings();
+        settings.includePromptText = this.includePromptText.checked;
+        settings.format = this.documentFormatSelect.value;
+        await browser.storage.local.set({ reportSettings: settings });
+      } catch (error) {
+        console.error('Failed to save report settings:', error);
+      }
+    }
+
+    async loadRunSettings() {
+      try {
+        const result = await browser.storage.local.get(['settings']);
+        const settings = result.settings || {};
+
+        if (this.enableRetries && settings.enableRetries !== undefined) {
+          this.enableRetries.checked = settings.enableRetries;
+        }
+        if (this.maxRetriesInput && settings.maxRetries) {
+          this.maxRetriesInput.value = settings.maxRetries;
+        }
+        if (this.maxPromptWaitInput && settings.maxPromptWait !== undefined) {
+          this.maxPromptWaitInput.value = Math.round(settings.maxPromptWait / 60000);
+        }
+        if (this.workerCountInput && settings.poolWorkers) {
+          this.workerCountInput.value = settings.poolWorkers;
+        }
+        if (this.newThreadPerRun && settings.newThreadPerRun !== undefined) {
+          this.newThreadPerRun.checked = settings.newThreadPerRun;
+        }
+        if (this.maxPromptsPerThreadInput && settings.maxPromptsPerThread !== undefined) {
+          this.maxPromptsPerThreadInput.value = settings.maxPromptsPerThread;
+        }
+      } catch (error) {
+        console.error('Failed to load run settings:', error);
+      }
+    }
+
+    async saveRunSettings() {
+      try {
+        const maxRetries = Math.min(10, Math.max(1, parseInt(this.maxRetriesInput.value, 10) || 3));
+        this.maxRetriesInput.value = maxRetries;
+        const maxPromptWaitMinutes = Math.max(0, parseInt(this.maxPromptWaitInput.value, 10) || 0);
+        this.maxPromptWaitInput.value = maxPromptWaitMinutes;
+        const poolWorkers = Math.min(6, Math.max(1, parseInt(this.workerCountInput.value, 10) || 1));
+        this.workerCountInput.value = poolWorkers;
+        const maxPromptsPerThread = Math.max(0, parseInt(this.maxPromptsPerThreadInput.value, 10) || 0);
+        this.maxPromptsPerThreadInput.value = maxPromptsPerThread;
+
+        // Background owns the settings object and persists it
+        await browser.runtime.sendMessage({
+          type: 'update-settings',
+          settings: {
+            enableRetries: this.enableRetries.checked,
+            maxRetries: maxRetries,
+            maxPromptWait: maxPromptWaitMinutes * 60000,
+            poolWorkers: poolWorkers,
+            newThreadPerRun: this.newThreadPerRun.checked,
+            maxPromptsPerThread: maxPromptsPerThread
+          }
+        });
+      } catch (error) {
+        console.error('Failed to save run settings:', error);
+      }
+    }
+
     bindEventListeners() {
       // Open prompt manager
       if (this.openPromptManagerBtn) {
         this.openPromptManagerBtn.addEventListener('click', () => this.openPromptManager());
       }
 
+      // Open run history
+      if (this.openHistoryBtn) {
+        this.openHistoryBtn.addEventListener('click', () => this.openRunHistory());
+      }
+      if (this.runDiagnosticsBtn) {
+        this.runDiagnosticsBtn.addEventListener('click', () => this.runDiagnostics());
+      }
+
+      if (this.openSchedulesBtn) {
+        this.openSchedulesBtn.addEventListener('click', () => this.openSchedules());
+      }
+      if (this.promptSetSelect) {
+        this.promptSetSelect.addEventListener('change', () => this.selectPromptSet(this.promptSetSelect.value));
+      }
+
       // Document management events
       this.downloadDocxBtn.addEventListener('click', async () => {
           console.log('=== DOWNLOAD DEBUG START ===');
@@ -349,6 +519,22 @@ class PerplexityAutomator {
               companyName: finalName
           });
 
+          // PDF, Markdown and HTML are built by the background page from the tab's responses
+          const format = this.documentFormatSelect ? this.documentFormatSelect.value : 'docx';
+          if (format !== 'docx') {
+              console.log('=== DOWNLOAD DEBUG END ===');
+              await this.exportDocument(tab.id, finalName, format);
+              return;
+          }
+
+          // Pick up edits, removals and re-runs from the review page
+          await this.documentManager.syncWithBackground();
+          if (!this.documentManager.hasResponses()) {
+              this.showNotification('No responses to download', 'warning');
+              this.updateResponseCount();
+              return;
+          }
+
           // NEW: Get automation ID for tracking
           const automationStatus = await browser.runtime.sendMessage({
               type: 'get-automation-status',
@@ -370,6 +556,12 @@ class PerplexityAutomator {
           await this.documentManager.downloadDocx(automationId);
       });
       this.clearDocumentBtn.addEventListener('click', () => this.clearDocument());
+      if (this.reviewDocumentBtn) {
+        this.reviewDocumentBtn.addEventListener('click', () => this.openReview());
+      }
+      if (this.exportResultsBtn) {
+        this.exportResultsBtn.addEventListener('click', () => this.exportRunResults());
+      }
 
 
       // ✅ TEMPORARY: Add debug trigger (double-click company input field)
@@ -384,6 +576,14 @@ class PerplexityAutomator {
       this.resumeAutomationBtn.addEventListener('click', () => this.resumeAutomation());
       this.resetAutomationBtn.addEventListener('click', () => this.resetAutomation());
 
+      // Batch controls
+      if (this.batchCsvInput) {
+        this.batchCsvInput.addEventListener('change', () => this.loadBatchCsv());
+      }
+      if (this.startBatchBtn) {
+        this.startBatchBtn.addEventListener('click', () => this.startBatch());
+      }
+
       // Notification settings
       if (this.enableNotifications) {
         this.enableNotifications.addEventListener('change', () => this.saveNotificationSettings());
@@ -393,12 +593,36 @@ class PerplexityAutomator {
       if (this.autoDownloadDocx) {
         this.autoDownloadDocx.addEventListener('change', () => this.saveAutoDownloadSettings());
       }
+      if (this.requireReviewApproval) {
+        this.requireReviewApproval.addEventListener('change', () => this.saveAutoDownloadSettings());
+      }
+
+      if (this.includePromptText) {
+        this.includePromptText.addEventListener('change', () => this.saveReportSettings());
+      }
+      if (this.embedExternalImages) {
+        this.embedExternalImages.addEventListener('change', () => this.toggleExternalImagePermission());
+      }
+      if (this.documentFormatSelect) {
+        this.documentFormatSelect.addEventListener('change', () => this.saveReportSettings());
+      }
+
+      // Retry and timeout settings
+      if (this.enableRetries && this.maxRetriesInput && this.maxPromptWaitInput && this.workerCountInput && this.newThreadPerRun && this.maxPromptsPerThreadInput) {
+        this.enableRetries.addEventListener('change', () => this.saveRunSettings());
+        this.maxRetriesInput.addEventListener('change', () => this.saveRunSettings());
+        this.maxPromptWaitInput.addEventListener('change', () => this.saveRunSettings());
+        this.workerCountInput.addEventListener('change', () => this.saveRunSettings());
+        this.newThreadPerRun.addEventListener('change', () => this.saveRunSettings());
+        this.maxPromptsPerThreadInput.addEventListener('change', () => this.saveRunSettings());
+      }
 
       // Persist company name on change
       if (this.companyNameInput) {
         this.companyNameInput.addEventListener('input', async () => {
           // Get current tab and update title immediately
           const companyName = this.companyNameInput.value.trim();
+          this.companyNameInput.classList.remove('form-control--invalid');
 
           console.log('🏢 User typed company name:', companyName);
 
@@ -502,6 +726,13 @@ class PerplexityAutomator {
                     case 'document-updated': // NEW: Handle document updates
                         this.handleDocumentUpdated(message.data);
                         break;
+                    case 'batch-started':
+                    case 'batch-progress':
+                        this.renderBatchSummary(message.data);
+                        break;
+                    case 'batch-complete':
+                        this.handleBatchComplete(message.data);
+                        break;
                 }
             } catch (error) {
                 this.logError('Error handling message:', error);
@@ -558,6 +789,8 @@ class PerplexityAutomator {
           this.currentPrompt.textContent = `Failed prompt ${current}/${total}`;
         }
         this.logMessage(`✗ Prompt ${current} failed: ${data.error || 'Unknown error'}`);
+      } else if (data.status === 'skipped') {
+        this.logMessage(`⤼ Prompt ${current} skipped: ${data.error}`);
       } else if (data.status === 'retrying') {
         // NULL-SAFE: Check if currentPrompt exists before using it
         if (this.currentPrompt) {
@@ -592,7 +825,7 @@ class PerplexityAutomator {
       this.logMessage(`🎉 Automation completed! Processed ${data.completed}/${data.total} prompts`);
 
       if (data.summary) {
-        this.logMessage(`Success rate: ${data.summary.successRate}% (${data.summary.successful} successful, ${data.summary.failed} failed)`);
+        this.logMessage(`Success rate: ${data.summary.successRate}% (${data.summary.successful} successful, ${data.summary.failed} failed, ${data.summary.skipped || 0} skipped)`);
       }
 
       // NEW: Finalize document
@@ -601,11 +834,27 @@ class PerplexityAutomator {
       this.enableDownloadButtons();
 
       // NEW: Check if auto-download is enabled and download automatically
-      if (this.documentManager.hasResponses()) {
+      // Batch rows are downloaded by the background script, one DOCX per company
+      if (data.batch) {
+        this.logMessage(this.requireReviewApproval && this.requireReviewApproval.checked
+          ? '📝 Batch company complete - approve its document on the review page to continue'
+          : '📄 Batch company complete - document saved by background');
+      } else if (this.documentManager.hasResponses()) {
         // Check auto-download setting
         const autoDownloadEnabled = this.autoDownloadDocx ? this.autoDownloadDocx.checked : true;
-
-        if (autoDownloadEnabled) {
+        const waitForApproval = this.requireReviewApproval ? this.requireReviewApproval.checked : false;
+        const format = this.documentFormatSelect ? this.documentFormatSelect.value : 'docx';
+
+        if (autoDownloadEnabled && waitForApproval) {
+          // Approving on the review page downloads the document
+          this.updateDocumentStatus('ready', 'Waiting for review approval');
+          this.logMessage('📝 Document waiting for review - approve it on the review page to download');
+          this.showNotification('Review and approve the responses to download the document', 'info');
+        } else if (autoDownloadEnabled && format !== 'docx') {
+          // PDF, Markdown and HTML are built by the background page, as for the download button
+          this.logMessage(`🔽 Starting automatic ${format.toUpperCase()} export...`);
+          await this.exportDocument(data.tabId, this.documentManager.companyName || 'Company', format);
+        } else if (autoDownloadEnabled) {
           try {
             this.updateDocumentStatus('downloading', 'Starting automatic download...');
             this.logMessage('🔽 Starting automatic download...');
@@ -644,12 +893,14 @@ class PerplexityAutomator {
         responseCount: this.documentManager.getResponseCount(),
         documentStatus: this.documentStatus.textContent
       });
+      this.loadExportRuns();
     }
 
 
     handleAutomationStopped(data) {
       this.isRunning = false;
       this.updateAutomationButton();
+      this.loadExportRuns();
 
       // NULL-SAFE: Check if currentPrompt exists before using it
       if (this.currentPrompt) {
@@ -766,6 +1017,101 @@ class PerplexityAutomator {
         }
     }
 
+    /**
+     * Save the report as PDF, Markdown or standalone HTML
+     * @param {number} tabId Tab whose responses to use
+     * @param {string} companyName Company for the title and filename
+     * @param {string} format 'pdf', 'md' or 'html'
+     */
+    async exportDocument(tabId, companyName, format) {
+        const label = this.documentFormatSelect.selectedOptions[0]?.textContent || format.toUpperCase();
+        this.updateDocumentStatus('downloading', `Preparing ${label}...`);
+        try {
+            // Saving a PDF opens the report in a tab, which closes this popup; the background finishes it
+            const response = await browser.runtime.sendMessage({
+                type: 'export-tab-document',
+                tabId: tabId,
+                companyName: companyName,
+                format: format
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Export failed');
+            }
+            if (response.filename) {
+                this.updateDocumentStatus('downloaded', `Saved ${response.filename}`);
+            } else {
+                this.updateDocumentStatus('ready', 'Export cancelled');
+            }
+        } catch (error) {
+            console.error('Failed to export document:', error);
+            this.updateDocumentStatus('error', 'Export failed');
+            this.showNotification(`Failed to export the document: ${error.message}`, 'error');
+        }
+    }
+
+    // Runs whose results can be exported: this tab's live and archived runs first, then runs from other tabs
+    async loadExportRuns() {
+        if (!this.exportRunSelect) return;
+
+        try {
+            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+            const status = await browser.runtime.sendMessage({ type: 'get-automation-status', tabId: tab.id });
+            const history = await browser.runtime.sendMessage({ type: 'get-run-history' });
+            const runs = (history && history.runs) || [];
+            const describe = run => `${run.companyName} - ${new Date(run.startedAt).toLocaleString()} (${run.completed}/${run.promptCount} done)`;
+
+            const tabRuns = runs.filter(run => run.tabId === tab.id).map(run => ({ value: run.automationId, text: describe(run) }));
+            // A live run is archived when it finishes; until then it is only on the tab
+            if (status && status.tabId && status.automationId && status.processedResults > 0 &&
+                !runs.some(run => run.automationId === status.automationId)) {
+                tabRuns.unshift({
+                    value: status.automationId,
+                    text: `Current run (${status.processedResults}/${status.totalPrompts} done)`
+                });
+            }
+            const otherRuns = runs.filter(run => run.tabId !== tab.id).map(run => ({ value: run.automationId, text: describe(run) }));
+
+            this.exportRunSelect.innerHTML = '';
+            [['This tab', tabRuns], ['Other tabs', otherRuns]].forEach(([label, options]) => {
+                if (options.length === 0) return;
+                const group = document.createElement('optgroup');
+                group.label = label;
+                options.forEach(({ value, text }) => group.appendChild(new Option(text, value)));
+                this.exportRunSelect.appendChild(group);
+            });
+
+            const hasRuns = tabRuns.length + otherRuns.length > 0;
+            if (!hasRuns) {
+                this.exportRunSelect.appendChild(new Option('No runs yet', ''));
+            }
+            this.exportResultsBtn.disabled = !hasRuns;
+        } catch (error) {
+            console.error('Failed to load runs for export:', error);
+        }
+    }
+
+    async exportRunResults() {
+        const automationId = Number(this.exportRunSelect.value);
+        if (!automationId) return;
+
+        try {
+            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+            const response = await browser.runtime.sendMessage({
+                type: 'export-results',
+                tabId: tab.id,
+                automationId: automationId,
+                format: this.exportFormatSelect.value
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Export failed');
+            }
+            this.showNotification(`Results exported: ${response.filename}`, 'success');
+        } catch (error) {
+            console.error('Failed to export results:', error);
+            this.showNotification(`Failed to export results: ${error.message}`, 'error');
+        }
+    }
+
     async clearDocument() {
         if (confirm('Are you sure you want to clear the document? This will remove all collected responses.')) {
             // Clear background document as well
@@ -947,6 +1293,13 @@ class PerplexityAutomator {
         }
       }
 
+      // Batch button is only offered while nothing runs on this tab
+      if (this.startBatchBtn) {
+        const canStartBatch = this.batchRows.length > 0 && this.startAutomationBtn.style.display !== 'none';
+        this.startBatchBtn.style.display = canStartBatch ? 'inline-flex' : 'none';
+        this.startBatchBtn.disabled = this.prompts.length === 0;
+      }
+
       if (this.prompts.length > 0) {
         this.renderPrompts();
       }
@@ -962,6 +1315,32 @@ class PerplexityAutomator {
         });
     }
 
+    openRunHistory() {
+        const url = browser.runtime.getURL('history.html');
+        browser.tabs.create({ url: url }).catch(error => {
+            console.error('Failed to open run history:', error);
+            this.showNotification('Failed to open run history', 'error');
+        });
+    }
+
+    async openReview() {
+        try {
+            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+            await browser.tabs.create({ url: browser.runtime.getURL(`review.html?tabId=${tab.id}`) });
+        } catch (error) {
+            console.error('Failed to open the review page:', error);
+            this.showNotification('Failed to open the review page', 'error');
+        }
+    }
+
+    openSchedules() {
+        const url = browser.runtime.getURL('schedules.html');
+        browser.tabs.create({ url: url }).catch(error => {
+            console.error('Failed to open schedules:', error);
+            this.showNotification('Failed to open schedules', 'error');
+        });
+    }
+
     async startAutomation() {
         if (this.prompts.length === 0) {
             this.showNotification('No prompts to run', 'warning');
@@ -978,10 +1357,23 @@ class PerplexityAutomator {
 
             const companyName = this.companyNameInput ? this.companyNameInput.value.trim() : '';
 
+            if (!(await this.checkSelectorsBeforeRun(tab))) {
+              return;
+            }
+
+            // Refuse to run while a required template variable is empty
+            const missing = this.findMissingVariables({ company: companyName });
+            if (missing.length > 0) {
+              this.highlightMissingVariables(missing);
+              this.showNotification(`Fill in required variables: ${missing.join(', ')}`, 'error');
+              return;
+            }
+
             console.log('🚀 Starting automation with company name:', companyName);
             console.log('🚀 Company name input value:', this.companyNameInput ? this.companyNameInput.value : 'NO INPUT ELEMENT');
 
             this.documentManager.companyName = companyName || 'Company';
+            this.documentManager.titleValues = this.getTemplateValues(companyName);
             this.documentManager.updateDocumentTitle(); // ← ADD THIS LINE
             // Update tab title when starting automation
             if (companyName) {
@@ -990,16 +1382,7 @@ class PerplexityAutomator {
             } else {
               console.log('🚀 No company name provided, not updating tab title');
             }
-            const promptsToSend = this.prompts.map(prompt => {
-              // prompt is now an object with { text, pauseAfter }
-              let txt = prompt.text;
-              if (companyName) {
-                // replace company placeholder if desired
-                // txt = txt.replace(/\[Company\]/g, companyName);
-                txt = txt.replace(/\[Company Name\]/g, companyName);
-              }
-              return { text: txt, pauseAfter: !!prompt.pauseAfter };
-            });
+            const promptsToSend = this.buildPromptsForCompany(companyName);
 
             console.log('🚀 Sending start-automation message with:', {
               type: 'start-automation',
@@ -1008,11 +1391,25 @@ class PerplexityAutomator {
               companyName: companyName || ''
             });
 
-            await browser.runtime.sendMessage({
+            // More than one worker spreads the independent prompts over extra tabs
+            const workerCount = parseInt(this.workerCountInput.value, 10) || 1;
+            await browser.runtime.sendMessage(workerCount > 1 ? {
+              type: 'start-pool',
+              prompts: promptsToSend,
+              tabId: tab.id,
+              companyName: companyName || '',
+              documentTitle: this.documentManager.document.title,
+              reportTemplateId: this.activePromptSet.reportTemplateId || null,
+              reportValues: this.documentManager.titleValues,
+              workerCount: workerCount
+            } : {
               type: 'start-automation',
               prompts: promptsToSend,
               tabId: tab.id,
-              companyName: companyName || ''
+              companyName: companyName || '',
+              documentTitle: this.documentManager.document.title,
+              reportTemplateId: this.activePromptSet.reportTemplateId || null,
+              reportValues: this.documentManager.titleValues
             });
 
             this.updateAutomationButton();
@@ -1023,6 +1420,506 @@ class PerplexityAutomator {
         }
     }
 
+    /**
+     * Render the saved prompts for one company with the template engine
+     * @param {string} companyName Fills {{company}} and the legacy [Company Name]
+     * @param {Object} variables Values that override the popup fields (e.g. CSV columns)
+     * @returns {Array<{text: string, nickname: string, pauseAfter: boolean, maxWaitMinutes: ?number, dependsOnPrevious: boolean, condition: ?Object, searchOptions: ?Object, newThread: boolean}>} Prompts to send
+     */
+    buildPromptsForCompany(companyName, variables = {}) {
+        const values = this.getTemplateValues(companyName, variables);
+        return this.prompts.map(prompt => {
+          // prompt is now an object with { text, pauseAfter }
+          return {
+            text: TemplateEngine.render(prompt.text, values),
+            nickname: prompt.nickname || '',
+            pauseAfter: !!prompt.pauseAfter,
+            maxWaitMinutes: prompt.maxWaitMinutes || null,
+            dependsOnPrevious: !!prompt.dependsOnPrevious,
+            condition: prompt.condition || null,
+            searchOptions: prompt.searchOptions || null,
+            newThread: !!prompt.newThread
+          };
+        });
+    }
+
+    // Template variables: one input per {{placeholder}} found in the saved prompts
+    async renderTemplateVariables() {
+        if (!this.templateVariablesContainer) return;
+
+        this.templateVariables = TemplateEngine.collectVariables(this.prompts)
+            .filter(variable => variable.name !== TemplateEngine.COMPANY_VARIABLE);
+
+        // Each prompt set remembers its own values
+        const savedValues = (this.activePromptSet && this.activePromptSet.variableValues) || {};
+
+        this.templateVariablesContainer.innerHTML = '';
+        this.templateVariables.forEach(variable => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = `templateVar-${variable.name}`;
+            label.textContent = variable.required ? `${variable.name} *` : variable.name;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `templateVar-${variable.name}`;
+            input.className = 'form-control';
+            input.dataset.variable = variable.name;
+            input.value = savedValues[variable.name] || '';
+            input.placeholder = variable.defaultValue !== null
+                ? `Default: ${variable.defaultValue}`
+                : `Required: replaces {{${variable.name}}}`;
+            input.addEventListener('input', () => {
+                input.classList.remove('form-control--invalid');
+                this.saveTemplateValues();
+            });
+
+            group.appendChild(label);
+            group.appendChild(input);
+            this.templateVariablesContainer.appendChild(group);
+        });
+    }
+
+    async saveTemplateValues() {
+        try {
+            const values = {};
+            this.templateVariablesContainer.querySelectorAll('[data-variable]').forEach(input => {
+                values[input.dataset.variable] = input.value;
+            });
+            this.activePromptSet.variableValues = values;
+            await PromptSetStore.updateSet(this.activePromptSet.id, { variableValues: values });
+        } catch (error) {
+            this.logError('Failed to save template variable values:', error);
+        }
+    }
+
+    /**
+     * Current variable values; empty fields fall back to their default
+     * @param {string} companyName Value for {{company}}
+     * @param {Object} overrides Values that take precedence over the fields
+     * @returns {Object} Values keyed by variable name
+     */
+    getTemplateValues(companyName = '', overrides = {}) {
+        const values = {};
+        (this.templateVariables || []).forEach(variable => {
+            const input = this.templateVariablesContainer.querySelector(`[data-variable="${variable.name}"]`);
+            const value = input ? input.value.trim() : '';
+            values[variable.name] = value || variable.defaultValue || '';
+        });
+
+        Object.entries(TemplateEngine.normalizeValues(overrides)).forEach(([name, value]) => {
+            if (String(value).trim()) {
+                values[name] = value;
+            }
+        });
+        values[TemplateEngine.COMPANY_VARIABLE] = companyName;
+        return values;
+    }
+
+    findMissingVariables(overrides = {}) {
+        const variables = TemplateEngine.collectVariables(this.prompts);
+        return TemplateEngine.findMissing(variables, this.getTemplateValues(overrides.company || '', overrides));
+    }
+
+    highlightMissingVariables(missing) {
+        missing.forEach(name => {
+            const input = name === TemplateEngine.COMPANY_VARIABLE
+                ? this.companyNameInput
+                : this.templateVariablesContainer.querySelector(`[data-variable="${name}"]`);
+            if (input) {
+                input.classList.add('form-control--invalid');
+            }
+        });
+    }
+
+    // Batch runs: one automation per CSV row, driven by the background script
+    async loadBatchCsv() {
+        this.batchRows = [];
+        const file = this.batchCsvInput.files[0];
+
+        if (file) {
+            try {
+                const text = await file.text();
+                const [headers, ...records] = this.parseCSV(text.replace(/^\uFEFF/, ''));
+                if (!headers || records.length === 0) {
+                    throw new Error('expected a header row and at least one company');
+                }
+
+                // Company column is the first header mentioning "company", else the first column
+                let companyColumn = headers.findIndex(header => /company/i.test(header));
+                if (companyColumn < 0) companyColumn = 0;
+
+                this.batchRows = records
+                    .map(record => {
+                        const variables = {};
+                        headers.forEach((header, column) => {
+                            if (column !== companyColumn && header) {
+                                variables[header] = record[column] || '';
+                            }
+                        });
+                        return { companyName: record[companyColumn] || '', variables };
+                    })
+                    .filter(row => row.companyName);
+
+                this.batchCsvInfo.textContent = `${this.batchRows.length} companies loaded from ${file.name}`;
+            } catch (error) {
+                this.logError('Failed to read batch CSV:', error);
+                this.batchCsvInfo.textContent = `Could not read CSV: ${error.message}`;
+                this.showNotification('Could not read batch CSV', 'error');
+            }
+        }
+
+        this.updateAutomationButton();
+    }
+
+    /**
+     * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+     * @param {string} text CSV file content
+     * @returns {Array<Array<string>>} Non-empty rows of trimmed cells
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows
+            .map(cells => cells.map(cell => cell.trim()))
+            .filter(cells => cells.some(cell => cell.length > 0));
+    }
+
+    async startBatch() {
+        if (this.prompts.length === 0) {
+            this.showNotification('No prompts to run', 'warning');
+            return;
+        }
+        if (this.batchRows.length === 0) {
+            this.showNotification('Load a CSV of companies first', 'warning');
+            return;
+        }
+
+        try {
+            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+
+            if (!tab.url.includes('perplexity.ai')) {
+                this.showNotification('Please navigate to Perplexity.ai first', 'error');
+                return;
+            }
+
+            // Every company must have all required variables, from the CSV or the popup fields
+            const incomplete = this.batchRows.filter(row =>
+                this.findMissingVariables({ ...row.variables, company: row.companyName }).length > 0
+            );
+            if (incomplete.length > 0) {
+                const missing = this.findMissingVariables({ ...incomplete[0].variables, company: incomplete[0].companyName });
+                this.highlightMissingVariables(missing);
+                this.showNotification(`${incomplete.length} companies are missing required variables: ${missing.join(', ')}`, 'error');
+                return;
+            }
+
+            if (!(await this.checkSelectorsBeforeRun(tab))) {
+                return;
+            }
+
+            const rows = this.batchRows.map(row => ({
+                companyName: row.companyName,
+                variables: row.variables,
+                prompts: this.buildPromptsForCompany(row.companyName, row.variables),
+                documentTitle: PromptSetStore.renderTitle(this.activePromptSet, this.getTemplateValues(row.companyName, row.variables)),
+                reportTemplateId: this.activePromptSet.reportTemplateId || null,
+                reportValues: this.getTemplateValues(row.companyName, row.variables)
+            }));
+
+            const response = await browser.runtime.sendMessage({
+                type: 'start-batch',
+                rows: rows,
+                tabId: tab.id
+            });
+            if (response && response.success === false) {
+                throw new Error(response.error);
+            }
+
+            this.logMessage(`📋 Batch started for ${rows.length} companies`);
+            this.updateAutomationButton();
+        } catch (error) {
+            this.logError('Failed to start batch:', error);
+            this.showNotification('Failed to start batch', 'error');
+        }
+    }
+
+    async loadBatchStatus() {
+        try {
+            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+            const response = await browser.runtime.sendMessage({
+                type: 'get-batch-status',
+                tabId: tab.id
+            });
+            if (response && (response.batch || response.lastSummary)) {
+                this.renderBatchSummary(response.batch || response.lastSummary);
+            }
+        } catch (error) {
+            this.logError('Failed to load batch status:', error);
+        }
+    }
+
+    handleBatchComplete(data) {
+        this.renderBatchSummary(data);
+        this.logMessage(`📋 Batch finished: ${data.completed}/${data.total} companies completed, ${data.failed} failed`);
+        this.updateAutomationButton();
+    }
+
+    renderBatchSummary(data) {
+        if (!this.batchSection || !data || !data.results) return;
+
+        const finished = data.results.filter(r => r.status === 'completed' || r.status === 'failed' || r.status === 'skipped').length;
+        this.batchSection.style.display = 'flex';
+        this.batchProgress.textContent = `${finished}/${data.results.length}`;
+
+        const statusLabels = {
+            pending: 'Pending',
+            running: 'Running',
+            completed: 'Completed',
+            failed: 'Failed',
+            skipped: 'Skipped'
+        };
+
+        this.batchResultsList.innerHTML = '';
+        data.results.forEach(result => {
+            const item = document.createElement('li');
+            item.className = `batch-result batch-result--${result.status}`;
+            item.title = result.error || result.filename || '';
+
+            const name = document.createElement('span');
+            name.textContent = result.companyName;
+            const status = document.createElement('span');
+            status.className = 'batch-result-status';
+            status.textContent = result.status === 'completed'
+                ? `${statusLabels.completed} (${result.completed}/${result.total})`
+                : statusLabels[result.status] || result.status;
+            if (result.awaitingReview) {
+                status.textContent += ' - awaiting review';
+            }
+
+            item.appendChild(name);
+            item.appendChild(status);
+            this.batchResultsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Ask the content script which selectors still match on the current Perplexity page
+     * @param {Object} tab Perplexity tab
+     * @returns {Promise<Array<Object>>} Checks from the content script's runDiagnostics()
+     */
+    async fetchDiagnostics(tab) {
+        const response = await browser.tabs.sendMessage(tab.id, { type: 'run-diagnostics' });
+        if (!response || response.error) {
+            throw new Error(response ? response.error : 'No answer from the page');
+        }
+        return response.checks;
+    }
+
+    async runDiagnostics() {
+        try {
+            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+            if (!tab.url.includes('perplexity.ai')) {
+                this.showNotification('Please navigate to Perplexity.ai first', 'error');
+                return;
+            }
+
+            const checks = await this.fetchDiagnostics(tab);
+            this.renderDiagnostics(checks);
+            const problems = checks.filter(check => check.status === 'degraded' || check.status === 'missing');
+            this.showNotification(
+                problems.length === 0 ? 'All primary selectors match' : `${problems.length} selector check(s) need attention`,
+                problems.length === 0 ? 'success' : 'warning'
+            );
+        } catch (error) {
+            console.error('Diagnostics failed:', error);
+            this.showNotification('Could not check the page - reload the Perplexity tab and try again', 'error');
+        }
+    }
+
+    renderDiagnostics(checks) {
+        if (!this.diagnosticsList) return;
+
+        const names = { input: 'Prompt input', submitButton: 'Submit button', responseContainer: 'Latest response' };
+        const statusLabels = { ok: 'OK', degraded: 'Fallback', missing: 'Not found', unknown: 'Not on page yet' };
+        const strategyLabels = {
+            primary: 'primary selector',
+            fallback: 'fallback selector',
+            dynamic: 'page heuristics',
+            none: 'no strategy matched'
+        };
+
+        this.diagnosticsList.innerHTML = '';
+        checks.forEach(check => {
+            const item = document.createElement('li');
+            item.className = `diagnostics-item diagnostics-item--${check.status}`;
+
+            const header = document.createElement('div');
+            header.className = 'diagnostics-item-header';
+            const name = document.createElement('span');
+            name.textContent = names[check.type] || check.type;
+            const status = document.createElement('span');
+            status.className = 'diagnostics-status';
+            status.textContent = check.found
+                ? `${statusLabels[check.status]} · ${check.confidence}%`
+                : statusLabels[check.status];
+            header.appendChild(name);
+            header.appendChild(status);
+
+            const detail = document.createElement('div');
+            detail.className = 'diagnostics-item-detail';
+            detail.textContent = check.found
+                ? `${strategyLabels[check.strategy]}: ${check.selector}${check.disabled ? ' (disabled)' : ''}`
+                : strategyLabels.none;
+
+            item.appendChild(header);
+            item.appendChild(detail);
+            this.diagnosticsList.appendChild(item);
+        });
+        this.diagnosticsList.style.display = 'block';
+    }
+
+    /**
+     * Warn once per tab when the primary selectors no longer match; pressing Start again runs anyway
+     * @param {Object} tab Perplexity tab about to run
+     * @returns {Promise<boolean>} true to go ahead with the run
+     */
+    async checkSelectorsBeforeRun(tab) {
+        if (this.selectorWarningTabId === tab.id) {
+            return true;
+        }
+
+        let checks;
+        try {
+            checks = await this.fetchDiagnostics(tab);
+        } catch (error) {
+            // Older content script or page still loading - the run reports its own errors
+            console.warn('Skipping selector check:', error);
+            return true;
+        }
+
+        const problems = checks.filter(check => check.status === 'degraded' || check.status === 'missing');
+        if (problems.length === 0) {
+            return true;
+        }
+
+        this.selectorWarningTabId = tab.id;
+        this.renderDiagnostics(checks);
+        this.showNotification('Perplexity\'s page layout seems to have changed (see Page Check). Press Start again to run anyway.', 'warning');
+        return false;
+    }
+
+    // Interrupted runs: checkpoints the background could not finish before the browser closed
+    async loadResumableRuns() {
+        if (!this.resumeSection) return;
+
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'get-resumable-runs' });
+            const runs = (response && response.runs) || [];
+
+            this.resumableRunsList.innerHTML = '';
+            this.resumeSection.style.display = runs.length > 0 ? 'flex' : 'none';
+
+            runs.forEach(run => {
+                const item = document.createElement('li');
+                item.className = 'resumable-run';
+
+                const resumeBtn = document.createElement('button');
+                resumeBtn.className = 'btn btn-success';
+                resumeBtn.textContent = `▶️ Resume run for ${run.companyName} (${run.completed}/${run.total} done)`;
+                resumeBtn.title = `Interrupted ${new Date(run.timestamp).toLocaleString()}`;
+                resumeBtn.addEventListener('click', () => this.resumeInterruptedRun(run));
+
+                const discardBtn = document.createElement('button');
+                discardBtn.className = 'btn btn-secondary';
+                discardBtn.textContent = 'Discard';
+                discardBtn.addEventListener('click', () => this.discardInterruptedRun(run));
+
+                item.appendChild(resumeBtn);
+                item.appendChild(discardBtn);
+                this.resumableRunsList.appendChild(item);
+            });
+        } catch (error) {
+            this.logError('Failed to load interrupted runs:', error);
+        }
+    }
+
+    async resumeInterruptedRun(run) {
+        try {
+            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+            const response = await browser.runtime.sendMessage({
+                type: 'resume-checkpoint',
+                automationId: run.automationId,
+                tabId: tab.id
+            });
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Resume failed');
+            }
+
+            this.companyNameInput.value = run.companyName;
+            this.documentManager.companyName = run.companyName;
+            this.documentManager.setTabId(response.tabId);
+            this.documentManager.updateDocumentTitle();
+
+            this.logMessage(`▶️ Resumed run for ${run.companyName} at ${run.completed}/${run.total}`);
+            this.showNotification(`Resuming run for ${run.companyName}`, 'success');
+            await this.loadResumableRuns();
+            this.updateAutomationButton();
+        } catch (error) {
+            this.logError('Failed to resume interrupted run:', error);
+            this.showNotification('Failed to resume run', 'error');
+        }
+    }
+
+    async discardInterruptedRun(run) {
+        if (!confirm(`Discard the interrupted run for ${run.companyName}? Its ${run.completed} collected responses will be lost.`)) {
+            return;
+        }
+        try {
+            await browser.runtime.sendMessage({ type: 'discard-checkpoint', automationId: run.automationId });
+            await this.loadResumableRuns();
+        } catch (error) {
+            this.logError('Failed to discard interrupted run:', error);
+        }
+    }
+
     async resetAutomation() {
       // Show confirmation dialog
       const confirmed = confirm(
@@ -1140,7 +2037,7 @@ class PerplexityAutomator {
 
     async savePrompts() {
         try {
-            await browser.storage.local.set({ prompts: this.prompts });
+            await PromptSetStore.updateSet(this.activePromptSet.id, { prompts: this.prompts });
         } catch (error) {
             this.logError('Failed to save prompts:', error);
         }
@@ -1148,765 +2045,43 @@ class PerplexityAutomator {
 
     async loadPrompts() {
       try {
-        const result = await browser.storage.local.get(['prompts']);
-        this.prompts = result.prompts || [];
+        const { sets, activeSet } = await PromptSetStore.load();
+        this.activePromptSet = activeSet;
+        this.prompts = activeSet.prompts || [];
+        this.documentManager.titleTemplate = activeSet.titleTemplate;
+        this.documentManager.reportTemplateId = activeSet.reportTemplateId || null;
+        this.renderPromptSetOptions(sets);
         this.updatePromptCount(); // Update the display counter
+        this.updateStartButton();
+        await this.renderTemplateVariables();
       } catch (error) {
         this.logError('Failed to load prompts:', error);
       }
     }
 
-}
-
-// NEW: Document Management Class
-/**
- * Enhanced Document Manager for Microsoft Word Layout
- * Formats DOCX with Times New Roman index, Aptos Display headings
- */
-class DocumentManager {
-    constructor() {
-        this.companyName = 'Company';
-        this.tabId = null; // Track which tab this belongs to
-        this.document = {
-            title: `Business Analyses for ${this.companyName || 'Company'}`,
-            timestamp: null,
-            responses: [],
-            summary: null
-        };
-    }
-
-    // NEW: Set the tab ID for this document manager
-    setTabId(tabId) {
-      this.tabId = tabId;
-    }
-
-    // NEW: Get tab-specific storage key
-    getStorageKey() {
-      return this.tabId ? `popupDocument_tab_${this.tabId}` : 'popupDocument';
+    renderPromptSetOptions(sets) {
+      if (!this.promptSetSelect) return;
+      this.promptSetSelect.innerHTML = '';
+      sets.forEach(set => {
+        const option = document.createElement('option');
+        option.value = set.id;
+        option.textContent = `${set.name} (${set.prompts.length})`;
+        option.selected = set.id === this.activePromptSet.id;
+        this.promptSetSelect.appendChild(option);
+      });
     }
 
-    async loadDocumentState() {
+    async selectPromptSet(setId) {
       try {
-        const storageKey = this.getStorageKey();
-        const result = await browser.storage.local.get([storageKey]);
-        if (result[storageKey]) {
-          this.document = result[storageKey];
-          console.log('Document state loaded:', this.getResponseCount(), 'responses');
-        }
+        await PromptSetStore.setActive(setId);
+        await this.loadPrompts();
+        this.showNotification(`Using prompt set "${this.activePromptSet.name}"`, 'info');
       } catch (error) {
-        console.error('Failed to load document state:', error);
-      }
-    }
-
-    async saveDocumentState() {
-        try {
-            const storageKey = this.getStorageKey();
-            await browser.storage.local.set({ [storageKey]: this.document });
-        } catch (error) {
-            console.error('Failed to save document state:', error);
-        }
-    }
-
-    async syncWithBackground() {
-        try {
-            // NEW: Pass current tab ID to get tab-specific document data
-            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
-            const response = await browser.runtime.sendMessage({
-              type: 'get-document-data',
-              tabId: tab.id
-            });
-            if (response && response.document && response.document.responses.length > 0) {
-                // Map background document structure to popup structure
-                this.document = {
-                    ...this.document,
-                    responses: response.document.responses.map(bgResponse => ({
-                        promptNumber: bgResponse.index + 1,
-                        promptText: bgResponse.prompt,
-                        responseText: bgResponse.response,
-                        timestamp: bgResponse.timestamp
-                    }))
-                };
-                await this.saveDocumentState();
-                console.log('Synced with background:', this.getResponseCount(), 'responses');
-                return true;
-            }
-        } catch (error) {
-            console.error('Failed to sync with background:', error);
-        }
-        return false;
-    }
-
-    addResponse(promptNumber, promptText, responseText) {
-      // ENHANCED: Multiple deduplication strategies
-
-      // Check 1: Exact prompt number match
-      const existingByNumber = this.document.responses.findIndex(r => r.promptNumber === promptNumber);
-
-      // Check 2: Content hash comparison (prevent identical content)
-      const responseHash = this.hashContent(responseText);
-      const existingByHash = this.document.responses.findIndex(r =>
-        this.hashContent(r.responseText) === responseHash &&
-        Math.abs(r.promptNumber - promptNumber) <= 1
-      );
-
-      const response = {
-        promptNumber,
-        promptText,
-        responseText,
-        timestamp: new Date().toISOString(),
-        contentHash: responseHash // Store hash for future comparisons
-      };
-
-      if (existingByNumber >= 0) {
-        // Replace existing response with same prompt number
-        this.document.responses[existingByNumber] = response;
-        console.log(`Popup: Updated response ${promptNumber} (number match)`);
-      } else if (existingByHash >= 0) {
-        // Skip if identical content already exists
-        console.log(`Popup: Skipped duplicate content for response ${promptNumber}`);
-        return;
-      } else {
-        // Add new unique response
-        this.document.responses.push(response);
-        console.log(`Popup: Added new response ${promptNumber}`);
-      }
-
-      this.document.responses.sort((a, b) => a.promptNumber - b.promptNumber);
-      this.saveDocumentState();
-    }
-
-    // ADD: Content hashing method
-    hashContent(content) {
-      if (!content) return '';
-      // Simple hash function for content comparison
-      let hash = 0;
-      const cleanContent = content.trim().substring(0, 1000); // Use first 1000 chars
-      for (let i = 0; i < cleanContent.length; i++) {
-        const char = cleanContent.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
+        this.logError('Failed to switch prompt set:', error);
+        this.showNotification('Failed to switch prompt set', 'error');
       }
-      return hash.toString();
-    }
-
-    getResponseCount() {
-        return this.document.responses.length;
-    }
-
-    hasResponses() {
-        return this.getResponseCount() > 0;
     }
 
-    clearDocument() {
-        this.document = {
-            title: `Business Analyses for ${this.companyName || 'Company'}`,
-            timestamp: null,
-            responses: [],
-            summary: null
-        };
-        this.saveDocumentState();
-    }
-
-    finalizeDocument(summary) {
-        this.document.summary = summary;
-        this.saveDocumentState();
-    }
-
-    async downloadDocx(automationId = null) {
-        if (!this.hasResponses()) {
-            alert('No responses to download');
-            return;
-        }
-
-        try {
-            // Check if html-docx library is available
-            if (typeof htmlDocx === 'undefined') {
-                console.warn('html-docx library not found, falling back to plain text');
-                return this.downloadDocxPlainText();
-            }
-
-            // Build HTML document structure
-            const htmlContent = await this.generateHTMLDocument();
-
-            // Convert HTML to DOCX using html-docx library
-            const docxBlob = htmlDocx.asBlob(htmlContent, {
-                orientation: 'portrait',
-                margins: {
-                    top: 720,    // 0.5 inch in twips (1440 twips = 1 inch)
-                    right: 720,
-                    bottom: 720,
-                    left: 720
-                }
-            });
-
-            // Use the companyName stored in this DocumentManager instance for filename prefix
-            const safeName = (this.companyName || 'Company').replace(/[^a-zA-Z0-9-_]/g, '');
-
-            // 2. Format date/time as MM.DD.YYYY-HH.MM.SS
-            const now = new Date();
-            const pad2 = n => String(n).padStart(2,'0');
-            const datePart = `${pad2(now.getMonth()+1)}.${pad2(now.getDate())}.${now.getFullYear()}`;
-            const timePart = `${pad2(now.getHours())}.${pad2(now.getMinutes())}.${pad2(now.getSeconds())}`;
-
-            // 3. Build filename using company name and underscore format
-            const filename = `${safeName}_${datePart}_${timePart}.docx`;
-
-            const url = URL.createObjectURL(docxBlob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-
-            console.log('HTML-formatted DOCX downloaded successfully:', filename);
-
-            // NEW: Clear document data from memory immediately after successful download
-            this.clearDocumentFromMemory();
-
-            // NEW: Notify background that download completed
-            if (automationId) {
-                setTimeout(async () => {
-                    await browser.runtime.sendMessage({
-                        type: 'docx-download-completed',
-                        automationId: automationId
-                    });
-                }, 1000);
-            }
-
-        } catch (error) {
-            console.error('Failed to generate HTML DOCX:', error);
-            console.log('Falling back to plain text method');
-            return this.downloadDocxPlainText(automationId);
-        }
-    }
-
-    updateDocumentTitle() {
-        this.document.title = `Business Analyses for ${this.companyName || 'Company'}`;
-        this.saveDocumentState();
-    }
-
-    /**
-     * Clear document data from memory after download completion
-     * This helps free up RAM and cache space
-     */
-    clearDocumentFromMemory() {
-        try {
-            // Clear large data structures from memory
-            if (this.document.responses) {
-                this.document.responses.forEach(response => {
-                    // Clear large response text content
-                    if (response.responseText) {
-                        response.responseText = null;
-                    }
-                    if (response.contentHash) {
-                        response.contentHash = null;
-                    }
-                });
-            }
-
-            // Clear document summary
-            if (this.document.summary) {
-                this.document.summary = null;
-            }
-
-            // Force garbage collection hint
-            if (window.gc) {
-                window.gc();
-            }
-
-            console.log('Document data cleared from memory after download');
-
-            // Update UI to reflect that data has been cleared
-            this.updateDocumentStatus('cleared', 'Document downloaded and cleared from memory');
-
-        } catch (error) {
-            console.warn('Error clearing document from memory:', error);
-        }
-    }
-
-    /**
-     * Load brand icon as base64 data URL
-     * @returns {Promise<string>} Base64 data URL of the icon
-     */
-    async loadBrandIcon() {
-        try {
-            const iconUrl = browser.runtime.getURL('icons/logo-icon.png');
-            const response = await fetch(iconUrl);
-
-            if (!response.ok) {
-                throw new Error(`Failed to load icon: ${response.status}`);
-            }
-
-            const blob = await response.blob();
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = () => resolve(reader.result);
-                reader.onerror = reject;
-                reader.readAsDataURL(blob);
-            });
-        } catch (error) {
-            console.warn('Failed to load brand icon:', error);
-            return null; // Return null if icon fails to load
-        }
-    }
-
-    /**
-     * NEW METHOD: Generate structured HTML document
-     * Add this new method to the DocumentManager class
-     */
-    async generateHTMLDocument() {
-        const title = this.document.title;
-
-        const iconDataUrl = await this.loadBrandIcon();
-        // Explicitly build "dd Month yyyy" to ensure correct order
-        const now = new Date();
-        const day = String(now.getDate()).padStart(2, '0');
-        const month = now.toLocaleString(undefined, { month: 'long' });
-        const year = now.getFullYear();
-        const timestamp = `${day} ${month} ${year}`;
-
-        let html = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="UTF-8">
-            <title>${title}</title>
-            <style>
-                body {
-                    font-family: 'Times New Roman', serif;
-                    font-size: 12pt;
-                    line-height: 1.5;
-                    color: #000000;
-                }
-                .brand-icon {
-                                position: absolute;
-                                top: 0;
-                                left: 0;
-                                width: 60px;
-                                height: auto;
-                                z-index: 10;
-                            }
-                .response-content {
-                    font-family: 'Times New Roman', serif;
-                    margin-bottom: 12pt;
-                    line-height: 1.5;
-                }
-                p { font-family: 'Times New Roman', serif; font-size: 12pt; margin-bottom: 6pt; }
-                h1 { font-style: normal; font-weight: normal;  font-family: 'Aptos Display', serif; color: #0F4761; font-size: 20pt; margin-bottom: 6pt; }
-                h2 { font-style: normal; font-weight: normal; font-family: 'Aptos Display', serif; color: #0F4761; font-size: 16pt; margin-bottom: 6pt; }
-                h3 { font-style: normal; font-weight: normal; font-family: 'Times New Roman', serif; color: #0F4761; font-size: 14pt; margin-bottom: 6pt; }
-                ul, ol { margin-bottom: 12pt; }
-                li { margin-bottom: 3pt; }
-                strong, b { font-weight: bold; }
-                em, i { font-style: italic; }
-                code {
-                    font-family: 'Courier New', monospace;
-                    background-color: #f0f0f0;
-                    padding: 2px 4px;
-                }
-                pre {
-                    font-family: 'Courier New', monospace;
-                    background-color: #f0f0f0;
-                    padding: 12pt;
-                    margin: 12pt 0;
-                    white-space: pre-wrap;
-                }
-                blockquote {
-                    margin-left: 24pt;
-                    padding-left: 12pt;
-                    border-left: 3pt solid #cccccc;
-                    font-style: italic;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="header-container">
-                ${iconDataUrl ? `<img src="${iconDataUrl}" alt="Brand Logo" class="brand-icon">` : ''}
-                </div>
-            </div>
-            <br style="font-size: 20pt;"></br>
-            <br style="font-size: 20pt;"></br>
-            <br style="font-size: 20pt;"></br>
-            <br style="font-size: 20pt;"></br>
-            <br style="font-size: 20pt;"></br>
-            <br style="font-size: 20pt;"></br>
-            <h1 style="color: #000000;font-family: 'Aptos';font-size: 20pt;height: 100vh;display: flex;flex-direction: column;justify-content: center;text-align: left; margin: 0;padding: 0;">${title}</h1>
-            <p style="font-family: 'Aptos';font-size: 12pt;text-align: left; margin-bottom: 24pt;">${timestamp}</p>
-        `;
-
-        html += `
-            <!-- First page break -->
-            <br clear="all" style="page-break-before: always" />
-            <!-- Second page break -->
-            <br clear="all" style="page-break-before: always" />
-        `;
-
-
-        // Add main content with HTML formatting - HEADERS AND PAGE BREAKS REMOVED
-            this.document.responses.forEach((response, index) => {
-                // Process the response text for HTML formatting
-                const processedResponse = this.processResponseText(response.responseText);
-                html += `<div class="response-content">${processedResponse}</div>`;
-                html += `<br clear="all" style="page-break-before: always"`;
-            });
-
-        html += `</body></html>`;
-        return html;
-    }
-
-    /**
-     * Process response text to preserve HTML formatting
-     * Add this new method to the DocumentManager class
-     */
-    processResponseText(responseText) {
-        if (!responseText) return '';
-
-        // If the response already contains HTML tags, return as-is
-        if (responseText.includes('<') && responseText.includes('>')) {
-            return responseText;
-        }
-
-        // Convert plain text to HTML with basic formatting
-        let processed = responseText
-            // Escape any existing HTML entities first
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-
-            // Convert markdown-style formatting to HTML
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')  // Bold
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')              // Italic
-            .replace(/`(.*?)`/g, '<code>$1</code>')            // Inline code
-
-            // Convert line breaks to paragraphs
-            .split('\n\n')
-            .map(paragraph => paragraph.trim())
-            .filter(paragraph => paragraph.length > 0)
-            .map(paragraph => {
-                // Handle lists
-                if (paragraph.includes('\n- ') || paragraph.includes('\n• ')) {
-                    const lines = paragraph.split('\n');
-                    let listHtml = '';
-                    let inList = false;
-
-                    for (const line of lines) {
-                        const trimmedLine = line.trim();
-                        if (trimmedLine.startsWith('- ') || trimmedLine.startsWith('• ')) {
-                            if (!inList) {
-                                listHtml += '<ul>';
-                                inList = true;
-                            }
-                            listHtml += `<li>${trimmedLine.substring(2)}</li>`;
-                        } else if (trimmedLine.match(/^\d+\.\s/)) {
-                            if (!inList) {
-                                listHtml += '<ol>';
-                                inList = true;
-                            }
-                            listHtml += `<li>${trimmedLine.replace(/^\d+\.\s/, '')}</li>`;
-                        } else {
-                            if (inList) {
-                                listHtml += inList ? '</ul>' : '</ol>';
-                                inList = false;
-                            }
-                            if (trimmedLine) {
-                                listHtml += `<p>${trimmedLine}</p>`;
-                            }
-                        }
-                    }
-
-                    if (inList) {
-                        listHtml += '</ul>';
-                    }
-
-                    return listHtml;
-                }
-
-                // Regular paragraph
-                return `<p>${paragraph.replace(/\n/g, '<br>')}</p>`;
-            })
-            .join('');
-
-        return processed;
-    }
-
-    /**
-     * Generate and download DOCX with Microsoft Word formatting
-     * Follows screenshot specifications:
-     * - Index: Times New Roman, 12pt, underlined
-     * - H1: Aptos Display, 20pt, Heading style
-     * - H2: Aptos Display, 16pt, Strong style
-     */
-    async downloadDocxPlainText() {
-        if (!this.hasResponses()) {
-            alert('No responses to download');
-            return;
-        }
-
-        try {
-            // Import docx library (ensure it's loaded)
-            if (typeof docx === 'undefined') {
-                throw new Error('DOCX library not loaded. Please include docx.js in your extension.');
-            }
-
-            const { Document, Paragraph, TextRun, Packer, HeadingLevel, AlignmentType, UnderlineType } = docx;
-
-            // Create document sections
-            const sections = [];
-
-            // Title Page
-            sections.push(
-                new Paragraph({
-                    children: [
-                        new TextRun({
-                            text: this.document.title,
-                            font: "Aptos",
-                            size: 40, // 20pt = 40 half-points
-                            bold: true
-                        })
-                    ],
-                    heading: HeadingLevel.HEADING_1,
-                    alignment: AlignmentType.CENTER,
-                    spacing: { after: 400 }
-                })
-            );
-
-            // Timestamp
-            if (this.document.timestamp) {
-                sections.push(
-                    new Paragraph({
-                        children: [
-                            new TextRun({
-                                text: `Generated: ${new Date(this.document.timestamp).toLocaleString()}`,
-                                font: "Aptos",
-                                size: 24, // 12pt
-                                italics: true
-                            })
-                        ],
-                        alignment: AlignmentType.CENTER,
-                        spacing: { after: 600 }
-                    })
-                );
-            }
-
-            // Table of Contents / Index
-            sections.push(
-                new Paragraph({
-                    children: [
-                        new TextRun({
-                            text: "Index",
-                            font: "Times New Roman",
-                            size: 24, // 12pt
-                            underline: {
-                                type: UnderlineType.SINGLE
-                            }
-                        })
-                    ],
-                    spacing: { before: 400, after: 200 }
-                })
-            );
-
-            // Index entries - Clean business document style
-            this.document.responses.forEach((response, index) => {
-                const pageNumber = index + 2; // Start from page 2 (after title page)
-                sections.push(
-                    new Paragraph({
-                        children: [
-                            new TextRun({
-                                text: `Question ${response.promptNumber}`,
-                                font: "Times New Roman",
-                                size: 24 // 12pt
-                            }),
-                            new TextRun({
-                                text: `${'.'.repeat(Math.max(1, 50 - `Question ${response.promptNumber}`.length))} ${pageNumber}`,
-                                font: "Times New Roman",
-                                size: 24 // 12pt
-                            })
-                        ],
-                        spacing: { after: 100 }
-                    })
-                );
-            });
-
-            // Page break before content
-            sections.push(
-                new Paragraph({
-                    children: [new TextRun({ text: "", break: 1 })],
-                    pageBreakBefore: true
-                })
-            );
-
-            // Main Content
-            this.document.responses.forEach((response, index) => {
-                // H1 - Question/Prompt heading
-                sections.push(
-                    new Paragraph({
-                        children: [
-                            new TextRun({
-                                text: `Question ${response.promptNumber}`,
-                                font: "Aptos Display",
-                                size: 40, // 20pt
-                                bold: true
-                            })
-                        ],
-                        heading: HeadingLevel.HEADING_1,
-                        spacing: { before: 600, after: 200 }
-                    })
-                );
-
-                // H2 - Response heading
-                sections.push(
-                    new Paragraph({
-                        children: [
-                            new TextRun({
-                                text: "Response",
-                                font: "Aptos Display",
-                                size: 32, // 16pt
-                                bold: true
-                            })
-                        ],
-                        heading: HeadingLevel.HEADING_2,
-                        spacing: { before: 400, after: 200 }
-                    })
-                );
-
-                // Response content - split into paragraphs
-                const responseLines = response.responseText.split('\n\n');
-                responseLines.forEach(line => {
-                    if (line.trim()) {
-                        sections.push(
-                            new Paragraph({
-                                children: [
-                                    new TextRun({
-                                        text: line.trim(),
-                                        font: "Times New Roman",
-                                        size: 24 // 12pt for body text
-                                    })
-                                ],
-                                spacing: { after: 200 }
-                            })
-                        );
-                    }
-                });
-
-                // Add spacing between questions
-                if (index < this.document.responses.length - 1) {
-                    sections.push(
-                        new Paragraph({
-                            children: [new TextRun({ text: "" })],
-                            spacing: { after: 400 }
-                        })
-                    );
-                }
-            });
-
-            // Summary section if available
-            if (this.document.summary) {
-                sections.push(
-                    new Paragraph({
-                        children: [new TextRun({ text: "", break: 1 })],
-                        pageBreakBefore: true
-                    })
-                );
-
-                sections.push(
-                    new Paragraph({
-                        children: [
-                            new TextRun({
-                                text: "Summary",
-                                font: "Aptos Display",
-                                size: 40, // 20pt
-                                bold: true
-                            })
-                        ],
-                        heading: HeadingLevel.HEADING_1,
-                        spacing: { before: 400, after: 300 }
-                    })
-                );
-
-                sections.push(
-                    new Paragraph({
-                        children: [
-                            new TextRun({
-                                text: `Total Prompts: ${this.document.summary.total || this.document.responses.length}`,
-                                font: "Aptos Display",
-                                size: 24
-                            })
-                        ],
-                        spacing: { after: 100 }
-                    })
-                );
-
-                if (this.document.summary.successful !== undefined) {
-                    sections.push(
-                        new Paragraph({
-                            children: [
-                                new TextRun({
-                                    text: `Successful: ${this.document.summary.successful}`,
-                                    font: "Aptos Display",
-                                    size: 24
-                                })
-                            ],
-                            spacing: { after: 100 }
-                        })
-                    );
-                }
-
-                if (this.document.summary.successRate) {
-                    sections.push(
-                        new Paragraph({
-                            children: [
-                                new TextRun({
-                                    text: `Success Rate: ${this.document.summary.successRate}%`,
-                                    font: "Aptos Display",
-                                    size: 24
-                                })
-                            ],
-                            spacing: { after: 100 }
-                        })
-                    );
-                }
-            }
-
-            // Create the document
-            const doc = new Document({
-                sections: [{
-                    properties: {},
-                    children: sections
-                }]
-            });
-
-            // FIXED: Generate and download using Blob (browser-compatible)
-            const blob = await Packer.toBlob(doc);
-
-            const url = URL.createObjectURL(blob);
-            // Generate timestamp for fallback filename
-            const now = new Date();
-            const pad2 = n => String(n).padStart(2,'0');
-            const datePart = `${pad2(now.getMonth()+1)}.${pad2(now.getDate())}.${now.getFullYear()}`;
-            const timePart = `${pad2(now.getHours())}.${pad2(now.getMinutes())}.${pad2(now.getSeconds())}`;
-            const safeName = (this.companyName || 'Company').replace(/[^a-zA-Z0-9-_]/g, '');
-            const filename = `${safeName}_${datePart}_${timePart}.docx`;
-
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-
-            console.log('DOCX downloaded successfully:', filename);
-
-            // NEW: Clear document data from memory immediately after successful download
-            this.clearDocumentFromMemory();
-
-        } catch (error) {
-            console.error('Failed to generate DOCX:', error);
-            alert('Failed to generate DOCX file: ' + error.message);
-        }
-    }
 }
 
 
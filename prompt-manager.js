@@ -6,6 +6,8 @@
 class PromptManager {
     constructor() {
         this.prompts = [];
+        this.promptSets = [];
+        this.activePromptSet = null; // The set being edited; its prompts are this.prompts
         this.selectedPrompts = new Set();
         this.draggedItem = null;
         this.dragOverItem = null;
@@ -18,6 +20,16 @@ class PromptManager {
     }
 
     initializeElements() {
+        // Prompt set elements
+        this.promptSetSelect = document.getElementById('promptSetSelect');
+        this.newSetBtn = document.getElementById('newSetBtn');
+        this.duplicateSetBtn = document.getElementById('duplicateSetBtn');
+        this.renameSetBtn = document.getElementById('renameSetBtn');
+        this.deleteSetBtn = document.getElementById('deleteSetBtn');
+        this.titleTemplateInput = document.getElementById('titleTemplateInput');
+        this.reportTemplateSelect = document.getElementById('reportTemplateSelect');
+        this.manageTemplatesBtn = document.getElementById('manageTemplatesBtn');
+
         // Input elements
         this.promptInput = document.getElementById('promptInput');
         this.addPromptBtn = document.getElementById('addPromptBtn');
@@ -44,6 +56,7 @@ class PromptManager {
         this.importSection = document.getElementById('importSection');
         this.exportSection = document.getElementById('exportSection');
         this.fileInput = document.getElementById('fileInput');
+        this.importAsNewSet = document.getElementById('importAsNewSet');
         this.jsonInput = document.getElementById('jsonInput');
         this.exportPreview = document.getElementById('exportPreview');
         this.exportSelected = document.getElementById('exportSelected');
@@ -54,6 +67,15 @@ class PromptManager {
         this.savePhoneBtn = document.getElementById('savePhoneBtn');
         this.testEmailBtn = document.getElementById('testEmailBtn');
 
+        // Selector profile elements
+        this.selectorProfileStatus = document.getElementById('selectorProfileStatus');
+        this.selectorProfileInput = document.getElementById('selectorProfileInput');
+        this.saveSelectorProfileBtn = document.getElementById('saveSelectorProfileBtn');
+        this.importSelectorProfileBtn = document.getElementById('importSelectorProfileBtn');
+        this.exportSelectorProfileBtn = document.getElementById('exportSelectorProfileBtn');
+        this.resetSelectorProfileBtn = document.getElementById('resetSelectorProfileBtn');
+        this.selectorProfileFile = document.getElementById('selectorProfileFile');
+
         // Custom Modal Edit
         this.editModal = document.getElementById('editModal');
         this.editModalClose = document.getElementById('editModalClose');
@@ -73,6 +95,18 @@ class PromptManager {
     }
 
     bindEventListeners() {
+        // Prompt set events
+        this.promptSetSelect.addEventListener('change', () => this.selectPromptSet(this.promptSetSelect.value));
+        this.newSetBtn.addEventListener('click', () => this.createPromptSet());
+        this.duplicateSetBtn.addEventListener('click', () => this.duplicatePromptSet());
+        this.renameSetBtn.addEventListener('click', () => this.renamePromptSet());
+        this.deleteSetBtn.addEventListener('click', () => this.deletePromptSet());
+        this.titleTemplateInput.addEventListener('change', () => this.saveTitleTemplate());
+        this.reportTemplateSelect.addEventListener('change', () => this.saveReportTemplate());
+        this.manageTemplatesBtn.addEventListener('click', () => this.openTemplateEditor());
+        // Templates may have been added or renamed in the template editor tab
+        window.addEventListener('focus', () => this.renderReportTemplates());
+
         // Input events
         this.promptInput.addEventListener('input', () => this.validateInput());
         this.promptInput.addEventListener('keydown', (e) => {
@@ -113,6 +147,13 @@ class PromptManager {
         // Clear log button
         this.clearLogBtn.addEventListener('click', () => this.clearLog());
 
+        // Selector profile
+        this.saveSelectorProfileBtn.addEventListener('click', () => this.saveSelectorProfile());
+        this.importSelectorProfileBtn.addEventListener('click', () => this.selectorProfileFile.click());
+        this.selectorProfileFile.addEventListener('change', (e) => this.importSelectorProfile(e.target.files[0]));
+        this.exportSelectorProfileBtn.addEventListener('click', () => this.exportSelectorProfile());
+        this.resetSelectorProfileBtn.addEventListener('click', () => this.resetSelectorProfile());
+
         // Phone number settings
         if (this.savePhoneBtn) {
             this.savePhoneBtn.addEventListener('click', () => this.savePhoneNumber());
@@ -172,7 +213,12 @@ class PromptManager {
           nickname: `Prompt ${this.prompts.length + 1}`, // Auto-generated nickname
           created: new Date().toISOString(),
           modified: new Date().toISOString(),
-          pauseAfter: false
+          pauseAfter: false,
+          maxWaitMinutes: null, // null = use the global maximum wait
+          dependsOnPrevious: false, // true = never run in parallel with earlier prompts
+          condition: null, // { source, match, value, action: 'run-if'|'jump', jumpTo } tested against an earlier response
+          searchOptions: null, // { mode, model, focus } set on Perplexity before sending; null = keep the page's settings
+          newThread: false // true = start a fresh Perplexity thread before this prompt
         };
 
         this.prompts.push(prompt);
@@ -199,10 +245,12 @@ class PromptManager {
     async deletePrompt(index) {
         if (!confirm('Are you sure you want to delete this prompt?')) return;
 
+        const oldPrompts = this.prompts.slice();
         this.prompts.splice(index, 1);
+        const cleared = this.remapConditions(oldPrompts);
         await this.savePrompts();
         this.renderPrompts();
-        this.showNotification('Prompt deleted successfully', 'info');
+        this.showNotification(this.withClearedConditions('Prompt deleted successfully', cleared), 'info');
     }
 
     async clearSelectedPrompts() {
@@ -215,14 +263,16 @@ class PromptManager {
         const indicesToDelete = Array.from(this.selectedPrompts).sort((a, b) => b - a);
 
         // Delete from highest index to lowest to maintain index integrity
+        const oldPrompts = this.prompts.slice();
         indicesToDelete.forEach(index => {
             this.prompts.splice(index, 1);
         });
+        const cleared = this.remapConditions(oldPrompts);
 
         this.selectedPrompts.clear();
         await this.savePrompts();
         this.renderPrompts();
-        this.showNotification(`${count} prompt(s) deleted successfully`, 'info');
+        this.showNotification(this.withClearedConditions(`${count} prompt(s) deleted successfully`, cleared), 'info');
     }
 
     async clearAllPrompts() {
@@ -368,10 +418,12 @@ class PromptManager {
         if (fromIndex === toIndex) return;
 
         // Remove the item from its current position
+        const oldPrompts = this.prompts.slice();
         const [movedPrompt] = this.prompts.splice(fromIndex, 1);
 
         // Insert it at the new position
         this.prompts.splice(toIndex, 0, movedPrompt);
+        const cleared = this.remapConditions(oldPrompts);
 
         // Update selected indices
         const newSelectedPrompts = new Set();
@@ -397,7 +449,44 @@ class PromptManager {
 
         await this.savePrompts();
         this.renderPrompts();
-        this.showNotification('Prompt reordered successfully', 'success');
+        this.showNotification(this.withClearedConditions('Prompt reordered successfully', cleared), cleared ? 'warning' : 'success');
+    }
+
+    // Conditions refer to prompts by number; renumber them so they follow their prompts after a delete or move.
+    // A condition whose source is gone or no longer earlier, or whose jump no longer goes forward, is cleared.
+    remapConditions(oldPrompts) {
+        const newNumbers = new Map(this.prompts.map((prompt, index) => [prompt, index + 1]));
+        const end = this.prompts.length + 1;
+
+        // A jump to a deleted prompt lands on the next prompt that is still there
+        const jumpNumber = (oldNumber) => {
+            for (let number = oldNumber; number <= oldPrompts.length; number++) {
+                if (newNumbers.has(oldPrompts[number - 1])) {
+                    return newNumbers.get(oldPrompts[number - 1]);
+                }
+            }
+            return end;
+        };
+
+        let cleared = 0;
+        this.prompts.forEach((prompt, index) => {
+            const condition = prompt.condition;
+            if (!condition) return;
+
+            const source = newNumbers.get(oldPrompts[condition.source - 1]);
+            const jumpTo = condition.action === 'jump' ? jumpNumber(condition.jumpTo) : null;
+            if (!source || source > index || (jumpTo !== null && jumpTo <= index + 1)) {
+                prompt.condition = null;
+                cleared++;
+            } else if (source !== condition.source || jumpTo !== condition.jumpTo) {
+                prompt.condition = { ...condition, source, jumpTo };
+            }
+        });
+        return cleared;
+    }
+
+    withClearedConditions(message, cleared) {
+        return cleared ? `${message} - ${cleared} condition(s) no longer fit and were removed` : message;
     }
 
     // Import/Export functionality
@@ -455,12 +544,13 @@ class PromptManager {
         try {
             const data = JSON.parse(jsonText);
 
-            // Validate data structure
-            if (!Array.isArray(data)) {
-                throw new Error('Invalid format: Expected an array of prompts');
+            // A prompt set export ({ name, titleTemplate, prompts }) or a plain array of prompts
+            const items = Array.isArray(data) ? data : data && data.prompts;
+            if (!Array.isArray(items)) {
+                throw new Error('Invalid format: Expected a prompt set or an array of prompts');
             }
 
-            const validPrompts = data.filter(item => {
+            const validPrompts = items.filter(item => {
                 return typeof item === 'object' &&
                        typeof item.text === 'string' &&
                        item.text.trim().length > 0;
@@ -470,16 +560,32 @@ class PromptManager {
                 throw new Error('No valid prompts found in the data');
             }
 
+            if (this.importAsNewSet.checked) {
+                const setName = (!Array.isArray(data) && data.name) || 'Imported Set';
+                const set = PromptSetStore.createSet(this.getUniqueSetName(setName), {
+                    titleTemplate: !Array.isArray(data) ? data.titleTemplate : null,
+                    variableValues: !Array.isArray(data) ? data.variableValues : null
+                });
+                await PromptSetStore.addSet(set);
+                await this.loadPrompts();
+            }
+
             // Add imported prompts
             const importedCount = validPrompts.length;
+            const startCount = this.prompts.length;
             validPrompts.forEach((promptData, index) => {
                 const prompt = {
                     id: Date.now() + Math.random(),
                     text: promptData.text.trim(),
-                    nickname: promptData.nickname || `Prompt ${this.prompts.length + index + 1}`,
+                    nickname: promptData.nickname || `Prompt ${startCount + index + 1}`,
                     created: promptData.created || new Date().toISOString(),
                     modified: new Date().toISOString(),
-                    pauseAfter: promptData.pauseAfter || false
+                    pauseAfter: promptData.pauseAfter || false,
+                    maxWaitMinutes: promptData.maxWaitMinutes || null,
+                    dependsOnPrevious: promptData.dependsOnPrevious || false,
+                    condition: promptData.condition || null,
+                    searchOptions: promptData.searchOptions || null,
+                    newThread: promptData.newThread || false
                 };
                 this.prompts.push(prompt);
             });
@@ -487,7 +593,7 @@ class PromptManager {
             await this.savePrompts();
             this.renderPrompts();
             this.hideModal();
-            this.showNotification(`Successfully imported ${importedCount} prompt(s)`, 'success');
+            this.showNotification(`Successfully imported ${importedCount} prompt(s) into "${this.activePromptSet.name}"`, 'success');
 
         } catch (error) {
             this.showNotification(`Import failed: ${error.message}`, 'error');
@@ -509,7 +615,12 @@ class PromptManager {
             const data = {
                 text: prompt.text,
                 nickname: prompt.nickname,
-                pauseAfter: prompt.pauseAfter
+                pauseAfter: prompt.pauseAfter,
+                maxWaitMinutes: prompt.maxWaitMinutes,
+                dependsOnPrevious: prompt.dependsOnPrevious,
+                condition: prompt.condition,
+                searchOptions: prompt.searchOptions,
+                newThread: prompt.newThread
             };
             if (includeMetadata) {
                 data.created = prompt.created;
@@ -519,7 +630,13 @@ class PromptManager {
             return data;
         });
 
-        this.exportPreview.value = JSON.stringify(exportData, null, 2);
+        // Export the whole set so it can be imported as a set elsewhere
+        this.exportPreview.value = JSON.stringify({
+            name: this.activePromptSet.name,
+            titleTemplate: this.activePromptSet.titleTemplate,
+            variableValues: this.activePromptSet.variableValues,
+            prompts: exportData
+        }, null, 2);
     }
 
     handleExport() {
@@ -533,7 +650,8 @@ class PromptManager {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `perplexity-prompts-${new Date().toISOString().split('T')[0]}.json`;
+        const safeSetName = this.activePromptSet.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+        a.download = `perplexity-prompts-${safeSetName || 'set'}-${new Date().toISOString().split('T')[0]}.json`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -546,9 +664,10 @@ class PromptManager {
     // Storage operations
     async savePrompts() {
         try {
-            // Convert prompts to the format expected by the popup
-            const promptsForStorage = this.prompts;
-            await browser.storage.local.set({ prompts: promptsForStorage });
+            // Prompts belong to the set being edited
+            await PromptSetStore.updateSet(this.activePromptSet.id, { prompts: this.prompts });
+            this.activePromptSet.prompts = this.prompts;
+            this.renderPromptSets();
         } catch (error) {
             console.error('Failed to save prompts:', error);
             this.showNotification('Failed to save prompts', 'error');
@@ -557,8 +676,12 @@ class PromptManager {
 
     async loadPrompts() {
         try {
-            const result = await browser.storage.local.get(['prompts']);
-            const storedPrompts = result.prompts || [];
+            const { sets, activeSet } = await PromptSetStore.load();
+            this.promptSets = sets;
+            this.activePromptSet = activeSet;
+            this.renderPromptSets();
+
+            const storedPrompts = activeSet.prompts || [];
             // Load stored prompts (with pauseAfter) or initialize defaults
             this.prompts = storedPrompts.map((p, index) => ({
               id: p.id || Date.now() + index,
@@ -566,10 +689,17 @@ class PromptManager {
               nickname: p.nickname || `Prompt ${index + 1}`, // Auto-generate nickname if missing
               created: p.created || new Date().toISOString(),
               modified: p.modified || new Date().toISOString(),
-              pauseAfter: p.pauseAfter || false
+              pauseAfter: p.pauseAfter || false,
+              maxWaitMinutes: p.maxWaitMinutes || null,
+              dependsOnPrevious: p.dependsOnPrevious || false,
+              condition: p.condition || null,
+              searchOptions: p.searchOptions || null,
+              newThread: p.newThread || false
             }));
 
+            this.selectedPrompts.clear();
             this.renderPrompts();
+            this.updateSelectionUI();
         } catch (error) {
             console.error('Failed to load prompts:', error);
             this.showNotification('Failed to load prompts', 'error');
@@ -577,6 +707,115 @@ class PromptManager {
 
         // Load phone number after prompts
         this.loadPhoneNumber();
+        this.loadSelectorProfile();
+    }
+
+    // Prompt Set Management
+    renderPromptSets() {
+        this.promptSetSelect.innerHTML = '';
+        this.promptSets.forEach(set => {
+            const option = document.createElement('option');
+            option.value = set.id;
+            option.textContent = `${set.name} (${set.prompts.length} prompts)`;
+            option.selected = set.id === this.activePromptSet.id;
+            this.promptSetSelect.appendChild(option);
+        });
+        this.titleTemplateInput.value = this.activePromptSet.titleTemplate || '';
+        this.deleteSetBtn.disabled = this.promptSets.length <= 1;
+        this.renderReportTemplates();
+    }
+
+    async renderReportTemplates() {
+        try {
+            const templates = await ReportTemplateStore.load();
+            const selectedId = this.activePromptSet.reportTemplateId || ReportTemplateStore.BUILT_IN_ID;
+            this.reportTemplateSelect.innerHTML = '';
+            [ReportTemplateStore.DEFAULT_TEMPLATE, ...templates].forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                option.selected = template.id === selectedId;
+                this.reportTemplateSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to load report templates:', error);
+        }
+    }
+
+    async saveReportTemplate() {
+        const templateId = this.reportTemplateSelect.value;
+        const reportTemplateId = templateId === ReportTemplateStore.BUILT_IN_ID ? null : templateId;
+        this.activePromptSet = await PromptSetStore.updateSet(this.activePromptSet.id, { reportTemplateId });
+        this.showNotification('Report template saved', 'success');
+    }
+
+    openTemplateEditor() {
+        const url = browser.runtime.getURL('report-template-editor.html');
+        browser.tabs.create({ url: url }).catch(error => {
+            console.error('Failed to open report templates:', error);
+            this.showNotification('Failed to open report templates', 'error');
+        });
+    }
+
+    getUniqueSetName(name) {
+        const names = new Set(this.promptSets.map(set => set.name.toLowerCase()));
+        let candidate = name;
+        for (let i = 2; names.has(candidate.toLowerCase()); i++) {
+            candidate = `${name} (${i})`;
+        }
+        return candidate;
+    }
+
+    async selectPromptSet(setId) {
+        await PromptSetStore.setActive(setId);
+        await this.loadPrompts();
+    }
+
+    async createPromptSet() {
+        const name = prompt('Name of the new prompt set:');
+        if (name === null || !name.trim()) return;
+
+        await PromptSetStore.addSet(PromptSetStore.createSet(this.getUniqueSetName(name.trim())));
+        await this.loadPrompts();
+        this.showNotification(`Prompt set "${this.activePromptSet.name}" created`, 'success');
+    }
+
+    async duplicatePromptSet() {
+        const name = prompt('Name of the copy:', `${this.activePromptSet.name} (copy)`);
+        if (name === null || !name.trim()) return;
+
+        await PromptSetStore.duplicateSet(this.activePromptSet.id, this.getUniqueSetName(name.trim()));
+        await this.loadPrompts();
+        this.showNotification(`Prompt set duplicated as "${this.activePromptSet.name}"`, 'success');
+    }
+
+    async renamePromptSet() {
+        const name = prompt('New name for this prompt set:', this.activePromptSet.name);
+        if (name === null || !name.trim() || name.trim() === this.activePromptSet.name) return;
+
+        await PromptSetStore.updateSet(this.activePromptSet.id, { name: this.getUniqueSetName(name.trim()) });
+        await this.loadPrompts();
+        this.showNotification('Prompt set renamed', 'success');
+    }
+
+    async deletePromptSet() {
+        const set = this.activePromptSet;
+        if (!confirm(`Delete the prompt set "${set.name}" and its ${set.prompts.length} prompts? This action cannot be undone.`)) return;
+
+        try {
+            await PromptSetStore.deleteSet(set.id);
+            await this.loadPrompts();
+            this.showNotification(`Prompt set "${set.name}" deleted`, 'info');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async saveTitleTemplate() {
+        const titleTemplate = this.titleTemplateInput.value.trim() || PromptSetStore.DEFAULT_TITLE_TEMPLATE;
+        this.titleTemplateInput.value = titleTemplate;
+        this.activePromptSet = await PromptSetStore.updateSet(this.activePromptSet.id, { titleTemplate });
+        this.showNotification('Document title saved', 'success');
     }
 
     // Phone Number Management
@@ -611,6 +850,81 @@ class PromptManager {
         }
     }
 
+    // Selector Profile Management
+    async loadSelectorProfile() {
+        try {
+            const result = await browser.storage.local.get(SelectorProfileStore.STORAGE_KEY);
+            const isCustom = !!result[SelectorProfileStore.STORAGE_KEY];
+            this.showSelectorProfile(await SelectorProfileStore.load(), isCustom);
+        } catch (error) {
+            console.error('Failed to load selector profile:', error);
+            this.showNotification('Failed to load selector profile', 'error');
+        }
+    }
+
+    showSelectorProfile(profile, isCustom) {
+        this.selectorProfileInput.value = JSON.stringify(profile, null, 2);
+        this.selectorProfileStatus.textContent = isCustom
+            ? `Custom profile "${profile.name}", revision ${profile.revision}`
+            : `Built-in selectors, revision ${profile.revision}`;
+        this.resetSelectorProfileBtn.disabled = !isCustom;
+    }
+
+    /**
+     * Validate and save a profile
+     * @param {string} json Profile JSON (defaults to the editor contents)
+     */
+    async saveSelectorProfile(json = this.selectorProfileInput.value) {
+        let profile;
+        try {
+            profile = JSON.parse(json);
+        } catch (error) {
+            this.showNotification(`Invalid JSON: ${error.message}`, 'error');
+            return;
+        }
+
+        try {
+            const saved = await SelectorProfileStore.save(profile);
+            this.showSelectorProfile(saved, true);
+            this.showNotification(`Selector profile "${saved.name}" saved`, 'success');
+        } catch (error) {
+            this.showNotification(`Profile not saved: ${error.message}`, 'error');
+        }
+    }
+
+    importSelectorProfile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => this.saveSelectorProfile(reader.result);
+        reader.onerror = () => this.showNotification('Failed to read the file', 'error');
+        reader.readAsText(file);
+        this.selectorProfileFile.value = ''; // Allow importing the same file again
+    }
+
+    async exportSelectorProfile() {
+        const profile = await SelectorProfileStore.load();
+        const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const safeName = profile.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+        a.download = `perplexity-selectors-${safeName || 'profile'}-r${profile.revision}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    async resetSelectorProfile() {
+        if (!confirm('Discard the custom selector profile and use the built-in selectors?')) {
+            return;
+        }
+        await SelectorProfileStore.reset();
+        this.showSelectorProfile(SelectorProfileStore.DEFAULT_PROFILE, false);
+        this.showNotification('Using the built-in selectors', 'info');
+    }
+
     async testEmail() {
         try {
             const phoneNumber = this.phoneNumberInput.value.trim();
@@ -686,15 +1000,40 @@ class PromptManager {
           </div>
           <span class="prompt-preview">${promptObj.text}</span>
           <div class="prompt-actions">
+            <button class="btn btn-text btn-condition ${promptObj.condition ? 'btn-condition--active' : ''}"
+                    title="${promptObj.condition ? this.escapeHtml(this.describePromptCondition(promptObj.condition)).replace(/"/g, '&quot;') : 'Add a condition'}">🔀</button>
+            <button class="btn btn-text btn-search-options ${promptObj.searchOptions ? 'btn-search-options--active' : ''}"
+                    title="${promptObj.searchOptions ? this.escapeHtml(this.describeSearchOptions(promptObj.searchOptions)).replace(/"/g, '&quot;') : 'Choose mode, model and focus'}">🔎</button>
             <button class="btn btn-text btn-edit" title="Edit prompt">✏️</button>
             <button class="btn btn-text btn-delete" title="Delete prompt">🗑️</button>
             <label class="setting-label">
               <input type="checkbox" class="pause-after-checkbox" data-index="${index}" ${promptObj.pauseAfter ? 'checked' : ''}>
               <span>Pause After</span>
             </label>
+            <label class="setting-label" title="Wait for all earlier prompts when running in parallel tabs ({{response:N}} references do this automatically)">
+              <input type="checkbox" class="depends-checkbox" data-index="${index}" ${promptObj.dependsOnPrevious ? 'checked' : ''}>
+              <span>Needs earlier answers</span>
+            </label>
+            <label class="setting-label" title="Start a fresh Perplexity thread before this prompt instead of continuing the current one">
+              <input type="checkbox" class="new-thread-checkbox" data-index="${index}" ${promptObj.newThread ? 'checked' : ''}>
+              <span>New thread</span>
+            </label>
+            <label class="setting-label" title="Give up on this prompt after this many minutes (empty = global setting)">
+              <span>Max wait</span>
+              <input type="number" class="max-wait-input" data-index="${index}" min="1" step="1" placeholder="default" value="${promptObj.maxWaitMinutes || ''}">
+              <span>min</span>
+            </label>
           </div>`;
         item.appendChild(header);
 
+        // Condition editor (hidden until the 🔀 button is clicked)
+        const conditionRow = this.createConditionEditor(promptObj, index);
+        item.appendChild(conditionRow);
+
+        // Mode/model/focus editor (hidden until the 🔎 button is clicked)
+        const searchOptionsRow = this.createSearchOptionsEditor(promptObj, index);
+        item.appendChild(searchOptionsRow);
+
         // Optional: Expanded content (hidden by default)
         const content = document.createElement('div');
         content.className = 'prompt-content';
@@ -712,6 +1051,16 @@ class PromptManager {
           this.deletePrompt(index);
         });
 
+        // Condition button
+        header.querySelector('.btn-condition').addEventListener('click', () => {
+          conditionRow.classList.toggle('hidden');
+        });
+
+        // Search options button
+        header.querySelector('.btn-search-options').addEventListener('click', () => {
+          searchOptionsRow.classList.toggle('hidden');
+        });
+
         // 6. Setup drag-and-drop (existing method)
         this.setupDragAndDrop(item, index);
 
@@ -725,6 +1074,32 @@ class PromptManager {
           this.savePrompts();
         });
 
+        // Bind sequential toggle for parallel runs
+        const dependsCheckbox = item.querySelector('.depends-checkbox');
+        dependsCheckbox.addEventListener('change', () => {
+          this.prompts[index].dependsOnPrevious = dependsCheckbox.checked;
+          this.prompts[index].modified = new Date().toISOString();
+          this.savePrompts();
+        });
+
+        // Bind new-thread toggle
+        const newThreadCheckbox = item.querySelector('.new-thread-checkbox');
+        newThreadCheckbox.addEventListener('change', () => {
+          this.prompts[index].newThread = newThreadCheckbox.checked;
+          this.prompts[index].modified = new Date().toISOString();
+          this.savePrompts();
+        });
+
+        // Bind per-prompt maximum wait
+        const maxWaitInput = item.querySelector('.max-wait-input');
+        maxWaitInput.addEventListener('change', () => {
+          const minutes = parseInt(maxWaitInput.value, 10);
+          this.prompts[index].maxWaitMinutes = minutes > 0 ? minutes : null;
+          maxWaitInput.value = this.prompts[index].maxWaitMinutes || '';
+          this.prompts[index].modified = new Date().toISOString();
+          this.savePrompts();
+        });
+
         // Bind nickname editing
         const nicknameInput = item.querySelector('.prompt-nickname-input');
         nicknameInput.addEventListener('blur', () => {
@@ -804,6 +1179,158 @@ class PromptManager {
         });
     }
 
+    // Conditional prompts: run only if an earlier response matches, or jump ahead when it does
+    createConditionEditor(promptObj, index) {
+        const condition = promptObj.condition || {};
+        const row = document.createElement('div');
+        row.className = `prompt-condition${promptObj.condition ? '' : ' hidden'}`;
+        row.innerHTML = `
+          <select class="condition-action">
+            <option value="">Always run</option>
+            <option value="run-if" ${condition.action === 'run-if' ? 'selected' : ''}>Run only if</option>
+            <option value="jump" ${condition.action === 'jump' ? 'selected' : ''}>Skip to prompt</option>
+          </select>
+          <input type="number" class="condition-jump" min="${index + 2}" max="${this.prompts.length + 1}"
+                 placeholder="#" value="${condition.jumpTo || ''}" title="${this.prompts.length + 1} = skip to the end">
+          <span class="condition-jump-label">if</span>
+          <span>response</span>
+          <input type="number" class="condition-source" min="1" max="${index}" placeholder="#" value="${condition.source || ''}">
+          <select class="condition-match">
+            <option value="contains" ${condition.match === 'contains' ? 'selected' : ''}>mentions</option>
+            <option value="not-contains" ${condition.match === 'not-contains' ? 'selected' : ''}>does not mention</option>
+            <option value="regex" ${condition.match === 'regex' ? 'selected' : ''}>matches regex</option>
+          </select>
+          <input type="text" class="condition-value" placeholder="publicly traded" value="${this.escapeHtml(condition.value || '').replace(/"/g, '&quot;')}">`;
+
+        const updateVisibility = () => {
+            const action = row.querySelector('.condition-action').value;
+            row.querySelectorAll('.condition-source, .condition-match, .condition-value, span').forEach(el => {
+                el.style.display = action ? '' : 'none';
+            });
+            row.querySelectorAll('.condition-jump, .condition-jump-label').forEach(el => {
+                el.style.display = action === 'jump' ? '' : 'none';
+            });
+        };
+        updateVisibility();
+
+        row.querySelectorAll('select, input').forEach(el => {
+            el.addEventListener('change', () => {
+                updateVisibility();
+                this.saveCondition(index, row);
+            });
+        });
+        return row;
+    }
+
+    async saveCondition(index, row) {
+        const action = row.querySelector('.condition-action').value;
+        if (!action) {
+            if (this.prompts[index].condition) {
+                this.prompts[index].condition = null;
+                this.prompts[index].modified = new Date().toISOString();
+                await this.savePrompts();
+                this.renderPrompts();
+            }
+            return;
+        }
+
+        const condition = {
+            action: action,
+            source: parseInt(row.querySelector('.condition-source').value, 10),
+            match: row.querySelector('.condition-match').value,
+            value: row.querySelector('.condition-value').value.trim(),
+            jumpTo: action === 'jump' ? parseInt(row.querySelector('.condition-jump').value, 10) : null
+        };
+
+        // Wait until the row is complete before validating
+        if (!condition.source || !condition.value || (action === 'jump' && !condition.jumpTo)) {
+            return;
+        }
+        if (condition.source > index) {
+            this.showNotification('A condition can only test an earlier response', 'error');
+            return;
+        }
+        if (action === 'jump' && (condition.jumpTo <= index + 1 || condition.jumpTo > this.prompts.length + 1)) {
+            this.showNotification(`Jump to a later prompt (up to ${this.prompts.length + 1} for the end)`, 'error');
+            return;
+        }
+        if (condition.match === 'regex') {
+            try {
+                new RegExp(condition.value, 'i');
+            } catch (error) {
+                this.showNotification(`Invalid regex: ${error.message}`, 'error');
+                return;
+            }
+        }
+
+        this.prompts[index].condition = condition;
+        this.prompts[index].modified = new Date().toISOString();
+        await this.savePrompts();
+        this.renderPrompts();
+        this.showNotification('Condition saved', 'success');
+    }
+
+    // Perplexity search mode, model and focus to select before this prompt is sent
+    createSearchOptionsEditor(promptObj, index) {
+        const options = promptObj.searchOptions || {};
+        const row = document.createElement('div');
+        row.className = `prompt-search-options${promptObj.searchOptions ? '' : ' hidden'}`;
+        row.innerHTML = `
+          <span>Mode</span>
+          <select class="search-mode">
+            <option value="">Keep current</option>
+            <option value="search" ${options.mode === 'search' ? 'selected' : ''}>Quick search</option>
+            <option value="research" ${options.mode === 'research' ? 'selected' : ''}>Research</option>
+            <option value="labs" ${options.mode === 'labs' ? 'selected' : ''}>Labs</option>
+          </select>
+          <span>Model</span>
+          <input type="text" class="search-model" list="searchModelSuggestions" placeholder="Keep current"
+                 value="${this.escapeHtml(options.model || '').replace(/"/g, '&quot;')}">
+          <span>Focus</span>
+          <select class="search-focus">
+            <option value="">Keep current</option>
+            <option value="web" ${options.focus === 'web' ? 'selected' : ''}>Web</option>
+            <option value="academic" ${options.focus === 'academic' ? 'selected' : ''}>Academic</option>
+            <option value="finance" ${options.focus === 'finance' ? 'selected' : ''}>Finance</option>
+            <option value="social" ${options.focus === 'social' ? 'selected' : ''}>Social</option>
+          </select>`;
+
+        row.querySelectorAll('select, input').forEach(el => {
+            el.addEventListener('change', () => this.saveSearchOptions(index, row));
+        });
+        return row;
+    }
+
+    async saveSearchOptions(index, row) {
+        const searchOptions = {
+            mode: row.querySelector('.search-mode').value,
+            model: row.querySelector('.search-model').value.trim(),
+            focus: row.querySelector('.search-focus').value
+        };
+        const isSet = searchOptions.mode || searchOptions.model || searchOptions.focus;
+
+        this.prompts[index].searchOptions = isSet ? searchOptions : null;
+        this.prompts[index].modified = new Date().toISOString();
+        await this.savePrompts();
+
+        const button = row.parentElement.querySelector('.btn-search-options');
+        button.classList.toggle('btn-search-options--active', !!isSet);
+        button.title = isSet ? this.describeSearchOptions(searchOptions) : 'Choose mode, model and focus';
+    }
+
+    describeSearchOptions(searchOptions) {
+        const parts = [];
+        if (searchOptions.mode) parts.push(`${searchOptions.mode} mode`);
+        if (searchOptions.model) parts.push(`model ${searchOptions.model}`);
+        if (searchOptions.focus) parts.push(`${searchOptions.focus} focus`);
+        return `Uses ${parts.join(', ')}`;
+    }
+
+    describePromptCondition(condition) {
+        const test = TemplateEngine.describeCondition(condition);
+        return condition.action === 'jump' ? `Skip to prompt ${condition.jumpTo} if ${test}` : `Run only if ${test}`;
+    }
+
     updatePromptCount() {
         const count = this.prompts.length;
         this.promptCount.textContent = `${count} prompt${count !== 1 ? 's' : ''}`;
@@ -1051,6 +1578,8 @@ class PromptManager {
                 this.currentPrompt.textContent = `Failed prompt ${current}/${total}`;
             }
             this.logMessage(`❌ Prompt ${current} failed: ${data.error || 'Unknown error'}`);
+        } else if (data.status === 'skipped') {
+            this.logMessage(`⤼ Prompt ${current} skipped: ${data.error}`);
         } else if (data.status === 'retrying') {
             if (this.currentPrompt) {
                 this.currentPrompt.textContent = `Retrying prompt ${current}/${total} (${data.retryCount}/${data.maxRetries})`;
@@ -1067,7 +1596,7 @@ class PromptManager {
         this.logMessage(`🎉 Automation completed! Processed ${data.completed}/${data.total} prompts`);
 
         if (data.summary) {
-            this.logMessage(`📊 Success rate: ${data.summary.successRate}% (${data.summary.successful} successful, ${data.summary.failed} failed)`);
+            this.logMessage(`📊 Success rate: ${data.summary.successRate}% (${data.summary.successful} successful, ${data.summary.failed} failed, ${data.summary.skipped || 0} skipped)`);
         }
     }
 
@@ -0,0 +1,149 @@
+/**
+ * Perplexity AI Automator - Prompt Sets
+ * Named prompt sets (playbooks), each with its own prompts, document title template, variable values and
+ * report template (see report-templates.js).
+ * Stored under "promptSets" with the selected set id in "activePromptSetId". The flat "prompts" and
+ * "templateVariableValues" keys of older versions are migrated into a "Default" set on first load.
+ */
+
+class PromptSetStore {
+    static get DEFAULT_TITLE_TEMPLATE() {
+        return 'Business Analyses for {{company}}';
+    }
+
+    /**
+     * Build a new, unsaved prompt set
+     * @param {string} name Display name
+     * @param {Object} fields Optional prompts, titleTemplate, variableValues and reportTemplateId
+     * @returns {Object} Prompt set
+     */
+    static createSet(name, fields = {}) {
+        const now = new Date().toISOString();
+        return {
+            id: `set_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            name: String(name || '').trim() || 'Untitled Set',
+            prompts: fields.prompts || [],
+            titleTemplate: fields.titleTemplate || PromptSetStore.DEFAULT_TITLE_TEMPLATE,
+            variableValues: fields.variableValues || {},
+            reportTemplateId: fields.reportTemplateId || null, // null = built-in report template
+            created: now,
+            modified: now
+        };
+    }
+
+    /**
+     * Load every set and the selected one, migrating the legacy flat prompt list if needed
+     * @returns {Promise<{sets: Array<Object>, activeSet: Object}>}
+     */
+    static async load() {
+        const result = await browser.storage.local.get(['promptSets', 'activePromptSetId', 'prompts', 'templateVariableValues']);
+        let sets = result.promptSets;
+        let activeId = result.activePromptSetId;
+
+        if (!Array.isArray(sets) || sets.length === 0) {
+            const defaultSet = PromptSetStore.createSet('Default', {
+                prompts: result.prompts || [],
+                variableValues: result.templateVariableValues || {}
+            });
+            sets = [defaultSet];
+            activeId = defaultSet.id;
+            await browser.storage.local.set({ promptSets: sets, activePromptSetId: activeId });
+            await browser.storage.local.remove(['prompts', 'templateVariableValues']);
+        }
+
+        const activeSet = sets.find(set => set.id === activeId) || sets[0];
+        return { sets, activeSet };
+    }
+
+    /**
+     * Find one set, falling back to the selected set when the id is unknown (e.g. deleted)
+     * @param {string|null} setId Set id
+     * @returns {Promise<Object>} Prompt set
+     */
+    static async getSet(setId = null) {
+        const { sets, activeSet } = await PromptSetStore.load();
+        return sets.find(set => set.id === setId) || activeSet;
+    }
+
+    static async saveSets(sets) {
+        await browser.storage.local.set({ promptSets: sets });
+    }
+
+    static async setActive(setId) {
+        await browser.storage.local.set({ activePromptSetId: setId });
+    }
+
+    /**
+     * Merge changes into one set and save it
+     * @param {string} setId Set id
+     * @param {Object} updates Fields to change (prompts, name, titleTemplate, variableValues, reportTemplateId)
+     * @returns {Promise<Object|null>} Updated set, or null if it no longer exists
+     */
+    static async updateSet(setId, updates) {
+        const { sets } = await PromptSetStore.load();
+        const set = sets.find(s => s.id === setId);
+        if (!set) {
+            return null;
+        }
+        Object.assign(set, updates, { modified: new Date().toISOString() });
+        await PromptSetStore.saveSets(sets);
+        return set;
+    }
+
+    /**
+     * Add a set and select it
+     * @param {Object} set Set from createSet()
+     */
+    static async addSet(set) {
+        const { sets } = await PromptSetStore.load();
+        sets.push(set);
+        await PromptSetStore.saveSets(sets);
+        await PromptSetStore.setActive(set.id);
+        return set;
+    }
+
+    static async duplicateSet(setId, name) {
+        const source = await PromptSetStore.getSet(setId);
+        const copy = PromptSetStore.createSet(name, JSON.parse(JSON.stringify({
+            prompts: source.prompts,
+            titleTemplate: source.titleTemplate,
+            variableValues: source.variableValues,
+            reportTemplateId: source.reportTemplateId
+        })));
+        return PromptSetStore.addSet(copy);
+    }
+
+    /**
+     * Delete a set; the last remaining set cannot be deleted
+     * @param {string} setId Set id
+     */
+    static async deleteSet(setId) {
+        const { sets, activeSet } = await PromptSetStore.load();
+        if (sets.length <= 1) {
+            throw new Error('At least one prompt set is required');
+        }
+
+        const remaining = sets.filter(set => set.id !== setId);
+        await PromptSetStore.saveSets(remaining);
+        if (activeSet.id === setId) {
+            await PromptSetStore.setActive(remaining[0].id);
+        }
+    }
+
+    /**
+     * Render a set's document title for one company
+     * @param {Object} set Prompt set
+     * @param {Object} values Variable values, including company
+     * @returns {string} Document title
+     */
+    static renderTitle(set, values) {
+        return TemplateEngine.render(set.titleTemplate || PromptSetStore.DEFAULT_TITLE_TEMPLATE, values).trim();
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptSetStore;
+} else if (typeof window !== 'undefined') {
+    window.PromptSetStore = PromptSetStore;
+}
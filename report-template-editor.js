@@ -0,0 +1,283 @@
+/**
+ * Report Templates - Create, edit and remove the branding presets used for DOCX reports
+ * Templates are stored by ReportTemplateStore; each prompt set picks one in the prompt manager
+ */
+
+class ReportTemplateEditor {
+    constructor() {
+        this.templates = [];
+        this.promptSets = [];
+        this.editingId = null; // null = creating a new template
+        this.logoDataUrl = null; // Logo of the template being edited (null = extension logo)
+
+        this.initializeElements();
+        this.bindEventListeners();
+        this.resetEditor();
+        this.loadTemplates();
+    }
+
+    initializeElements() {
+        this.backBtn = document.getElementById('backBtn');
+        this.editorTitle = document.getElementById('editorTitle');
+        this.templateNameInput = document.getElementById('templateNameInput');
+        this.logoPreview = document.getElementById('logoPreview');
+        this.logoFileInput = document.getElementById('logoFileInput');
+        this.uploadLogoBtn = document.getElementById('uploadLogoBtn');
+        this.removeLogoBtn = document.getElementById('removeLogoBtn');
+        this.showLogoCheckbox = document.getElementById('showLogoCheckbox');
+        this.titleFontInput = document.getElementById('titleFontInput');
+        this.headingFontInput = document.getElementById('headingFontInput');
+        this.bodyFontInput = document.getElementById('bodyFontInput');
+        this.headingColorInput = document.getElementById('headingColorInput');
+        this.textColorInput = document.getElementById('textColorInput');
+        this.marginInputs = {
+            top: document.getElementById('marginTopInput'),
+            right: document.getElementById('marginRightInput'),
+            bottom: document.getElementById('marginBottomInput'),
+            left: document.getElementById('marginLeftInput')
+        };
+        this.coverTextInput = document.getElementById('coverTextInput');
+        this.noticeInput = document.getElementById('noticeInput');
+        this.headerTextInput = document.getElementById('headerTextInput');
+        this.footerTextInput = document.getElementById('footerTextInput');
+        this.pageNumbersCheckbox = document.getElementById('pageNumbersCheckbox');
+        this.saveTemplateBtn = document.getElementById('saveTemplateBtn');
+        this.cancelEditBtn = document.getElementById('cancelEditBtn');
+        this.templateCount = document.getElementById('templateCount');
+        this.templatesList = document.getElementById('templatesList');
+    }
+
+    bindEventListeners() {
+        this.backBtn.addEventListener('click', () => window.close());
+        this.uploadLogoBtn.addEventListener('click', () => this.logoFileInput.click());
+        this.logoFileInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.uploadLogo(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.removeLogoBtn.addEventListener('click', () => this.setLogo(null));
+        this.saveTemplateBtn.addEventListener('click', () => this.saveTemplate());
+        this.cancelEditBtn.addEventListener('click', () => this.resetEditor());
+    }
+
+    async loadTemplates() {
+        try {
+            this.templates = await ReportTemplateStore.load();
+            const { sets } = await PromptSetStore.load();
+            this.promptSets = sets;
+            this.renderTemplates();
+        } catch (error) {
+            console.error('Failed to load report templates:', error);
+            this.showNotification('Failed to load report templates', 'error');
+        }
+    }
+
+    fillEditor(template) {
+        this.templateNameInput.value = template.name;
+        this.setLogo(template.logoDataUrl);
+        this.showLogoCheckbox.checked = template.showLogo;
+        this.titleFontInput.value = template.titleFont;
+        this.headingFontInput.value = template.headingFont;
+        this.bodyFontInput.value = template.bodyFont;
+        this.headingColorInput.value = template.headingColor.toLowerCase();
+        this.textColorInput.value = template.textColor.toLowerCase();
+        Object.entries(this.marginInputs).forEach(([side, input]) => {
+            input.value = template.margins[side];
+        });
+        this.coverTextInput.value = template.coverText;
+        this.noticeInput.value = template.confidentialityNotice;
+        this.headerTextInput.value = template.headerText;
+        this.footerTextInput.value = template.footerText;
+        this.pageNumbersCheckbox.checked = template.pageNumbers;
+    }
+
+    getEditorValues() {
+        const margins = {};
+        Object.entries(this.marginInputs).forEach(([side, input]) => {
+            margins[side] = parseFloat(input.value) || 0;
+        });
+        return {
+            name: this.templateNameInput.value.trim(),
+            logoDataUrl: this.logoDataUrl,
+            showLogo: this.showLogoCheckbox.checked,
+            titleFont: this.titleFontInput.value,
+            headingFont: this.headingFontInput.value,
+            bodyFont: this.bodyFontInput.value,
+            headingColor: this.headingColorInput.value,
+            textColor: this.textColorInput.value,
+            margins: margins,
+            coverText: this.coverTextInput.value,
+            confidentialityNotice: this.noticeInput.value,
+            headerText: this.headerTextInput.value,
+            footerText: this.footerTextInput.value,
+            pageNumbers: this.pageNumbersCheckbox.checked
+        };
+    }
+
+    setLogo(dataUrl) {
+        this.logoDataUrl = dataUrl || null;
+        this.logoPreview.src = this.logoDataUrl || browser.runtime.getURL('icons/logo-icon.png');
+        this.removeLogoBtn.style.display = this.logoDataUrl ? '' : 'none';
+    }
+
+    uploadLogo(file) {
+        if (!/^image\/(png|jpeg|gif)$/.test(file.type)) {
+            this.showNotification('The logo must be a PNG, JPEG or GIF image', 'error');
+            return;
+        }
+        if (file.size > ReportTemplateStore.MAX_LOGO_BYTES) {
+            this.showNotification('The logo must be smaller than 1 MB', 'error');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => this.setLogo(reader.result);
+        reader.onerror = () => this.showNotification('Failed to read the logo', 'error');
+        reader.readAsDataURL(file);
+    }
+
+    async saveTemplate() {
+        try {
+            const values = this.getEditorValues();
+            const existing = this.templates.find(t => t.id === this.editingId);
+            const template = existing
+                ? { ...existing, ...values }
+                : ReportTemplateStore.createTemplate(values.name, values);
+
+            const saved = await ReportTemplateStore.saveTemplate(template);
+            this.showNotification(`Template "${saved.name}" saved`, 'success');
+            this.resetEditor();
+            await this.loadTemplates();
+        } catch (error) {
+            console.error('Failed to save report template:', error);
+            this.showNotification(error.message || 'Failed to save report template', 'error');
+        }
+    }
+
+    editTemplate(template) {
+        this.editingId = template.id;
+        this.editorTitle.textContent = `Edit: ${template.name}`;
+        this.fillEditor(ReportTemplateStore.normalize(template));
+        this.cancelEditBtn.style.display = '';
+        this.templateNameInput.focus();
+    }
+
+    // Start a new template from an existing one (or the built-in one)
+    copyTemplate(template) {
+        this.resetEditor();
+        this.fillEditor({ ...ReportTemplateStore.normalize(template), name: `${template.name} (copy)` });
+        this.cancelEditBtn.style.display = '';
+        this.templateNameInput.focus();
+    }
+
+    resetEditor() {
+        this.editingId = null;
+        this.editorTitle.textContent = 'New Template';
+        this.fillEditor({ ...ReportTemplateStore.DEFAULT_TEMPLATE, name: '' });
+        this.cancelEditBtn.style.display = 'none';
+    }
+
+    async deleteTemplate(template) {
+        const usedBy = this.getPromptSetsUsing(template.id);
+        const warning = usedBy.length > 0
+            ? ` ${usedBy.length} prompt set(s) using it will go back to the built-in template.`
+            : '';
+        if (!confirm(`Delete the template "${template.name}"?${warning}`)) {
+            return;
+        }
+        try {
+            await ReportTemplateStore.deleteTemplate(template.id);
+            if (this.editingId === template.id) {
+                this.resetEditor();
+            }
+            await this.loadTemplates();
+            this.showNotification('Template deleted', 'info');
+        } catch (error) {
+            console.error('Failed to delete report template:', error);
+            this.showNotification('Failed to delete report template', 'error');
+        }
+    }
+
+    getPromptSetsUsing(templateId) {
+        return this.promptSets.filter(set => (set.reportTemplateId || ReportTemplateStore.BUILT_IN_ID) === templateId);
+    }
+
+    renderTemplates() {
+        this.templateCount.textContent = `${this.templates.length} templates`;
+        this.templatesList.innerHTML = '';
+        [ReportTemplateStore.DEFAULT_TEMPLATE, ...this.templates].forEach(template => {
+            this.templatesList.appendChild(this.createTemplateItem(template));
+        });
+    }
+
+    createTemplateItem(template) {
+        const builtIn = template.id === ReportTemplateStore.BUILT_IN_ID;
+        const usedBy = this.getPromptSetsUsing(template.id).map(set => set.name);
+        const item = document.createElement('div');
+        item.className = 'template-item';
+
+        item.innerHTML = `
+            <div class="template-swatch" style="background-color: ${this.escapeHtml(template.headingColor)}"></div>
+            <div class="template-info">
+                <div class="template-title">${this.escapeHtml(template.name)}${builtIn ? ' <span class="template-badge">built-in</span>' : ''}</div>
+                <div class="template-meta">
+                    ${this.escapeHtml(template.headingFont)} / ${this.escapeHtml(template.bodyFont)} •
+                    ${usedBy.length > 0 ? `Used by ${this.escapeHtml(usedBy.join(', '))}` : 'Not used by any prompt set'}
+                </div>
+            </div>
+            <div class="template-actions">
+                ${builtIn ? '' : '<button class="btn btn-text" data-action="edit" title="Edit template">✏️</button>'}
+                <button class="btn btn-secondary btn-sm" data-action="copy">Copy</button>
+                ${builtIn ? '' : '<button class="btn btn-text" data-action="delete" title="Delete template">🗑️</button>'}
+            </div>`;
+
+        item.querySelector('[data-action="copy"]').addEventListener('click', () => this.copyTemplate(template));
+        if (!builtIn) {
+            item.querySelector('[data-action="edit"]').addEventListener('click', () => this.editTemplate(template));
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteTemplate(template));
+        }
+        return item;
+    }
+
+    // Utility methods
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification notification--${type}`;
+        notification.textContent = message;
+
+        const colors = {
+            success: '#10b981',
+            error: '#ef4444',
+            info: '#3b82f6',
+            warning: '#f59e0b'
+        };
+        Object.assign(notification.style, {
+            position: 'fixed',
+            top: '20px',
+            right: '20px',
+            padding: '12px 20px',
+            borderRadius: '8px',
+            color: 'white',
+            fontWeight: '500',
+            zIndex: '10000',
+            minWidth: '200px',
+            maxWidth: '400px',
+            backgroundColor: colors[type] || colors.info
+        });
+
+        document.body.appendChild(notification);
+        setTimeout(() => notification.remove(), 3000);
+    }
+}
+
+// Initialize the report templates page when it loads
+document.addEventListener('DOMContentLoaded', () => {
+    new ReportTemplateEditor();
+});
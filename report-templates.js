@@ -0,0 +1,189 @@
+/**
+ * Perplexity AI Automator - Report Templates
+ * Named branding presets for the DOCX report: logo, fonts, colours, margins, cover page text, header,
+ * footer and confidentiality notice. Stored under "reportTemplates"; each prompt set picks one by id
+ * (reportTemplateId), and sets without one use the built-in template.
+ * Cover, header and footer text take {{company}}, {{title}}, {{date}} and the prompt set's variables.
+ */
+
+class ReportTemplateStore {
+    static get STORAGE_KEY() {
+        return 'reportTemplates';
+    }
+
+    static get BUILT_IN_ID() {
+        return 'builtin';
+    }
+
+    // Uploaded logos are kept in storage as data URLs, so keep them small
+    static get MAX_LOGO_BYTES() {
+        return 1024 * 1024;
+    }
+
+    static get DEFAULT_TEMPLATE() {
+        return {
+            id: ReportTemplateStore.BUILT_IN_ID,
+            name: 'Built-in',
+            titleFont: 'Aptos',
+            headingFont: 'Aptos Display',
+            bodyFont: 'Times New Roman',
+            headingColor: '#0F4761',
+            textColor: '#000000',
+            margins: { top: 0.5, right: 0.5, bottom: 0.5, left: 0.5 }, // Inches
+            showLogo: true,
+            logoDataUrl: null, // null = the extension's own logo
+            coverText: '{{date}}',
+            confidentialityNotice: '',
+            headerText: '',
+            footerText: '',
+            pageNumbers: true
+        };
+    }
+
+    /**
+     * Build a new, unsaved template from the built-in defaults
+     * @param {string} name Display name
+     * @param {Object} fields Fields to override
+     * @returns {Object} Template
+     */
+    static createTemplate(name, fields = {}) {
+        const now = new Date().toISOString();
+        return ReportTemplateStore.normalize({
+            ...ReportTemplateStore.DEFAULT_TEMPLATE,
+            ...fields,
+            id: `tpl_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            name: name,
+            created: now,
+            modified: now
+        });
+    }
+
+    /**
+     * Saved templates, without the built-in one
+     * @returns {Promise<Array<Object>>}
+     */
+    static async load() {
+        const result = await browser.storage.local.get(ReportTemplateStore.STORAGE_KEY);
+        return Array.isArray(result[ReportTemplateStore.STORAGE_KEY]) ? result[ReportTemplateStore.STORAGE_KEY] : [];
+    }
+
+    /**
+     * Find one template, falling back to the built-in one when the id is unknown (e.g. deleted)
+     * @param {string|null} templateId Template id
+     * @returns {Promise<Object>} Template
+     */
+    static async getTemplate(templateId = null) {
+        if (!templateId || templateId === ReportTemplateStore.BUILT_IN_ID) {
+            return ReportTemplateStore.DEFAULT_TEMPLATE;
+        }
+        try {
+            const templates = await ReportTemplateStore.load();
+            const template = templates.find(t => t.id === templateId);
+            return template ? ReportTemplateStore.normalize(template) : ReportTemplateStore.DEFAULT_TEMPLATE;
+        } catch (error) {
+            console.warn('Failed to load report template, using the built-in one:', error);
+            return ReportTemplateStore.DEFAULT_TEMPLATE;
+        }
+    }
+
+    /**
+     * Validate a template and fill anything it leaves out from the built-in template
+     * @param {Object} template Template as edited
+     * @returns {Object} Complete template
+     * @throws {Error} Describing the first problem found
+     */
+    static normalize(template) {
+        const defaults = ReportTemplateStore.DEFAULT_TEMPLATE;
+        const text = (value, fallback) => (value === undefined || value === null ? fallback : String(value));
+        const normalized = {
+            ...defaults,
+            ...template,
+            name: text(template.name, '').trim(),
+            titleFont: text(template.titleFont, '').trim() || defaults.titleFont,
+            headingFont: text(template.headingFont, '').trim() || defaults.headingFont,
+            bodyFont: text(template.bodyFont, '').trim() || defaults.bodyFont,
+            headingColor: text(template.headingColor, defaults.headingColor).trim().toUpperCase(),
+            textColor: text(template.textColor, defaults.textColor).trim().toUpperCase(),
+            margins: { ...defaults.margins, ...(template.margins || {}) },
+            showLogo: template.showLogo !== false,
+            logoDataUrl: template.logoDataUrl || null,
+            coverText: text(template.coverText, defaults.coverText),
+            confidentialityNotice: text(template.confidentialityNotice, '').trim(),
+            headerText: text(template.headerText, '').trim(),
+            footerText: text(template.footerText, '').trim(),
+            pageNumbers: template.pageNumbers !== false
+        };
+
+        if (!normalized.name) {
+            throw new Error('A report template needs a name');
+        }
+        ['headingColor', 'textColor'].forEach(key => {
+            if (!/^#[0-9A-F]{6}$/.test(normalized[key])) {
+                throw new Error(`${key} must be a colour like #0F4761`);
+            }
+        });
+        Object.entries(normalized.margins).forEach(([side, value]) => {
+            const inches = Number(value);
+            if (!Number.isFinite(inches) || inches < 0 || inches > 3) {
+                throw new Error(`The ${side} margin must be between 0 and 3 inches`);
+            }
+            normalized.margins[side] = inches;
+        });
+        if (normalized.logoDataUrl && !/^data:image\/(png|jpeg|gif);base64,/.test(normalized.logoDataUrl)) {
+            throw new Error('The logo must be a PNG, JPEG or GIF image');
+        }
+        return normalized;
+    }
+
+    /**
+     * Add or replace a template
+     * @param {Object} template Template to save
+     * @returns {Promise<Object>} The saved, normalized template
+     */
+    static async saveTemplate(template) {
+        if (template.id === ReportTemplateStore.BUILT_IN_ID) {
+            throw new Error('The built-in template cannot be changed; save a copy instead');
+        }
+        const normalized = ReportTemplateStore.normalize({ ...template, modified: new Date().toISOString() });
+        const templates = await ReportTemplateStore.load();
+        if (templates.some(t => t.id !== normalized.id && t.name.toLowerCase() === normalized.name.toLowerCase())) {
+            throw new Error(`A template named "${normalized.name}" already exists`);
+        }
+
+        const index = templates.findIndex(t => t.id === normalized.id);
+        if (index >= 0) {
+            templates[index] = normalized;
+        } else {
+            templates.push(normalized);
+        }
+        await browser.storage.local.set({ [ReportTemplateStore.STORAGE_KEY]: templates });
+        return normalized;
+    }
+
+    // Prompt sets still pointing at a deleted template fall back to the built-in one
+    static async deleteTemplate(templateId) {
+        const templates = await ReportTemplateStore.load();
+        await browser.storage.local.set({
+            [ReportTemplateStore.STORAGE_KEY]: templates.filter(t => t.id !== templateId)
+        });
+    }
+
+    /**
+     * Fill a cover, header or footer text with the report's values
+     * @param {string} text Text with {{variables}}
+     * @param {Object} values Variable values, including company, title and date
+     * @returns {string} Rendered text
+     */
+    static renderText(text, values) {
+        if (!text) return '';
+        if (typeof TemplateEngine === 'undefined') return text;
+        return TemplateEngine.render(text, values).trim();
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportTemplateStore;
+} else if (typeof window !== 'undefined') {
+    window.ReportTemplateStore = ReportTemplateStore;
+}
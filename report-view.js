@@ -0,0 +1,45 @@
+/**
+ * Report View - Shows a report built by the background page so Firefox can save it as a PDF
+ * The page is opened as report-view.html?report=<id> and closed again once the PDF is saved
+ */
+
+class ReportView {
+    constructor() {
+        this.reportId = new URLSearchParams(window.location.search).get('report');
+        this.load();
+    }
+
+    async load() {
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'get-report-view', reportId: this.reportId });
+            if (!response || !response.html) {
+                document.getElementById('reportViewStatus').textContent = 'This report is no longer available.';
+                return;
+            }
+
+            const report = new DOMParser().parseFromString(response.html, 'text/html');
+            document.replaceChild(document.adoptNode(report.documentElement), document.documentElement);
+            await this.waitForImages();
+
+            await browser.runtime.sendMessage({ type: 'report-view-ready', reportId: this.reportId });
+        } catch (error) {
+            console.error('Failed to show report:', error);
+        }
+    }
+
+    // Pictures are data URLs, but they still have to decode before the page is printed
+    waitForImages() {
+        return Promise.all(Array.from(document.images).map(image => {
+            if (image.complete) return null;
+            return new Promise(resolve => {
+                image.onload = resolve;
+                image.onerror = resolve;
+            });
+        }));
+    }
+}
+
+// Initialize the report view when it loads
+document.addEventListener('DOMContentLoaded', () => {
+    new ReportView();
+});
@@ -0,0 +1,414 @@
+/**
+ * Review Responses - Check the responses collected on a tab before the document is built
+ * Sections can be edited in place, removed, reordered and re-run; approving builds and downloads the document.
+ * Opened from the popup as review.html?tabId=<Perplexity tab>; the document itself lives in the background page.
+ */
+
+class ResponseReview {
+    constructor() {
+        this.tabId = parseInt(new URLSearchParams(window.location.search).get('tabId'), 10);
+        this.document = null;
+        this.documentManager = new DocumentManager(); // Section titles and plain-text answers as in the report
+        this.editingIndex = null; // Prompt index of the section being edited
+        this.rerunningIndex = null; // Prompt index of the section being re-run
+        this.draggedPosition = null;
+
+        this.initializeElements();
+        this.bindEventListeners();
+        this.loadFormat();
+        this.loadDocument();
+    }
+
+    initializeElements() {
+        this.backBtn = document.getElementById('backBtn');
+        this.documentTitle = document.getElementById('documentTitle');
+        this.approvalStatus = document.getElementById('approvalStatus');
+        this.reviewFormatSelect = document.getElementById('reviewFormatSelect');
+        this.approveBtn = document.getElementById('approveBtn');
+        this.sectionCount = document.getElementById('sectionCount');
+        this.sectionsList = document.getElementById('sectionsList');
+    }
+
+    bindEventListeners() {
+        this.backBtn.addEventListener('click', () => window.close());
+        this.approveBtn.addEventListener('click', () => this.approve());
+        document.addEventListener('dragover', (e) => e.preventDefault());
+
+        // New answers arrive while a run is still going; keep the list current unless an edit is open
+        browser.runtime.onMessage.addListener((message) => {
+            if (message.type === 'document-updated' && this.editingIndex === null && this.rerunningIndex === null) {
+                this.loadDocument();
+            }
+        });
+    }
+
+    // Same format as the popup's document section
+    async loadFormat() {
+        const settings = await this.documentManager.loadReportSettings();
+        this.reviewFormatSelect.value = settings.format;
+    }
+
+    async loadDocument() {
+        if (!this.tabId) {
+            this.showNotification('No tab given - open the review from the popup', 'error');
+            return;
+        }
+
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'get-tab-document-data', tabId: this.tabId });
+            this.companyName = response.companyName;
+            this.setDocument(response.document);
+        } catch (error) {
+            console.error('Failed to load the document:', error);
+            this.showNotification('Failed to load the document', 'error');
+        }
+    }
+
+    setDocument(documentData) {
+        this.document = documentData;
+        this.render();
+    }
+
+    /**
+     * Send a review change to the background and show the document it returns
+     * @param {Object} message Message with type and the change
+     * @returns {Promise<boolean>} Whether the change was made
+     */
+    async sendChange(message) {
+        try {
+            const response = await browser.runtime.sendMessage({ ...message, tabId: this.tabId });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Change failed');
+            }
+            this.setDocument(response.document);
+            return true;
+        } catch (error) {
+            console.error(`Review change failed (${message.type}):`, error);
+            this.showNotification(error.message, 'error');
+            return false;
+        }
+    }
+
+    render() {
+        const responses = this.document ? this.document.responses : [];
+        this.documentTitle.textContent = (this.document && this.document.reportTitle) || `Document for ${this.companyName || 'Company'}`;
+        this.sectionCount.textContent = `${responses.length} sections`;
+
+        const approvedAt = this.document && this.document.approvedAt;
+        this.approvalStatus.textContent = approvedAt ? `Approved ${new Date(approvedAt).toLocaleString()}` : 'Not approved';
+        this.approvalStatus.className = `status status--${approvedAt ? 'success' : 'info'}`;
+        this.approveBtn.disabled = responses.length === 0;
+
+        if (responses.length === 0) {
+            this.sectionsList.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">📝</div>
+                    <h3>No responses yet</h3>
+                    <p>Responses collected on this tab will appear here.</p>
+                </div>`;
+            return;
+        }
+
+        this.sectionsList.innerHTML = '';
+        responses.forEach((entry, position) => {
+            this.sectionsList.appendChild(this.createSectionItem(entry, position));
+        });
+    }
+
+    createSectionItem(entry, position) {
+        const response = this.documentManager.mapBackgroundResponse(entry);
+        const editing = this.editingIndex === entry.index;
+        const rerunning = this.rerunningIndex === entry.index;
+        const item = document.createElement('div');
+        item.className = `review-item${response.failed ? ' review-item--failed' : ''}${editing ? ' review-item--editing' : ''}`;
+
+        const notes = [`Prompt ${response.promptNumber}`];
+        if (entry.edited) notes.push('edited');
+        if (response.failed) notes.push(this.documentManager.getMissingResponseText(response));
+
+        item.innerHTML = `
+            <div class="review-item-header">
+                <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+                <span class="review-number">${position + 1}</span>
+                <div class="review-info">
+                    <div class="review-title">${this.escapeHtml(this.documentManager.getSectionTitle(response))}</div>
+                    <div class="review-meta">${this.escapeHtml(notes.join(' • '))}</div>
+                </div>
+                <div class="review-actions">
+                    ${editing ? '' : '<button class="btn btn-secondary btn-sm" data-action="edit">Edit</button>'}
+                    <button class="btn btn-secondary btn-sm" data-action="rerun"${rerunning || this.rerunningIndex !== null ? ' disabled' : ''}>${rerunning ? 'Re-running…' : 'Re-run'}</button>
+                    <button class="btn btn-text" data-action="remove" title="Remove section">🗑️</button>
+                </div>
+            </div>
+            ${response.promptText ? `<details class="review-prompt"><summary>Prompt</summary><p>${this.escapeHtml(response.promptText)}</p></details>` : ''}
+            ${editing ? this.buildToolbar() : ''}
+            <div class="review-content"></div>
+            ${editing ? `
+            <div class="input-actions">
+                <button class="btn btn-primary btn-sm" data-action="save">Save</button>
+                <button class="btn btn-secondary btn-sm" data-action="cancel">Cancel</button>
+            </div>` : ''}`;
+
+        const content = item.querySelector('.review-content');
+        content.innerHTML = response.failed && !editing
+            ? `<p class="review-missing">${this.escapeHtml(this.documentManager.getMissingResponseText(response))}</p>`
+            : this.sanitizeHtml(this.documentManager.processResponseText(response.responseText)) || '<p></p>';
+
+        item.querySelector('[data-action="rerun"]').addEventListener('click', () => this.rerunSection(entry));
+        item.querySelector('[data-action="remove"]').addEventListener('click', () => this.removeSection(entry, response));
+        if (editing) {
+            content.contentEditable = 'true';
+            this.bindToolbar(item, content);
+            item.querySelector('[data-action="save"]').addEventListener('click', () => this.saveEdit(entry, content));
+            item.querySelector('[data-action="cancel"]').addEventListener('click', () => this.stopEditing());
+            setTimeout(() => content.focus(), 0);
+        } else {
+            item.querySelector('[data-action="edit"]').addEventListener('click', () => this.startEditing(entry));
+        }
+
+        this.setupDragAndDrop(item, position);
+        return item;
+    }
+
+    // Formatting buttons for the section editor (document.execCommand on the editable answer)
+    buildToolbar() {
+        const buttons = [
+            ['bold', '<b>B</b>', 'Bold'],
+            ['italic', '<i>I</i>', 'Italic'],
+            ['h2', 'H2', 'Heading'],
+            ['h3', 'H3', 'Subheading'],
+            ['p', '¶', 'Paragraph'],
+            ['insertUnorderedList', '•', 'Bulleted list'],
+            ['insertOrderedList', '1.', 'Numbered list'],
+            ['createLink', '🔗', 'Link'],
+            ['unlink', '⛓️‍💥', 'Remove link'],
+            ['removeFormat', '⌫', 'Clear formatting']
+        ];
+        return `<div class="review-toolbar">${buttons.map(([command, label, title]) =>
+            `<button class="btn btn-secondary btn-sm" data-command="${command}" title="${title}">${label}</button>`
+        ).join('')}</div>`;
+    }
+
+    bindToolbar(item, content) {
+        item.querySelectorAll('[data-command]').forEach(button => {
+            // mousedown would move the focus (and the selection) out of the editor
+            button.addEventListener('mousedown', (e) => e.preventDefault());
+            button.addEventListener('click', () => {
+                const command = button.dataset.command;
+                content.focus();
+                if (['h2', 'h3', 'p'].includes(command)) {
+                    document.execCommand('formatBlock', false, command);
+                } else if (command === 'createLink') {
+                    const url = prompt('Link address:', 'https://');
+                    if (url) document.execCommand('createLink', false, url);
+                } else {
+                    document.execCommand(command, false, null);
+                }
+            });
+        });
+    }
+
+    startEditing(entry) {
+        if (this.editingIndex !== null && this.editingIndex !== entry.index &&
+            !confirm('Discard the changes to the section you are editing?')) {
+            return;
+        }
+        this.editingIndex = entry.index;
+        this.render();
+    }
+
+    stopEditing() {
+        this.editingIndex = null;
+        this.render();
+    }
+
+    async saveEdit(entry, content) {
+        const html = content.innerHTML.trim();
+        if (!TemplateEngine.htmlToPlainText(html).trim() && !content.querySelector('img, table')) {
+            this.showNotification('A section cannot be empty - remove it instead', 'warning');
+            return;
+        }
+
+        this.editingIndex = null;
+        if (await this.sendChange({ type: 'review-edit-response', index: entry.index, html: this.sanitizeHtml(html) })) {
+            this.showNotification('Section saved', 'success');
+        } else {
+            this.editingIndex = entry.index;
+        }
+    }
+
+    async removeSection(entry, response) {
+        if (!confirm(`Remove "${this.documentManager.getSectionTitle(response)}" from the document?`)) {
+            return;
+        }
+        if (this.editingIndex === entry.index) {
+            this.editingIndex = null;
+        }
+        if (await this.sendChange({ type: 'review-remove-response', index: entry.index })) {
+            this.showNotification('Section removed', 'info');
+        }
+    }
+
+    async rerunSection(entry) {
+        const warning = entry.edited ? ' Your edits to this section will be replaced.' : '';
+        if (!confirm(`Send this prompt to Perplexity again and use the new answer?${warning}`)) {
+            return;
+        }
+        if (this.editingIndex === entry.index) {
+            this.editingIndex = null;
+        }
+
+        this.rerunningIndex = entry.index;
+        this.render();
+        this.showNotification('Re-running the prompt in its Perplexity tab…', 'info');
+        const done = await this.sendChange({ type: 'review-rerun-prompt', index: entry.index });
+        this.rerunningIndex = null;
+        if (done) {
+            this.showNotification('New answer collected', 'success');
+        } else {
+            this.render();
+        }
+    }
+
+    // Drag and drop, as in the prompt manager: sections move only when dragged by the handle
+    setupDragAndDrop(item, position) {
+        const dragHandle = item.querySelector('.drag-handle');
+        item.draggable = false;
+
+        dragHandle.addEventListener('mousedown', () => {
+            item.draggable = true;
+        });
+
+        item.addEventListener('dragstart', (e) => {
+            if (!item.draggable) {
+                e.preventDefault();
+                return;
+            }
+            this.draggedPosition = position;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        item.addEventListener('dragend', () => {
+            item.classList.remove('dragging');
+            item.draggable = false;
+            this.clearDragOverEffects();
+            this.draggedPosition = null;
+        });
+
+        item.addEventListener('dragover', (e) => {
+            if (this.draggedPosition === null || this.draggedPosition === position) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.clearDragOverEffects();
+            item.classList.add('drag-over');
+        });
+
+        item.addEventListener('dragleave', (e) => {
+            if (!item.contains(e.relatedTarget)) {
+                item.classList.remove('drag-over');
+            }
+        });
+
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (this.draggedPosition === null || this.draggedPosition === position) return;
+            this.moveSection(this.draggedPosition, position);
+            this.clearDragOverEffects();
+        });
+    }
+
+    clearDragOverEffects() {
+        this.sectionsList.querySelectorAll('.review-item').forEach(item => item.classList.remove('drag-over'));
+    }
+
+    async moveSection(fromPosition, toPosition) {
+        const order = this.document.responses.map(entry => entry.index);
+        const [moved] = order.splice(fromPosition, 1);
+        order.splice(toPosition, 0, moved);
+        await this.sendChange({ type: 'review-reorder-responses', order });
+    }
+
+    async approve() {
+        if (this.editingIndex !== null) {
+            this.showNotification('Save or cancel your edit first', 'warning');
+            return;
+        }
+
+        this.approveBtn.disabled = true;
+        try {
+            // A PDF is printed from a tab the background opens, so this page may lose focus for a moment
+            const response = await browser.runtime.sendMessage({
+                type: 'review-approve',
+                tabId: this.tabId,
+                format: this.reviewFormatSelect.value
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to build the document');
+            }
+            this.setDocument(response.document);
+            this.showNotification(response.filename ? `Approved - saved ${response.filename}` : 'Approved - download cancelled', 'success');
+        } catch (error) {
+            console.error('Failed to approve the document:', error);
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.approveBtn.disabled = !this.document || this.document.responses.length === 0;
+        }
+    }
+
+    // Scraped and edited answers are shown and saved without scripts, frames or event handlers
+    sanitizeHtml(html) {
+        const body = new DOMParser().parseFromString(html || '', 'text/html').body;
+        body.querySelectorAll('script, style, iframe, object, embed, form, link, meta').forEach(element => element.remove());
+        body.querySelectorAll('*').forEach(element => {
+            Array.from(element.attributes).forEach(attribute => {
+                const unsafeUrl = ['href', 'src'].includes(attribute.name) && /^\s*javascript:/i.test(attribute.value);
+                if (attribute.name.startsWith('on') || unsafeUrl || attribute.name === 'contenteditable') {
+                    element.removeAttribute(attribute.name);
+                }
+            });
+        });
+        return body.innerHTML;
+    }
+
+    // Utility methods
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification notification--${type}`;
+        notification.textContent = message;
+
+        const colors = {
+            success: '#10b981',
+            error: '#ef4444',
+            info: '#3b82f6',
+            warning: '#f59e0b'
+        };
+        Object.assign(notification.style, {
+            position: 'fixed',
+            top: '20px',
+            right: '20px',
+            padding: '12px 20px',
+            borderRadius: '8px',
+            color: 'white',
+            fontWeight: '500',
+            zIndex: '10000',
+            minWidth: '200px',
+            maxWidth: '400px',
+            backgroundColor: colors[type] || colors.info
+        });
+
+        document.body.appendChild(notification);
+        setTimeout(() => notification.remove(), 3000);
+    }
+}
+
+// Initialize the review page when it loads
+document.addEventListener('DOMContentLoaded', () => {
+    new ResponseReview();
+});
@@ -0,0 +1,293 @@
+/**
+ * Scheduled Runs - Create, edit and remove recurring runs
+ * The background script owns the schedules and starts them with the alarms API
+ */
+
+class ScheduleManager {
+    constructor() {
+        this.schedules = [];
+        this.promptSets = [];
+        this.editingId = null; // null = creating a new schedule
+        this.dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+        this.initializeElements();
+        this.bindEventListeners();
+        this.loadSchedules();
+    }
+
+    initializeElements() {
+        this.backToPopupBtn = document.getElementById('backToPopupBtn');
+        this.editorTitle = document.getElementById('editorTitle');
+        this.scheduleNameInput = document.getElementById('scheduleNameInput');
+        this.schedulePromptSetSelect = document.getElementById('schedulePromptSetSelect');
+        this.scheduleCompaniesInput = document.getElementById('scheduleCompaniesInput');
+        this.scheduleFrequencySelect = document.getElementById('scheduleFrequencySelect');
+        this.scheduleDayGroup = document.getElementById('scheduleDayGroup');
+        this.scheduleDaySelect = document.getElementById('scheduleDaySelect');
+        this.scheduleDateGroup = document.getElementById('scheduleDateGroup');
+        this.scheduleDateInput = document.getElementById('scheduleDateInput');
+        this.scheduleTimeInput = document.getElementById('scheduleTimeInput');
+        this.scheduleOutputSelect = document.getElementById('scheduleOutputSelect');
+        this.saveScheduleBtn = document.getElementById('saveScheduleBtn');
+        this.cancelEditBtn = document.getElementById('cancelEditBtn');
+        this.scheduleCount = document.getElementById('scheduleCount');
+        this.schedulesList = document.getElementById('schedulesList');
+    }
+
+    bindEventListeners() {
+        this.backToPopupBtn.addEventListener('click', () => window.close());
+        this.scheduleFrequencySelect.addEventListener('change', () => this.updateFrequencyFields());
+        this.saveScheduleBtn.addEventListener('click', () => this.saveSchedule());
+        this.cancelEditBtn.addEventListener('click', () => this.resetEditor());
+    }
+
+    async loadSchedules() {
+        try {
+            const { sets } = await PromptSetStore.load();
+            this.promptSets = sets;
+            this.renderPromptSetOptions();
+
+            const response = await browser.runtime.sendMessage({ type: 'get-schedules' });
+            this.schedules = response.schedules || [];
+            this.renderSchedules();
+        } catch (error) {
+            console.error('Failed to load schedules:', error);
+            this.showNotification('Failed to load schedules', 'error');
+        }
+    }
+
+    renderPromptSetOptions() {
+        const selected = this.schedulePromptSetSelect.value;
+        this.schedulePromptSetSelect.innerHTML = '<option value="">Set selected in the popup</option>';
+        this.promptSets.forEach(set => {
+            const option = document.createElement('option');
+            option.value = set.id;
+            option.textContent = `${set.name} (${set.prompts.length} prompts)`;
+            this.schedulePromptSetSelect.appendChild(option);
+        });
+        this.schedulePromptSetSelect.value = selected;
+    }
+
+    getPromptSetName(setId) {
+        if (!setId) return 'selected set';
+        const set = this.promptSets.find(s => s.id === setId);
+        return set ? set.name : 'deleted set';
+    }
+
+    updateFrequencyFields() {
+        const frequency = this.scheduleFrequencySelect.value;
+        this.scheduleDayGroup.style.display = frequency === 'weekly' ? '' : 'none';
+        this.scheduleDateGroup.style.display = frequency === 'once' ? '' : 'none';
+    }
+
+    getEditorValues() {
+        return {
+            id: this.editingId,
+            name: this.scheduleNameInput.value.trim(),
+            promptSetId: this.schedulePromptSetSelect.value || null,
+            companies: this.scheduleCompaniesInput.value.split('\n').map(line => line.trim()).filter(Boolean),
+            frequency: this.scheduleFrequencySelect.value,
+            dayOfWeek: this.scheduleDaySelect.value,
+            date: this.scheduleDateInput.value,
+            time: this.scheduleTimeInput.value,
+            output: this.scheduleOutputSelect.value,
+            enabled: true
+        };
+    }
+
+    async saveSchedule(values = this.getEditorValues()) {
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'save-schedule', schedule: values });
+            if (!response.success) {
+                this.showNotification(response.error || 'Failed to save schedule', 'error');
+                return;
+            }
+
+            const nextRun = response.schedule.nextRunAt
+                ? `next run ${new Date(response.schedule.nextRunAt).toLocaleString()}`
+                : 'disabled';
+            this.showNotification(`Schedule saved, ${nextRun}`, 'success');
+            if (values.id === this.editingId) {
+                this.resetEditor();
+            }
+            await this.loadSchedules();
+        } catch (error) {
+            console.error('Failed to save schedule:', error);
+            this.showNotification('Failed to save schedule', 'error');
+        }
+    }
+
+    editSchedule(schedule) {
+        this.editingId = schedule.id;
+        this.editorTitle.textContent = `Edit: ${schedule.name}`;
+        this.scheduleNameInput.value = schedule.name;
+        this.schedulePromptSetSelect.value = schedule.promptSetId || '';
+        this.scheduleCompaniesInput.value = schedule.companies.join('\n');
+        this.scheduleFrequencySelect.value = schedule.frequency;
+        this.scheduleDaySelect.value = String(schedule.dayOfWeek);
+        this.scheduleDateInput.value = schedule.date || '';
+        this.scheduleTimeInput.value = schedule.time;
+        this.scheduleOutputSelect.value = schedule.output;
+        this.cancelEditBtn.style.display = '';
+        this.updateFrequencyFields();
+        this.scheduleNameInput.focus();
+    }
+
+    resetEditor() {
+        this.editingId = null;
+        this.editorTitle.textContent = 'New Schedule';
+        this.scheduleNameInput.value = '';
+        this.schedulePromptSetSelect.value = '';
+        this.scheduleCompaniesInput.value = '';
+        this.scheduleFrequencySelect.value = 'weekly';
+        this.scheduleDaySelect.value = '1';
+        this.scheduleDateInput.value = '';
+        this.scheduleTimeInput.value = '06:00';
+        this.scheduleOutputSelect.value = 'download';
+        this.cancelEditBtn.style.display = 'none';
+        this.updateFrequencyFields();
+    }
+
+    async toggleSchedule(schedule) {
+        await this.saveSchedule({ ...schedule, enabled: !schedule.enabled });
+    }
+
+    async runNow(schedule) {
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'run-schedule-now', scheduleId: schedule.id });
+            if (!response.success) {
+                this.showNotification(response.error || 'Failed to start schedule', 'error');
+                return;
+            }
+            this.showNotification(`${schedule.name} started in a background tab`, 'info');
+            await this.loadSchedules();
+        } catch (error) {
+            console.error('Failed to start schedule:', error);
+            this.showNotification('Failed to start schedule', 'error');
+        }
+    }
+
+    async deleteSchedule(schedule) {
+        if (!confirm(`Delete the schedule "${schedule.name}"?`)) {
+            return;
+        }
+        try {
+            await browser.runtime.sendMessage({ type: 'delete-schedule', scheduleId: schedule.id });
+            if (this.editingId === schedule.id) {
+                this.resetEditor();
+            }
+            this.schedules = this.schedules.filter(s => s.id !== schedule.id);
+            this.renderSchedules();
+            this.showNotification('Schedule deleted', 'info');
+        } catch (error) {
+            console.error('Failed to delete schedule:', error);
+            this.showNotification('Failed to delete schedule', 'error');
+        }
+    }
+
+    renderSchedules() {
+        this.scheduleCount.textContent = `${this.schedules.length} schedules`;
+        this.schedulesList.innerHTML = '';
+
+        if (this.schedules.length === 0) {
+            this.schedulesList.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">⏰</div>
+                    <h3>No schedules yet</h3>
+                    <p>Saved schedules will appear here.</p>
+                </div>`;
+            return;
+        }
+
+        this.schedules.forEach(schedule => this.schedulesList.appendChild(this.createScheduleItem(schedule)));
+    }
+
+    createScheduleItem(schedule) {
+        const item = document.createElement('div');
+        item.className = `schedule-item${schedule.enabled ? '' : ' schedule-item--disabled'}`;
+
+        const nextRun = schedule.enabled && schedule.nextRunAt
+            ? `Next: ${new Date(schedule.nextRunAt).toLocaleString()}`
+            : 'Disabled';
+        const lastRun = schedule.lastRunAt
+            ? ` • Last: ${new Date(schedule.lastRunAt).toLocaleString()} <span class="schedule-status--${schedule.lastStatus}">${this.escapeHtml(schedule.lastStatus)}</span>`
+            : '';
+        const lastMessage = schedule.lastMessage ? ` (${this.escapeHtml(schedule.lastMessage)})` : '';
+
+        item.innerHTML = `
+            <div>
+                <div class="schedule-title">${this.escapeHtml(schedule.name)}</div>
+                <div class="schedule-meta">
+                    ${this.describeRecurrence(schedule)} • ${this.escapeHtml(this.getPromptSetName(schedule.promptSetId))} •
+                    ${schedule.companies.length} companies •
+                    ${schedule.output === 'archive' ? 'history only' : 'DOCX download'}
+                </div>
+                <div class="schedule-meta">${nextRun}${lastRun}${lastMessage}</div>
+            </div>
+            <div class="schedule-actions">
+                <button class="btn btn-primary btn-sm" data-action="run">▶ Run Now</button>
+                <button class="btn btn-secondary btn-sm" data-action="toggle">${schedule.enabled ? 'Disable' : 'Enable'}</button>
+                <button class="btn btn-text" data-action="edit" title="Edit schedule">✏️</button>
+                <button class="btn btn-text" data-action="delete" title="Delete schedule">🗑️</button>
+            </div>`;
+
+        item.querySelector('[data-action="run"]').addEventListener('click', () => this.runNow(schedule));
+        item.querySelector('[data-action="toggle"]').addEventListener('click', () => this.toggleSchedule(schedule));
+        item.querySelector('[data-action="edit"]').addEventListener('click', () => this.editSchedule(schedule));
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteSchedule(schedule));
+
+        return item;
+    }
+
+    describeRecurrence(schedule) {
+        switch (schedule.frequency) {
+            case 'daily':
+                return `Every day at ${schedule.time}`;
+            case 'weekly':
+                return `Every ${this.dayNames[schedule.dayOfWeek]} at ${schedule.time}`;
+            default:
+                return `Once on ${schedule.date} at ${schedule.time}`;
+        }
+    }
+
+    // Utility methods
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification notification--${type}`;
+        notification.textContent = message;
+
+        const colors = {
+            success: '#10b981',
+            error: '#ef4444',
+            info: '#3b82f6',
+            warning: '#f59e0b'
+        };
+        Object.assign(notification.style, {
+            position: 'fixed',
+            top: '20px',
+            right: '20px',
+            padding: '12px 20px',
+            borderRadius: '8px',
+            color: 'white',
+            fontWeight: '500',
+            zIndex: '10000',
+            minWidth: '200px',
+            maxWidth: '400px',
+            backgroundColor: colors[type] || colors.info
+        });
+
+        document.body.appendChild(notification);
+        setTimeout(() => notification.remove(), 3000);
+    }
+}
+
+// Initialize the schedules page when it loads
+document.addEventListener('DOMContentLoaded', () => {
+    new ScheduleManager();
+});
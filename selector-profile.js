@@ -0,0 +1,267 @@
+/**
+ * Perplexity AI Automator - Selector Profiles
+ * The CSS selectors the content script uses to find Perplexity's input, submit button, answers and controls.
+ * The built-in profile ships with the extension. A profile saved under "selectorProfile" (edited or imported
+ * in the prompt manager) replaces it, so a Perplexity layout change can be patched without a new build.
+ */
+
+class SelectorProfileStore {
+    // Bump when the profile format changes; profiles from a newer format are refused
+    static get SCHEMA_VERSION() {
+        return 1;
+    }
+
+    static get STORAGE_KEY() {
+        return 'selectorProfile';
+    }
+
+    // Lists the content script tries one selector at a time, so :contains("text") works there; the other
+    // lists are joined into one querySelectorAll call, which :contains would break
+    static get CONTAINS_LISTS() {
+        return ['primary.input', 'primary.submitButton', 'strategies.input', 'strategies.submitButton', 'generating'];
+    }
+
+    static get DEFAULT_PROFILE() {
+        return {
+            schemaVersion: 1,
+            name: 'Built-in',
+            revision: '1',
+            // Selectors the current Perplexity layout matches; the page check warns when these stop matching
+            primary: {
+                input: '#ask-input',
+                submitButton: 'button[aria-label*="submit" i]',
+                responseContainer: '[id^="markdown-content-"]'
+            },
+            // Tried in order; :contains("text") matches on button text (input and submitButton only)
+            strategies: {
+                input: [
+                    '#ask-input',
+                    'textarea',
+                    'textarea[placeholder*="Ask" i]',
+                    'textarea[placeholder*="search" i]',
+                    'textarea[placeholder*="question" i]',
+                    '[role="textbox"]',
+                    'input[type="text"]',
+                    'input[placeholder*="Ask" i]',
+                    'input[placeholder*="search" i]',
+                    '[contenteditable="true"]',
+                    '[data-testid*="search" i]',
+                    '[data-testid*="input" i]',
+                    '.search-box input',
+                    '.search-box textarea',
+                    '#search-input'
+                ],
+                submitButton: [
+                    'button[type="submit"]',
+                    'button[aria-label*="send" i]',
+                    'button[aria-label*="submit" i]',
+                    'button[aria-label*="search" i]',
+                    'button[title*="send" i]',
+                    'button[title*="submit" i]',
+                    'button:contains("Send")',
+                    'button:contains("Submit")',
+                    'button:contains("Search")',
+                    'button:contains("Ask")',
+                    'button:contains("Go")',
+                    '[role="button"][aria-label*="send" i]',
+                    '[role="button"] svg[data-icon]',
+                    'form button:last-child',
+                    '.submit-button',
+                    '[data-testid*="submit" i]',
+                    '[data-testid*="send" i]'
+                ],
+                responseContainer: [
+                    '[id^="markdown-content-"]',
+                    '[data-message-author="ai"]',
+                    '[data-author="ai"]',
+                    '.conversation-thread [data-author="ai"]',
+                    '.conversation-message[data-author="ai"]',
+                    'main .markdown',
+                    '.markdown-body',
+                    '.prose',
+                    'main div[class*="Message" i]',
+                    'main div[class*="message" i]',
+                    'div[data-testid*="ai-response" i]'
+                ]
+            },
+            // Perplexity error banners and failed-answer states
+            errorBanners: [
+                '[role="alert"]',
+                '[data-testid*="error" i]',
+                '[class*="error" i]',
+                '[class*="toast" i]'
+            ],
+            // Inline citation markers and the source cards shown with each answer
+            citations: [
+                '[data-pplx-citation-url]',
+                '[data-pplx-citation] a[href]',
+                '.citation a[href]',
+                'a.citation[href]'
+            ],
+            sourceLists: [
+                '[data-testid*="source" i] a[href]',
+                '[class*="source" i] a[href]'
+            ],
+            // Controls next to the input for the per-prompt search mode, model and focus
+            searchControls: {
+                modeOption: [
+                    '[role="radiogroup"] [role="radio"]',
+                    'button[role="radio"]',
+                    '[data-testid*="mode" i] button'
+                ],
+                modelButton: [
+                    'button[aria-label*="model" i]',
+                    '[data-testid*="model" i] button',
+                    'button[data-testid*="model" i]'
+                ],
+                focusButton: [
+                    'button[aria-label*="source" i]',
+                    'button[aria-label*="focus" i]',
+                    '[data-testid*="source" i] button',
+                    '[data-testid*="focus" i] button'
+                ],
+                menuItem: [
+                    '[role="menuitemradio"]',
+                    '[role="menuitemcheckbox"]',
+                    '[role="menuitem"]',
+                    '[role="option"]',
+                    '[role="switch"]',
+                    '[role="checkbox"]'
+                ]
+            },
+            // Visible only while an answer is streaming (the stop button)
+            generating: [
+                'button[aria-label*="stop" i]',
+                '[data-testid*="stop" i]',
+                'button:contains("Stop")'
+            ],
+            // Sidebar control that opens a fresh thread without reloading the page
+            newThread: [
+                'button[aria-label*="new thread" i]',
+                'a[aria-label*="new thread" i]',
+                '[data-testid*="new-thread" i]',
+                'a[href="/"]'
+            ]
+        };
+    }
+
+    /**
+     * The profile in effect: the saved user profile, or the built-in one
+     * @returns {Promise<Object>} Complete profile
+     */
+    static async load() {
+        const result = await browser.storage.local.get(SelectorProfileStore.STORAGE_KEY);
+        const stored = result[SelectorProfileStore.STORAGE_KEY];
+        if (!stored) {
+            return SelectorProfileStore.DEFAULT_PROFILE;
+        }
+        try {
+            return SelectorProfileStore.normalize(stored);
+        } catch (error) {
+            console.warn('Ignoring invalid selector profile:', error.message);
+            return SelectorProfileStore.DEFAULT_PROFILE;
+        }
+    }
+
+    /**
+     * Validate a profile and fill anything it leaves out from the built-in profile
+     * @param {Object} profile Profile as edited or imported
+     * @returns {Object} Complete profile
+     * @throws {Error} Describing the first problem found
+     */
+    static normalize(profile) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            throw new Error('A selector profile must be a JSON object');
+        }
+        const schemaVersion = parseInt(profile.schemaVersion, 10);
+        if (!schemaVersion) {
+            throw new Error('schemaVersion is missing');
+        }
+        if (schemaVersion > SelectorProfileStore.SCHEMA_VERSION) {
+            throw new Error(`Profile format ${schemaVersion} needs a newer version of the extension`);
+        }
+
+        const defaults = SelectorProfileStore.DEFAULT_PROFILE;
+        const normalized = {
+            schemaVersion: SelectorProfileStore.SCHEMA_VERSION,
+            name: String(profile.name || 'Custom').trim(),
+            revision: String(profile.revision || '1').trim(),
+            primary: { ...defaults.primary, ...(profile.primary || {}) },
+            strategies: { ...defaults.strategies, ...(profile.strategies || {}) },
+            errorBanners: profile.errorBanners || defaults.errorBanners,
+            citations: profile.citations || defaults.citations,
+            sourceLists: profile.sourceLists || defaults.sourceLists,
+            searchControls: { ...defaults.searchControls, ...(profile.searchControls || {}) },
+            generating: profile.generating || defaults.generating,
+            newThread: profile.newThread || defaults.newThread
+        };
+
+        Object.entries(normalized.primary).forEach(([type, selector]) => {
+            SelectorProfileStore.checkSelectors(`primary.${type}`, [selector]);
+        });
+        Object.entries(normalized.strategies).forEach(([type, selectors]) => {
+            SelectorProfileStore.checkSelectors(`strategies.${type}`, selectors);
+        });
+        ['errorBanners', 'citations', 'sourceLists', 'generating', 'newThread'].forEach(key => {
+            SelectorProfileStore.checkSelectors(key, normalized[key]);
+        });
+        Object.entries(normalized.searchControls).forEach(([type, selectors]) => {
+            SelectorProfileStore.checkSelectors(`searchControls.${type}`, selectors);
+        });
+        return normalized;
+    }
+
+    static checkSelectors(path, selectors) {
+        if (!Array.isArray(selectors) || selectors.length === 0) {
+            throw new Error(`${path} must be a non-empty list of selectors`);
+        }
+        const allowContains = SelectorProfileStore.CONTAINS_LISTS.includes(path);
+        selectors.forEach(selector => {
+            if (!allowContains && typeof selector === 'string' && selector.includes(':contains')) {
+                throw new Error(`${path} cannot use :contains (only primary.input, primary.submitButton, strategies.input, strategies.submitButton and generating can): ${selector}`);
+            }
+            if (typeof selector !== 'string' || !SelectorProfileStore.isValidSelector(selector, allowContains)) {
+                throw new Error(`${path} has an invalid selector: ${selector}`);
+            }
+        });
+    }
+
+    static isValidSelector(selector, allowContains = false) {
+        if (selector.includes(':contains')) {
+            // :contains("text") is handled by the content script, not by querySelector
+            if (!allowContains || !/:contains\("(.+)"\)$/.test(selector)) {
+                return false;
+            }
+        }
+        const css = selector.split(':contains')[0] || '*';
+        try {
+            document.createDocumentFragment().querySelector(css);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Validate and save a user profile; open Perplexity tabs pick it up immediately
+     * @param {Object} profile Profile to save
+     * @returns {Promise<Object>} The saved, normalized profile
+     */
+    static async save(profile) {
+        const normalized = SelectorProfileStore.normalize(profile);
+        await browser.storage.local.set({ [SelectorProfileStore.STORAGE_KEY]: normalized });
+        return normalized;
+    }
+
+    // Drop the user profile and go back to the built-in selectors
+    static async reset() {
+        await browser.storage.local.remove(SelectorProfileStore.STORAGE_KEY);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelectorProfileStore;
+} else if (typeof window !== 'undefined') {
+    window.SelectorProfileStore = SelectorProfileStore;
+}
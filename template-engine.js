@@ -0,0 +1,281 @@
+/**
+ * Perplexity AI Automator - Template Engine
+ * Named prompt variables: {{ticker}}, {{region|Global}} (with default value)
+ * The legacy [Company Name] placeholder maps to the built-in {{company}} variable.
+ * Response references chain prompts at send time: {{response:3}}, {{response:"Market Size"}},
+ * {{response:3|short}} or {{response:3|short:500}} for a shortened plain-text version.
+ * Prompt conditions test an earlier response: { source: 2, match: 'contains', value: 'publicly traded' }.
+ */
+
+class TemplateEngine {
+    static get VARIABLE_PATTERN() {
+        return /\{\{\s*([a-zA-Z_][\w -]*?)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g;
+    }
+
+    static get RESPONSE_PATTERN() {
+        return /\{\{\s*response\s*:\s*(?:(\d+)|"([^"]+)")\s*(?:\|\s*(short|full)(?:\s*:\s*(\d+))?\s*)?\}\}/gi;
+    }
+
+    static get DEFAULT_SHORT_LENGTH() {
+        return 1000;
+    }
+
+    static get COMPANY_VARIABLE() {
+        return 'company';
+    }
+
+    /**
+     * Normalize a variable or CSV column name: "Market Cap" -> "market_cap"
+     * @param {string} name Raw name
+     * @returns {string} Normalized name
+     */
+    static normalizeName(name) {
+        return String(name || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    }
+
+    /**
+     * Find the variables used in one prompt text
+     * @param {string} text Prompt text
+     * @returns {Array<{name: string, defaultValue: (string|null), required: boolean}>}
+     */
+    static extractVariables(text) {
+        const variables = [];
+        const pattern = TemplateEngine.VARIABLE_PATTERN;
+        let match;
+
+        while ((match = pattern.exec(text || '')) !== null) {
+            const defaultValue = match[2] !== undefined ? match[2] : null;
+            variables.push({
+                name: TemplateEngine.normalizeName(match[1]),
+                defaultValue: defaultValue,
+                required: defaultValue === null
+            });
+        }
+
+        // Legacy placeholder: stays optional, as it always was
+        if (/\[Company Name\]/.test(text || '')) {
+            variables.push({ name: TemplateEngine.COMPANY_VARIABLE, defaultValue: null, required: false });
+        }
+        return variables;
+    }
+
+    /**
+     * Merge the variables of every prompt, keeping the first default seen per name
+     * @param {Array<{text: string}>} prompts Saved prompts
+     * @returns {Array<{name: string, defaultValue: (string|null), required: boolean}>}
+     */
+    static collectVariables(prompts) {
+        const byName = new Map();
+        (prompts || []).forEach(prompt => {
+            TemplateEngine.extractVariables(prompt.text).forEach(variable => {
+                const existing = byName.get(variable.name);
+                if (!existing) {
+                    byName.set(variable.name, { ...variable });
+                } else if (variable.required && existing.defaultValue === null) {
+                    existing.required = true;
+                } else if (existing.defaultValue === null && variable.defaultValue !== null) {
+                    // A default anywhere makes the variable optional
+                    existing.defaultValue = variable.defaultValue;
+                    existing.required = false;
+                }
+            });
+        });
+        return Array.from(byName.values());
+    }
+
+    /**
+     * List required variables that have no value
+     * @param {Array<{name: string, required: boolean}>} variables From collectVariables()
+     * @param {Object} values Variable values keyed by name
+     * @returns {Array<string>} Names of missing variables
+     */
+    static findMissing(variables, values) {
+        const normalized = TemplateEngine.normalizeValues(values);
+        return variables
+            .filter(variable => variable.required)
+            .filter(variable => !String(normalized[variable.name] || '').trim())
+            .map(variable => variable.name);
+    }
+
+    /**
+     * Replace every variable in the text; empty values fall back to the default
+     * @param {string} text Prompt text
+     * @param {Object} values Variable values keyed by name
+     * @returns {string} Rendered text (unknown variables without default are left as-is)
+     */
+    static render(text, values) {
+        const normalized = TemplateEngine.normalizeValues(values);
+        const companyName = normalized[TemplateEngine.COMPANY_VARIABLE];
+
+        let rendered = (text || '').replace(TemplateEngine.VARIABLE_PATTERN, (placeholder, name, defaultValue) => {
+            const value = normalized[TemplateEngine.normalizeName(name)];
+            if (value !== undefined && String(value).trim()) {
+                return value;
+            }
+            return defaultValue !== undefined ? defaultValue : placeholder;
+        });
+
+        if (companyName) {
+            rendered = rendered.replace(/\[Company Name\]/g, companyName);
+        }
+        return rendered;
+    }
+
+    /**
+     * Find the earlier responses a prompt refers to
+     * @param {string} text Prompt text
+     * @returns {Array<{promptNumber: (number|null), nickname: (string|null), mode: string, length: number}>}
+     */
+    static findResponseReferences(text) {
+        const references = [];
+        const pattern = TemplateEngine.RESPONSE_PATTERN;
+        let match;
+
+        while ((match = pattern.exec(text || '')) !== null) {
+            references.push({
+                promptNumber: match[1] ? parseInt(match[1], 10) : null,
+                nickname: match[2] || null,
+                mode: (match[3] || 'full').toLowerCase(),
+                length: match[4] ? parseInt(match[4], 10) : TemplateEngine.DEFAULT_SHORT_LENGTH
+            });
+        }
+        return references;
+    }
+
+    /**
+     * Fill {{response:...}} references from responses already collected
+     * @param {string} text Prompt text
+     * @param {Array<{index: number, response: string}>} results Processed results so far
+     * @param {Array<{nickname: string}>} prompts Prompts of the run, used for nickname lookup
+     * @returns {{text: string, missing: Array<string>}} Rendered text and unresolved references
+     */
+    static renderResponseReferences(text, results, prompts) {
+        const missing = [];
+
+        const rendered = (text || '').replace(TemplateEngine.RESPONSE_PATTERN, (placeholder, number, nickname, mode, length) => {
+            let index = -1;
+            if (number) {
+                index = parseInt(number, 10) - 1;
+            } else {
+                const wanted = nickname.trim().toLowerCase();
+                index = (prompts || []).findIndex(p => (p.nickname || '').trim().toLowerCase() === wanted);
+            }
+
+            const result = (results || []).find(r => r.index === index && r.response);
+            if (!result) {
+                missing.push(number ? `#${number}` : `"${nickname}"`);
+                return `(response ${number ? number : `"${nickname}"`} not available)`;
+            }
+
+            const plainText = TemplateEngine.htmlToPlainText(result.response);
+            if ((mode || 'full').toLowerCase() !== 'short') {
+                return plainText;
+            }
+
+            const maxLength = length ? parseInt(length, 10) : TemplateEngine.DEFAULT_SHORT_LENGTH;
+            const collapsed = plainText.replace(/\s+/g, ' ').trim();
+            return collapsed.length > maxLength ? `${collapsed.substring(0, maxLength).trim()}…` : collapsed;
+        });
+
+        return { text: rendered, missing };
+    }
+
+    /**
+     * Check that a condition only tests an earlier response and only jumps forward.
+     * Conditions store prompt numbers, so a list edited outside the prompt manager can leave them pointing elsewhere.
+     * @param {{source: number, action: string, jumpTo: number}} condition
+     * @param {number} index Zero-based index of the prompt the condition belongs to
+     * @param {number} promptCount Number of prompts in the run
+     * @returns {string|null} What is wrong with the condition, or null if it is valid
+     */
+    static validateCondition(condition, index, promptCount) {
+        const source = parseInt(condition.source, 10);
+        if (!source || source < 1 || source >= index + 1) {
+            return `prompt ${index + 1} tests response ${condition.source}, which is not an earlier prompt`;
+        }
+        if (condition.action === 'jump') {
+            const jumpTo = parseInt(condition.jumpTo, 10);
+            if (!jumpTo || jumpTo <= index + 1 || jumpTo > promptCount + 1) {
+                return `prompt ${index + 1} jumps to prompt ${condition.jumpTo}, which is not a later prompt`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Test a prompt condition against the responses collected so far.
+     * A condition on a response that is missing (failed, skipped or not run yet) is never met.
+     * @param {{source: number, match: string, value: string}} condition match is contains, not-contains or regex
+     * @param {Array<{index: number, response: string}>} results Processed results so far
+     * @returns {boolean} Whether the condition is met
+     */
+    static evaluateCondition(condition, results) {
+        const result = (results || []).find(r => r.index === condition.source - 1 && r.response);
+        if (!result) {
+            return false;
+        }
+
+        const text = TemplateEngine.htmlToPlainText(result.response);
+        const value = String(condition.value || '');
+        switch (condition.match) {
+            case 'regex':
+                try {
+                    return new RegExp(value, 'i').test(text);
+                } catch (error) {
+                    return false;
+                }
+            case 'not-contains':
+                return !text.toLowerCase().includes(value.toLowerCase());
+            default:
+                return text.toLowerCase().includes(value.toLowerCase());
+        }
+    }
+
+    /**
+     * Human-readable form of a condition, used in logs, skip reasons and the prompt manager
+     * @param {{source: number, match: string, value: string}} condition
+     * @returns {string} e.g. 'response 2 mentions "publicly traded"'
+     */
+    static describeCondition(condition) {
+        const verbs = { contains: 'mentions', 'not-contains': 'does not mention', regex: 'matches' };
+        const value = condition.match === 'regex' ? `/${condition.value}/` : `"${condition.value}"`;
+        return `response ${condition.source} ${verbs[condition.match] || verbs.contains} ${value}`;
+    }
+
+    /**
+     * Convert scraped response HTML to plain text, keeping paragraph and list breaks
+     * @param {string} html Response HTML (or plain text)
+     * @returns {string} Plain text
+     */
+    static htmlToPlainText(html) {
+        return String(html || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<li[^>]*>/gi, '- ')
+            .replace(/<\/(p|div|h[1-6]|li|ul|ol|tr|table|blockquote|pre)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    static normalizeValues(values) {
+        const normalized = {};
+        Object.entries(values || {}).forEach(([name, value]) => {
+            normalized[TemplateEngine.normalizeName(name)] = value;
+        });
+        return normalized;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateEngine;
+} else if (typeof window !== 'undefined') {
+    window.TemplateEngine = TemplateEngine;
+}
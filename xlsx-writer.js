@@ -0,0 +1,130 @@
+/**
+ * Perplexity AI Automator - XLSX Writer
+ * Builds a plain Excel workbook (text and number cells, bold header row) without a spreadsheet library:
+ * the workbook XML parts are packed into an uncompressed zip by ZipArchive.
+ */
+
+class XlsxWriter {
+    // Excel refuses longer cell text
+    static get MAX_CELL_LENGTH() {
+        return 32767;
+    }
+
+    /**
+     * Build a workbook
+     * @param {Array<{name: string, rows: Array<Array<string|number|null>>}>} sheets Sheets in order; the first
+     *        row of each sheet is its header
+     * @returns {Blob} XLSX file
+     */
+    static build(sheets) {
+        const files = [
+            { name: '[Content_Types].xml', content: XlsxWriter.contentTypesXml(sheets.length) },
+            { name: '_rels/.rels', content: XlsxWriter.xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>') },
+            { name: 'xl/workbook.xml', content: XlsxWriter.workbookXml(sheets) },
+            { name: 'xl/_rels/workbook.xml.rels', content: XlsxWriter.workbookRelsXml(sheets.length) },
+            { name: 'xl/styles.xml', content: XlsxWriter.stylesXml() },
+            ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: XlsxWriter.sheetXml(sheet.rows) }))
+        ];
+        return new Blob([ZipArchive.build(files)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    }
+
+    static xml(body) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+    }
+
+    static contentTypesXml(sheetCount) {
+        const sheets = Array.from({ length: sheetCount }, (unused, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('');
+        return XlsxWriter.xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            `${sheets}</Types>`);
+    }
+
+    static workbookXml(sheets) {
+        const entries = sheets.map((sheet, i) => {
+            // Sheet names: at most 31 characters, none of : \ / ? * [ ]
+            const name = String(sheet.name || `Sheet${i + 1}`).replace(/[:\\/?*[\]]/g, ' ').substring(0, 31);
+            return `<sheet name="${XlsxWriter.escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`;
+        }).join('');
+        return XlsxWriter.xml('<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            `xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${entries}</sheets></workbook>`);
+    }
+
+    static workbookRelsXml(sheetCount) {
+        const sheets = Array.from({ length: sheetCount }, (unused, i) =>
+            `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        ).join('');
+        const styles = `<Relationship Id="rId${sheetCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`;
+        return XlsxWriter.xml(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets}${styles}</Relationships>`);
+    }
+
+    // Style 0: normal, style 1: bold header, style 2: wrapped text aligned to the top
+    static stylesXml() {
+        return XlsxWriter.xml('<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf></cellXfs>' +
+            '</styleSheet>');
+    }
+
+    // The header row stays in view while scrolling
+    static sheetXml(rows) {
+        const columns = Math.max(1, ...rows.map(row => row.length));
+        const widths = Array.from({ length: columns }, (unused, c) => {
+            const longest = Math.max(...rows.map(row => String(row[c] ?? '').split('\n')[0].length));
+            return Math.min(60, Math.max(10, longest + 2));
+        });
+        const cols = widths.map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`).join('');
+
+        const rowsXml = rows.map((row, r) => {
+            const style = r === 0 ? 1 : 2;
+            const cells = row.map((value, c) => {
+                const ref = `${XlsxWriter.columnName(c)}${r + 1}`;
+                if (value === null || value === undefined || value === '') return '';
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+                }
+                let text = String(value).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+                if (text.length > XlsxWriter.MAX_CELL_LENGTH) {
+                    text = `${text.substring(0, XlsxWriter.MAX_CELL_LENGTH - 1)}…`;
+                }
+                return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${XlsxWriter.escapeXml(text)}</t></is></c>`;
+            }).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+
+        return XlsxWriter.xml('<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<cols>${cols}</cols><sheetData>${rowsXml}</sheetData></worksheet>`);
+    }
+
+    // 0 -> A, 25 -> Z, 26 -> AA
+    static columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    static escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XlsxWriter;
+} else if (typeof window !== 'undefined') {
+    window.XlsxWriter = XlsxWriter;
+}
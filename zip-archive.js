@@ -0,0 +1,136 @@
+/**
+ * Perplexity AI Automator - Zip Archive
+ * Reads and writes uncompressed zip archives, the container format of DOCX and XLSX files.
+ * Used by XlsxWriter to pack workbooks and by DocumentManager to add parts to the html-docx package,
+ * whose zip library stores its entries without compression.
+ */
+
+class ZipArchive {
+    /**
+     * Pack files into a zip archive without compression
+     * @param {Array<{name: string, content: string|Uint8Array}>} files Files to add; strings are written as UTF-8
+     * @returns {Uint8Array} Zip archive
+     */
+    static build(files) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const directory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = ZipArchive.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed to extract
+            local.setUint16(8, 0, true); // Stored (no compression)
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            chunks.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory header signature
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true); // Version needed to extract
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true); // Offset of the local header
+            directory.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const directorySize = directory.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...directory, new Uint8Array(end.buffer)];
+        const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            archive.set(part, position);
+            position += part.length;
+        });
+        return archive;
+    }
+
+    /**
+     * List the files of a zip archive whose entries are stored without compression
+     * @param {ArrayBuffer|Uint8Array} archive Zip archive
+     * @returns {Array<{name: string, content: Uint8Array}>} Files in archive order
+     * @throws {Error} When the archive is not a zip or has compressed entries
+     */
+    static read(archive) {
+        const bytes = archive instanceof Uint8Array ? archive : new Uint8Array(archive);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        // The end of central directory record is last, followed only by an optional comment
+        let end = bytes.length - 22;
+        while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) {
+            end--;
+        }
+        if (end < 0) {
+            throw new Error('Not a zip archive');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let position = view.getUint32(end + 16, true);
+        const files = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('Damaged zip directory');
+            }
+            const method = view.getUint16(position + 10, true);
+            const size = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+            if (method !== 0) {
+                throw new Error(`Zip entry ${name} is compressed`);
+            }
+
+            // Sizes come from the directory; the local header's name and extra field lengths can differ
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            files.push({ name, content: bytes.slice(dataStart, dataStart + size) });
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+        return files;
+    }
+
+    static crc32(bytes) {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = Array.from({ length: 256 }, (unused, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                return c >>> 0;
+            });
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipArchive;
+} else if (typeof window !== 'undefined') {
+    window.ZipArchive = ZipArchive;
+}